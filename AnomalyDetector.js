@@ -0,0 +1,309 @@
+import DateUtils from './DateUtils.js';
+import ProviderRegistry from './ProviderRegistry.js';
+
+/**
+ * Days within this many days of the same date in other years make up its seasonal reference.
+ */
+const SEASON_WINDOW_DAYS = 15;
+
+/**
+ * With fewer reference days than this from other years, the surrounding days of the same
+ * year are used instead (e.g. during the first year of production).
+ */
+const MIN_REFERENCE_DAYS = 10;
+
+/**
+ * Days whose expected production is below this (kWh) are never flagged as low.
+ */
+const MIN_EXPECTED_KWH = 2;
+
+/**
+ * A month is compared with the same and neighbouring calendar months of other years, and
+ * needs this many of them before it can be called an outlier.
+ */
+const MIN_OUTLIER_HISTORY = 4;
+
+/**
+ * Flags things worth a look: days the inverter produced far less than usual, months where the
+ * inverter and the National Grid meter disagree, and unusual bills.
+ */
+export default class AnomalyDetector {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.lowRatio] - A day is low below this share of its expected production.
+   * @param {number} [options.minStreakDays] - Consecutive low days needed to flag a streak.
+   * @param {number} [options.sourceGapRatio] - Inverter/meter disagreement flagged above this share.
+   * @param {number} [options.minSourceGapKwh] - ...and above this many kWh.
+   * @param {number} [options.outlierScore] - Robust z-score above which a bill is an outlier.
+   * @param {ProviderRegistry} [options.registry] - The monthly fields each provider's bills feed,
+   *   which are checked for outliers.
+   */
+  constructor({
+    lowRatio = 0.25,
+    minStreakDays = 2,
+    sourceGapRatio = 0.15,
+    minSourceGapKwh = 50,
+    outlierScore = 3.5,
+    registry = new ProviderRegistry(),
+  } = {}) {
+    this.lowRatio = lowRatio;
+    this.minStreakDays = minStreakDays;
+    this.sourceGapRatio = sourceGapRatio;
+    this.minSourceGapKwh = minSourceGapKwh;
+    this.outlierScore = outlierScore;
+    this.registry = registry;
+  }
+
+  /**
+   * Sets the source of daily solar production data.
+   *
+   * @param {{getDailyProduction: function(): Array<{date: string, production: number}>}} dailySource
+   *   Usually the DataStore.
+   */
+  setDailySolarData(dailySource) {
+    this.dailySolarData = dailySource;
+  }
+
+  /**
+   * @param {Array<Object>} monthly - Calendar-month output of getMonthlyAnalysis().
+   * @param {Object} [options]
+   * @param {string} [options.since] - Only report anomalies ending on or after this date.
+   * @param {string} [options.today] - Days from today on are still filling in and never flagged.
+   * @returns {Array<{type: string, severity: 'warning'|'critical', start: string, end: string, value: number, expected: number, message: string}>}
+   *   Sorted by start date. `type` is "production-streak", "source-gap" or "outlier"; outliers
+   *   also have `utility` and `field`.
+   */
+  detect(monthly, { since = null, today = DateUtils.today() } = {}) {
+    const anomalies = [
+      ...this.productionStreaks(today),
+      ...this.sourceGaps(monthly),
+      ...this.outliers(monthly),
+    ];
+    return anomalies
+      .filter((a) => !since || a.end >= since)
+      .sort((a, b) => a.start.localeCompare(b.start) || a.type.localeCompare(b.type));
+  }
+
+  /**
+   * Runs of days producing far less than the same time of year usually does.
+   *
+   * @param {string} today - YYYY-MM-DD
+   * @returns {Array<Object>}
+   */
+  productionStreaks(today) {
+    const days = (this.dailySolarData?.getDailyProduction() || []).filter((d) => d.date < today);
+    const byDayOfYear = {};
+    for (const day of days) {
+      (byDayOfYear[dayOfYear(day.date)] ||= []).push(day);
+    }
+
+    const expected = (day, index) => {
+      const year = day.date.slice(0, 4);
+      const reference = [];
+      for (let offset = -SEASON_WINDOW_DAYS; offset <= SEASON_WINDOW_DAYS; offset++) {
+        const other = byDayOfYear[(dayOfYear(day.date) + offset + 365) % 365] || [];
+        reference.push(...other.filter((d) => !d.date.startsWith(year)).map((d) => d.production));
+      }
+      if (reference.length < MIN_REFERENCE_DAYS) {
+        const from = DateUtils.addDays(day.date, -SEASON_WINDOW_DAYS);
+        const to = DateUtils.addDays(day.date, SEASON_WINDOW_DAYS);
+        days.forEach((d, i) => {
+          if (i !== index && d.date >= from && d.date <= to) {
+            reference.push(d.production);
+          }
+        });
+      }
+      return median(reference);
+    };
+
+    const streaks = [];
+    let streak = null;
+    const close = () => {
+      if (streak && streak.days.length >= this.minStreakDays) {
+        streaks.push(this.streakAnomaly(streak));
+      }
+      streak = null;
+    };
+    days.forEach((day, i) => {
+      const usual = expected(day, i);
+      const low =
+        usual !== null && usual >= MIN_EXPECTED_KWH && day.production < usual * this.lowRatio;
+      if (!low) {
+        close();
+        return;
+      }
+      if (streak && DateUtils.addDays(streak.days.at(-1).date, 1) !== day.date) {
+        close();
+      }
+      streak ||= { days: [], expected: 0 };
+      streak.days.push(day);
+      streak.expected += usual;
+    });
+    close();
+    return streaks;
+  }
+
+  /**
+   * @param {{days: Array<{date: string, production: number}>, expected: number}} streak
+   * @returns {Object}
+   */
+  streakAnomaly({ days, expected }) {
+    const value = days.reduce((sum, d) => sum + d.production, 0);
+    const zero = days.every((d) => d.production === 0);
+    const perDay = Math.round(expected / days.length);
+    return {
+      type: 'production-streak',
+      severity: zero ? 'critical' : 'warning',
+      start: days[0].date,
+      end: days.at(-1).date,
+      value: round(value),
+      expected: round(expected),
+      message: zero
+        ? `${days.length} days of zero production (usually ~${perDay} kWh/day)`
+        : `${days.length} days of low production: ${round(value)} kWh vs ~${round(expected)} kWh expected`,
+    };
+  }
+
+  /**
+   * Months where the Sunrun inverter and the National Grid generation meter disagree.
+   *
+   * @param {Array<Object>} monthly
+   * @returns {Array<Object>}
+   */
+  sourceGaps(monthly) {
+    return monthly
+      .map((m) => ({ m, inverter: m.billingPeriodProd || m.sunrunProd }))
+      .filter(({ m, inverter }) => m.ngProd > 0 && inverter > 0)
+      .filter(({ m, inverter }) => {
+        const gap = Math.abs(inverter - m.ngProd);
+        return (
+          gap >= this.minSourceGapKwh && gap / Math.max(inverter, m.ngProd) > this.sourceGapRatio
+        );
+      })
+      .map(({ m, inverter }) => {
+        const percent = Math.round((Math.abs(inverter - m.ngProd) / m.ngProd) * 100);
+        const direction = inverter > m.ngProd ? 'above' : 'below';
+        return {
+          type: 'source-gap',
+          severity: 'warning',
+          start: m.periodStart,
+          end: m.periodEnd,
+          value: round(inverter),
+          expected: round(m.ngProd),
+          message: `${m.month}: Sunrun reports ${Math.round(inverter)} kWh, ${percent}% ${direction} the National Grid meter (${Math.round(m.ngProd)} kWh)`,
+        };
+      });
+  }
+
+  /**
+   * Bills far from the same season in other years, per utility and field. Uses the median and
+   * median absolute deviation so one bad month doesn't hide another.
+   *
+   * @param {Array<Object>} monthly
+   * @returns {Array<Object>}
+   */
+  outliers(monthly) {
+    const anomalies = [];
+    for (const [utility, fields] of Object.entries(this.utilityFields())) {
+      // Months without a bill of this type have every field at 0
+      const billed = monthly.filter((m) => Object.keys(fields).some((f) => m[f]));
+      for (const [field, measure] of Object.entries(fields)) {
+        for (const m of billed) {
+          const reference = billed
+            .filter((other) => other.month.slice(0, 4) !== m.month.slice(0, 4))
+            .filter((other) => monthDistance(other.month, m.month) <= 1)
+            .map((other) => other[field]);
+          if (reference.length < MIN_OUTLIER_HISTORY) {
+            continue;
+          }
+
+          const usual = median(reference);
+          const mad = median(reference.map((v) => Math.abs(v - usual)));
+          // A floor of 10% of the median keeps near-identical history from flagging small changes
+          const scale = Math.max(1.4826 * mad, 0.1 * Math.abs(usual), 1);
+          const score = (m[field] - usual) / scale;
+          if (Math.abs(score) < this.outlierScore) {
+            continue;
+          }
+          anomalies.push({
+            type: 'outlier',
+            severity: Math.abs(score) >= this.outlierScore * 2 ? 'critical' : 'warning',
+            utility,
+            field,
+            start: m.periodStart,
+            end: m.periodEnd,
+            value: round(m[field]),
+            expected: round(usual),
+            message: `${m.month}: ${utility} ${measure} of ${round(m[field])} is ${score > 0 ? 'high' : 'low'} (usually ~${round(usual)})`,
+          });
+        }
+      }
+    }
+    return anomalies;
+  }
+
+  /**
+   * Per bill type, the monthly fields checked for outliers and the record field each comes
+   * from. A monthly field fed by several providers is checked once, for the first of them.
+   *
+   * @returns {Object<string, Object<string, string>>} - {type: {monthlyField: recordField}}
+   */
+  utilityFields() {
+    const checked = new Set();
+    const utilities = {};
+    for (const { type } of this.registry.providers) {
+      const fields = Object.entries(this.registry.fieldsOf(type))
+        .filter(([, target]) => !checked.has(target))
+        .map(([field, target]) => [target, field]);
+      fields.forEach(([target]) => checked.add(target));
+      if (fields.length > 0) {
+        utilities[type] = Object.fromEntries(fields);
+      }
+    }
+    return utilities;
+  }
+}
+
+/**
+ * @param {string} date - YYYY-MM-DD
+ * @returns {number} - 0-based day of the year, with Feb 29 folded into Mar 1.
+ */
+function dayOfYear(date) {
+  return DateUtils.daysBetween(
+    '2023-01-01',
+    `2023-${date.slice(5) === '02-29' ? '03-01' : date.slice(5)}`
+  );
+}
+
+/**
+ * Distance in months between the calendar months of two YYYY-MM strings, wrapping at the year.
+ *
+ * @param {string} a
+ * @param {string} b
+ * @returns {number} - 0 to 6
+ */
+function monthDistance(a, b) {
+  const diff = Math.abs(Number(a.slice(5)) - Number(b.slice(5)));
+  return Math.min(diff, 12 - diff);
+}
+
+/**
+ * @param {Array<number>} values
+ * @returns {number|null}
+ */
+function median(values) {
+  if (values.length === 0) {
+    return null;
+  }
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+/**
+ * @param {number} value
+ * @returns {number}
+ */
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
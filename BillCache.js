@@ -0,0 +1,104 @@
+export default class BillCache {
+  /**
+   * Bumped whenever the shape of a cached bill changes; older entries are re-parsed.
+   */
+  static SCHEMA_VERSION = 2;
+
+  /**
+   * @param {BillParser} parser - Used to look up the current version of each parser.
+   * @param {DataStore} store
+   */
+  constructor(parser, store) {
+    this.parser = parser;
+    this.store = store;
+  }
+
+  /**
+   * Returns the parsed record for a file, whether or not it is up to date.
+   *
+   * @param {string} fileId
+   * @returns {Object|undefined}
+   */
+  getRecord(fileId) {
+    return this.store.getBill(fileId)?.record;
+  }
+
+  /**
+   * Checks whether a cached bill was produced by the current cache schema and parser version.
+   *
+   * @param {string} fileId
+   * @returns {boolean}
+   */
+  isFresh(fileId) {
+    return this.isEntryFresh(this.store.getBill(fileId));
+  }
+
+  isEntryFresh(entry) {
+    if (!entry || entry.schemaVersion !== BillCache.SCHEMA_VERSION) {
+      return false;
+    }
+    try {
+      return entry.parserVersion === this.parser.getParserVersion(entry.parser);
+    } catch {
+      // Parser type no longer exists
+      return false;
+    }
+  }
+
+  /**
+   * Records that a file was seen in a source, so its name and location are known.
+   *
+   * @param {{id: string, name: string}} file
+   * @param {string} sourceLabel
+   */
+  trackFile(file, sourceLabel) {
+    this.store.upsertSourceFile(file, sourceLabel);
+  }
+
+  /**
+   * Stores a parsed record along with the parser that produced it.
+   *
+   * @param {{id: string, name: string}} file - Source file.
+   * @param {Object} record - Parsed bill record.
+   */
+  setRecord(file, record) {
+    this.store.upsertSourceFile(file);
+    this.store.putBill(file.id, record, {
+      parser: record.type,
+      parserVersion: this.parser.getParserVersion(record.type),
+      schemaVersion: BillCache.SCHEMA_VERSION,
+    });
+  }
+
+  /**
+   * @param {Object} [filters] - See DataStore.listBills().
+   * @returns {Array<{fileId: string, fileName: string, source: string|null, parser: string, fresh: boolean, record: Object}>}
+   *   `source` is the label of the source the file was last seen in.
+   */
+  entries(filters = {}) {
+    return this.store.listBills(filters).map((entry) => ({
+      fileId: entry.fileId,
+      fileName: entry.fileName || entry.fileId,
+      source: entry.fileSource,
+      parser: entry.parser,
+      fresh: this.isEntryFresh(entry),
+      record: entry.record,
+    }));
+  }
+
+  /**
+   * @returns {Array<string>}
+   */
+  fileIds() {
+    return this.store.listBills().map((entry) => entry.fileId);
+  }
+
+  delete(fileId) {
+    this.store.deleteBill(fileId);
+  }
+
+  save() {
+    this.store.save();
+    console.log('📦 Cache saved.');
+  }
+}
@@ -0,0 +1,301 @@
+import BillSources from './BillSources.js';
+import ParseQualityReport from './ParseQualityReport.js';
+
+/**
+ * How many bills are downloaded and parsed at once by default.
+ */
+const DEFAULT_CONCURRENCY = 4;
+
+export default class BillIngestor {
+  static DEFAULT_CONCURRENCY = DEFAULT_CONCURRENCY;
+
+  /**
+   * @param {BillCache} billCache - Parsed bill cache (file ID -> versioned record).
+   * @param {Object} [options]
+   * @param {BillSources} [options.sources] - Where folders are listed and bills downloaded from.
+   */
+  constructor(billCache, { sources = new BillSources({ store: billCache.store }) } = {}) {
+    this.billCache = billCache;
+    this.parser = billCache.parser;
+    this.sources = sources;
+    this.quality = new ParseQualityReport();
+    // Bills parsed for the first time by ingest(), for notifications
+    this.newBills = [];
+  }
+
+  /**
+   * The configured bill folders, one per provider (see ProviderRegistry).
+   *
+   * @param {Object} [options]
+   * @param {string} [options.type] - Only return the folder for this bill type (plus the inbox).
+   * @returns {Array<{name: string, type: string, spec: string}>}
+   */
+  getFolders({ type = null } = {}) {
+    return this.parser.registry.folders({ type });
+  }
+
+  /**
+   * Lists the files in every folder.
+   *
+   * @param {Array<Object>} folders - From getFolders().
+   * @returns {Promise<Array<Object>>} - The folders with `source` and `files` filled in.
+   */
+  async listFolders(folders) {
+    console.log('📂 Fetching file lists...');
+    for (const folder of folders) {
+      folder.source = await this.sources.get(folder.spec);
+      folder.files = await folder.source.listFiles();
+      console.log(`📄 Found ${folder.files.length} ${folder.name} bills in ${folder.source.label}`);
+    }
+    return folders;
+  }
+
+  /**
+   * Fetches and parses every bill that isn't cached yet, or whose cached record came from
+   * an older parser version.
+   *
+   * @param {Object} [options]
+   * @param {string} [options.type] - Only ingest this bill type.
+   * @param {string} [options.since] - Skip files created before this date (YYYY-MM-DD) and bills dated before it.
+   * @param {boolean} [options.dryRun] - Parse, but don't prune or save the cache.
+   * @param {Array<string>} [options.force] - File IDs or names to re-parse even if cached.
+   * @param {Array<string>} [options.forceType] - Bill types to re-parse even if cached.
+   * @param {number} [options.concurrency] - How many bills to download and parse at once.
+   * @returns {Promise<Array<Object>>} - Parsed bill records.
+   */
+  async ingest({
+    type = null,
+    since = null,
+    dryRun = false,
+    force = [],
+    forceType = [],
+    concurrency = DEFAULT_CONCURRENCY,
+  } = {}) {
+    const folders = await this.listFolders(this.getFolders({ type }));
+
+    // Parse data
+    const bills = [];
+    const seenFileIds = new Set();
+
+    // Helper to process files with cache
+    const processFiles = async ({ name, type: folderType, source, files }) => {
+      console.log(`Processing ${name} Bills...`);
+      let newCount = 0;
+      let cacheCount = 0;
+      let reparsedCount = 0;
+      const pending = [];
+
+      for (const file of files) {
+        // The same bill can show up in both its own folder and the inbox
+        if (seenFileIds.has(file.id)) {
+          continue;
+        }
+        seenFileIds.add(file.id);
+        this.billCache.trackFile(file, source.label);
+
+        // Check cache
+        const cached = this.billCache.getRecord(file.id);
+        const forced =
+          force.includes(file.id) ||
+          force.includes(file.name) ||
+          (cached && forceType.includes(cached.type));
+        if (cached && !forced && this.billCache.isFresh(file.id)) {
+          bills.push(BillIngestor.trace(cached, file, source.label));
+          this.quality.add(file, cached);
+          cacheCount++;
+          continue;
+        }
+
+        if (!cached && since && file.createdTime && file.createdTime < since) {
+          continue;
+        }
+        pending.push({ file, cached });
+      }
+
+      // Not in cache (or parsed by an outdated parser), fetch and parse
+      const bar = progress(`${name} bills`, pending.length);
+      const results = await mapConcurrent(pending, concurrency, async ({ file }) => {
+        try {
+          const buffer = await source.getFile(file.id);
+          return { data: await this.parser.parse(folderType, buffer) };
+        } catch (e) {
+          return { error: e };
+        } finally {
+          bar.tick();
+        }
+      });
+      bar.done();
+
+      // Recorded in listing order, so runs don't depend on which download finished first
+      pending.forEach(({ file, cached }, i) => {
+        const { data, error } = results[i];
+        if (error) {
+          console.error(`Failed to process ${file.name}: ${error.message}`);
+          this.quality.addFailure(file, error.message);
+          // Keep using the previous record rather than losing the month
+          if (cached) {
+            bills.push(BillIngestor.trace(cached, file, source.label));
+          }
+        } else if (data) {
+          const bill = BillIngestor.trace(data, file, source.label);
+          bills.push(bill);
+          this.billCache.setRecord(file, data); // Save to cache
+          this.quality.add(file, data);
+          if (cached) {
+            reparsedCount++;
+          } else {
+            newCount++;
+            this.newBills.push(bill);
+          }
+        } else {
+          this.quality.addFailure(file, 'parser returned no record (no bill date found)');
+        }
+      });
+      console.log(`  ✅ ${cacheCount} cached, ${reparsedCount} re-parsed, ${newCount} new.`);
+    };
+
+    for (const folder of folders) {
+      await processFiles(folder);
+    }
+
+    // Pruning only makes sense when every folder was listed
+    if (!type && !dryRun) {
+      this.prune(seenFileIds);
+    }
+
+    // Save cache at the end
+    if (!dryRun) {
+      this.billCache.save();
+    }
+
+    this.quality.print();
+
+    return BillIngestor.filter(bills, { type, since });
+  }
+
+  /**
+   * Returns the cached bills without touching any source.
+   *
+   * @param {Object} [options]
+   * @param {string} [options.type]
+   * @param {string} [options.since]
+   * @returns {Array<Object>}
+   */
+  cachedBills({ type = null, since = null } = {}) {
+    const bills = [];
+    let outdatedCount = 0;
+    const entries = this.billCache.entries({ type, since });
+    for (const { fileId, fileName, source, fresh, record } of entries) {
+      const file = { id: fileId, name: fileName };
+      this.quality.add(file, record);
+      bills.push(BillIngestor.trace(record, file, source));
+      if (!fresh) {
+        outdatedCount++;
+      }
+    }
+    if (outdatedCount > 0) {
+      console.log(
+        `⚠️ ${outdatedCount} cached bills came from an older parser; run fetch-bills to re-parse.`
+      );
+    }
+    return BillIngestor.filter(bills, { type, since });
+  }
+
+  /**
+   * Removes cache entries for files that no longer exist in any source.
+   *
+   * @param {Set<string>} activeFileIds
+   * @param {Object} [options]
+   * @param {boolean} [options.dryRun] - Only count the stale entries.
+   * @returns {number} - Number of stale entries.
+   */
+  prune(activeFileIds, { dryRun = false } = {}) {
+    let removedCount = 0;
+    this.billCache.fileIds().forEach((cacheId) => {
+      if (!activeFileIds.has(cacheId)) {
+        if (!dryRun) {
+          this.billCache.delete(cacheId);
+        }
+        removedCount++;
+      }
+    });
+    if (removedCount > 0) {
+      const verb = dryRun ? 'Would remove' : 'Removed';
+      console.log(`🧹 ${verb} ${removedCount} stale entries from cache.`);
+    }
+    return removedCount;
+  }
+
+  /**
+   * Tags a parsed record with the file it came from, so monthly figures can be traced back
+   * to their bills. The cache keeps the record as parsed.
+   *
+   * @param {Object} record
+   * @param {{id: string, name: string}} file
+   * @param {string|null} sourceLabel - e.g. "drive:House/Sunrun Bills".
+   * @returns {Object} - The record with `fileId`, `fileName` and `fileLink` added.
+   */
+  static trace(record, file, sourceLabel) {
+    return {
+      ...record,
+      fileId: file.id,
+      fileName: file.name,
+      fileLink: BillSources.link(sourceLabel, file),
+    };
+  }
+
+  /**
+   * @param {Array<Object>} bills
+   * @param {{type: string|null, since: string|null}} filters
+   * @returns {Array<Object>}
+   */
+  static filter(bills, { type, since }) {
+    return bills.filter((b) => (!type || b.type === type) && (!since || b.date >= since));
+  }
+}
+
+/**
+ * Runs `fn` over every item with at most `limit` calls in flight.
+ *
+ * @param {Array<*>} items
+ * @param {number} limit
+ * @param {function(*, number): Promise<*>} fn
+ * @returns {Promise<Array<*>>} - Results in the order of `items`.
+ */
+async function mapConcurrent(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const i = next++;
+      results[i] = await fn(items[i], i);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, worker));
+  return results;
+}
+
+/**
+ * Counts finished items on a "⏳ 3/12 National Grid bills" line, redrawn in place on a terminal.
+ *
+ * @param {string} label
+ * @param {number} total
+ * @returns {{tick: function(): void, done: function(): void}}
+ */
+function progress(label, total) {
+  const live = Boolean(process.stdout.isTTY) && total > 0;
+  let count = 0;
+  return {
+    tick() {
+      count++;
+      if (live) {
+        process.stdout.write(`\r  ⏳ ${count}/${total} ${label}`);
+      }
+    },
+    done() {
+      if (live) {
+        process.stdout.write('\n');
+      }
+    },
+  };
+}
@@ -1,47 +1,146 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import { PDFParse } from 'pdf-parse';
+import ProviderRegistry from './ProviderRegistry.js';
+
+/**
+ * Helpers every parser depends on; a change here changes every parser's output.
+ */
+const SHARED_MODULES = ['./parsers/FieldTracker.js'];
+
 export default class BillParser {
-  constructor() {
+  /**
+   * @param {ProviderRegistry} [registry] - The providers whose bills can be parsed and detected.
+   */
+  constructor(registry = new ProviderRegistry()) {
+    this.registry = registry;
     this.parsers = {};
+    this.versions = {};
   }
 
   /**
-   * Generic parse method that lazy loads the appropriate parser.
+   * Bill types that can be detected from a PDF's content.
    *
-   * @param {string} type - 'NationalGrid', 'Sunrun', or 'Eversource'
+   * @returns {Array<string>}
+   */
+  get types() {
+    return this.registry.types;
+  }
+
+  /**
+   * Generic parse method that detects the bill type from its content and
+   * routes it to the matching parser.
+   *
+   * @param {string} type - A provider's bill type (e.g. 'NationalGrid'), or 'auto' for a mixed inbox
    * @param {Buffer} buffer - PDF file buffer
    * @returns {Promise<Object|null>}
    */
   async parse(type, buffer) {
-    if (!this.parsers[type]) {
-      await this.loadParser(type);
+    const text = await this.extractText(buffer);
+    return this.parseText(type, text);
+  }
+
+  /**
+   * Parses already extracted bill text.
+   *
+   * @param {string} type - Expected type (usually from the source folder), or 'auto'
+   * @param {string} text
+   * @returns {Promise<Object|null>}
+   */
+  async parseText(type, text) {
+    const detected = await this.detect(text);
+
+    let resolvedType = type;
+    if (detected) {
+      if (type !== 'auto' && detected.type !== type) {
+        console.warn(
+          `\n⚠️ Bill looks like ${detected.type} (score ${detected.score}) but came from a ${type} folder. Parsing as ${detected.type}.`
+        );
+      }
+      resolvedType = detected.type;
+    } else if (type === 'auto') {
+      throw new Error('Could not detect bill type from content');
+    }
+
+    if (!this.parsers[resolvedType]) {
+      await this.loadParser(resolvedType);
     }
 
-    const parser = this.parsers[type];
+    const parser = this.parsers[resolvedType];
     if (!parser) {
-      throw new Error(`No parser found for type: ${type}`);
+      throw new Error(`No parser found for type: ${resolvedType}`);
     }
 
-    return parser.parse(buffer);
+    return parser.parse(text);
   }
 
-  async loadParser(type) {
-    switch (type) {
-      case 'NationalGrid': {
-        const { default: NationalGridParser } = await import('./parsers/NationalGridParser.js');
-        this.parsers[type] = new NationalGridParser();
-        break;
-      }
-      case 'Sunrun': {
-        const { default: SunrunParser } = await import('./parsers/SunrunParser.js');
-        this.parsers[type] = new SunrunParser();
-        break;
+  /**
+   * Extracts the text layer of a PDF.
+   *
+   * @param {Buffer} buffer
+   * @returns {Promise<string>}
+   */
+  async extractText(buffer) {
+    let pdf = null;
+    try {
+      pdf = new PDFParse({ data: buffer });
+      const data = await pdf.getText();
+      return data.text;
+    } finally {
+      await pdf?.destroy?.();
+    }
+  }
+
+  /**
+   * Scores every registered parser's signatures against the text.
+   *
+   * @param {string} text
+   * @returns {Promise<{type: string, score: number}|null>} - Best match, or null if nothing matched
+   *   or the top score is tied.
+   */
+  async detect(text) {
+    const scores = [];
+    for (const type of this.types) {
+      if (!this.parsers[type]) {
+        await this.loadParser(type);
       }
-      case 'Eversource': {
-        const { default: EversourceParser } = await import('./parsers/EversourceParser.js');
-        this.parsers[type] = new EversourceParser();
-        break;
+      const { signatures = [] } = this.parsers[type].constructor;
+      const score = signatures.reduce(
+        (sum, { pattern, weight }) => sum + (pattern.test(text) ? weight : 0),
+        0
+      );
+      scores.push({ type, score });
+    }
+
+    scores.sort((a, b) => b.score - a.score);
+    const [best, runnerUp] = scores;
+    if (best.score === 0 || best.score === runnerUp?.score) {
+      return null;
+    }
+    return best;
+  }
+
+  async loadParser(type) {
+    const { default: Parser } = await import(this.registry.parserUrl(type));
+    this.parsers[type] = new Parser();
+  }
+
+  /**
+   * Returns a version string for a parser: a hash of its source (and shared helpers),
+   * so any regex fix automatically invalidates the bills it parsed before.
+   *
+   * @param {string} type
+   * @returns {string}
+   */
+  getParserVersion(type) {
+    if (!this.versions[type]) {
+      const hash = crypto.createHash('sha256');
+      const shared = SHARED_MODULES.map((file) => new URL(file, import.meta.url));
+      for (const url of [this.registry.parserUrl(type), ...shared]) {
+        hash.update(fs.readFileSync(url));
       }
-      default:
-        throw new Error(`Unknown parser type: ${type}`);
+      this.versions[type] = hash.digest('hex').slice(0, 12);
     }
+    return this.versions[type];
   }
 }
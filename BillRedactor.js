@@ -0,0 +1,53 @@
+/**
+ * Labels whose value (the rest of the line) identifies the customer.
+ */
+const LABELED_FIELDS = [
+  /(Account\s*(?:Number|No\.?|#)\s*:?[ \t]*)([^\n]+)/gi,
+  /(Service\s+(?:Address|Location|For)\s*:?[ \t]*)([^\n]+)/gi,
+  /(Customer\s+Name\s*:?[ \t]*)([^\n]+)/gi,
+  /(Meter\s*(?:Number|No\.?|#)\s*:?[ \t]*)([^\n]+)/gi,
+];
+
+const STREET_LINE =
+  /^[ \t]*\d+[ \t]+[A-Za-z0-9.' -]+?[ \t](?:St|Street|Rd|Road|Ave|Avenue|Ln|Lane|Dr|Drive|Ct|Court|Way|Pl|Place|Blvd|Boulevard|Cir|Circle|Ter|Terrace|Pkwy|Hwy)\b\.?.*$/gim;
+
+const CITY_STATE_ZIP_LINE = /^[ \t]*[A-Za-z .'-]+,?[ \t]+[A-Z]{2}[ \t]+\d{5}(?:-\d{4})?[ \t]*$/gm;
+
+// Runs of 8+ digits (optionally dash-grouped): account, meter and reference numbers.
+// Space-grouped numbers are left alone since meter-read lines put days and readings side by side.
+const LONG_NUMBER = /\b\d(?:-?\d){7,}\b/g;
+
+export default class BillRedactor {
+  /**
+   * @param {Array<string>} [extraTerms] - Additional literal strings to scrub (e.g. names).
+   */
+  constructor(extraTerms = []) {
+    this.extraTerms = extraTerms.filter(Boolean);
+  }
+
+  /**
+   * Removes account numbers, addresses and other personal details from bill text,
+   * while leaving the amounts, dates and usage lines the parsers rely on intact.
+   *
+   * @param {string} text
+   * @returns {string}
+   */
+  redact(text) {
+    let result = text;
+
+    for (const term of this.extraTerms) {
+      const escaped = term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      result = result.replace(new RegExp(escaped, 'gi'), '[REDACTED]');
+    }
+
+    for (const pattern of LABELED_FIELDS) {
+      result = result.replace(pattern, '$1[REDACTED]');
+    }
+
+    result = result.replace(STREET_LINE, '[ADDRESS]');
+    result = result.replace(CITY_STATE_ZIP_LINE, '[CITY, ST ZIP]');
+    result = result.replace(LONG_NUMBER, (match) => match.replace(/\d/g, 'X'));
+
+    return result;
+  }
+}
@@ -0,0 +1,79 @@
+import path from 'path';
+import { pathToFileURL } from 'url';
+
+export default class BillSources {
+  /**
+   * @param {Object} [options]
+   * @param {DataStore} [options.store] - Lets Drive sources list only what changed since last run.
+   * @param {DriveClient} [options.driveClient] - Shared by Drive sources; built on first use if omitted.
+   */
+  constructor({ store = null, driveClient = null } = {}) {
+    this.store = store;
+    this.driveClient = driveClient;
+  }
+
+  /**
+   * Creates a bill source from a spec string.
+   *
+   * Specs look like "drive:House/National Grid Bills" or "local:./bills/electric".
+   * A spec without a scheme is treated as a Drive folder path.
+   * Both source types implement listFiles() and getFile(fileId).
+   *
+   * @param {string} spec
+   * @returns {Promise<DriveSource|LocalSource>}
+   */
+  async get(spec) {
+    const { scheme, location } = BillSources.parseSpec(spec);
+
+    switch (scheme) {
+      case 'drive': {
+        const { default: DriveSource } = await import('./sources/DriveSource.js');
+        // Only build Drive auth once, and only when a Drive source is actually configured
+        if (!this.driveClient) {
+          this.driveClient = DriveSource.createClient();
+        }
+        return new DriveSource(location, this.driveClient, { store: this.store });
+      }
+      case 'local': {
+        const { default: LocalSource } = await import('./sources/LocalSource.js');
+        return new LocalSource(location);
+      }
+      default:
+        throw new Error(`Unknown bill source scheme: ${scheme}`);
+    }
+  }
+
+  /**
+   * @param {string} spec
+   * @returns {{scheme: string, location: string}}
+   */
+  static parseSpec(spec) {
+    const match = spec.match(/^([a-z]+):(.+)$/);
+    if (!match) {
+      return { scheme: 'drive', location: spec };
+    }
+    return { scheme: match[1], location: match[2] };
+  }
+
+  /**
+   * Where a listed file can be opened: its Drive page, or a file:// URL for a local bill.
+   *
+   * @param {string} label - The source's label, e.g. "drive:House/Sunrun Bills".
+   * @param {{id: string, name: string}} file
+   * @returns {string|null} - Null for an unknown source.
+   */
+  static link(label, file) {
+    if (!label) {
+      return null;
+    }
+    const { scheme, location } = BillSources.parseSpec(label);
+    switch (scheme) {
+      case 'drive':
+        return `https://drive.google.com/file/d/${file.id}/view`;
+      case 'local':
+        return pathToFileURL(path.join(location, file.name)).href;
+      default:
+        return null;
+    }
+  }
+}
@@ -0,0 +1,241 @@
+import http from 'http';
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Serves the dashboard and the data behind it over HTTP (`node analyzeBills.js serve`):
+ *
+ *   GET  /              The dashboard, which loads its data from the API
+ *   GET  /api/report    Everything the dashboard shows (see ReportGenerator.build())
+ *   GET  /api/monthly   Monthly analysis; ?view=billing for billing cycles
+ *   GET  /api/daily     Daily production; optional ?from=YYYY-MM-DD&to=YYYY-MM-DD
+ *   GET  /api/bills     Parsed bills; optional ?type=<provider type>
+ *   GET  /api/status    When the data was last loaded, and the last refresh
+ *   POST /api/refresh   Syncs solar data and fetches new bills, then reloads the data
+ *
+ * The analysis is run once and kept until the next refresh. Refreshes are only accepted from
+ * the dashboard itself (or from clients that send no Origin, like curl), so another web page
+ * open in the browser can't start one.
+ */
+export default class DashboardServer {
+  /**
+   * @param {ReportGenerator} generator
+   * @param {DataStore} store - Source of daily production data.
+   * @param {Object} sources
+   * @param {function(): {bills: Array<Object>, quality: Array<Object>}} sources.load - Reads the
+   *   cached bills and their parse-quality entries.
+   * @param {function(): Promise<{bills: Array<Object>, quality: Array<Object>}>} [sources.refresh] -
+   *   Fetches new data into the store, and returns the bills afterwards.
+   * @param {Object} [options]
+   * @param {string} [options.since] - Only serve data on or after this date.
+   */
+  constructor(generator, store, { load, refresh = null }, { since = null } = {}) {
+    this.generator = generator;
+    this.store = store;
+    this.load = load;
+    this.refreshSources = refresh;
+    this.since = since;
+    this.data = null;
+    this.refreshing = null;
+    this.lastRefresh = null;
+    this.server = http.createServer((req, res) => this.handle(req, res));
+  }
+
+  /**
+   * @param {number} [port] - 0 picks a free port.
+   * @param {string} [host] - Only reachable from this machine by default.
+   * @returns {Promise<string>} - The server's URL.
+   */
+  async listen(port = 8080, host = '127.0.0.1') {
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(port, host, resolve);
+    });
+    return this.url;
+  }
+
+  /**
+   * @returns {string}
+   */
+  get url() {
+    const { address, port } = this.server.address();
+    return `http://${address}:${port}`;
+  }
+
+  /**
+   * @returns {Promise<void>}
+   */
+  close() {
+    return new Promise((resolve) => this.server.close(resolve));
+  }
+
+  /**
+   * The bills and the analysis of them, loaded on first use.
+   *
+   * @returns {{bills: Array<Object>, report: Object, updatedAt: string}}
+   */
+  current() {
+    this.data ||= this.analyze(this.load());
+    return this.data;
+  }
+
+  /**
+   * @param {{bills: Array<Object>, quality: Array<Object>}} sources
+   * @returns {{bills: Array<Object>, report: Object, updatedAt: string}}
+   */
+  analyze({ bills, quality }) {
+    return {
+      bills,
+      report: this.generator.build(bills, this.store, { since: this.since, quality }),
+      updatedAt: new Date().toISOString(),
+    };
+  }
+
+  /**
+   * Fetches new data and re-runs the analysis. Requests made while a refresh is running share it.
+   *
+   * @returns {Promise<void>}
+   */
+  refresh() {
+    this.refreshing ||= this.runRefresh().finally(() => {
+      this.refreshing = null;
+    });
+    return this.refreshing;
+  }
+
+  /**
+   * @returns {Promise<void>}
+   */
+  async runRefresh() {
+    const startedAt = new Date().toISOString();
+    try {
+      this.data = this.analyze(await this.refreshSources());
+      this.lastRefresh = { startedAt, finishedAt: new Date().toISOString(), error: null };
+    } catch (e) {
+      this.lastRefresh = { startedAt, finishedAt: new Date().toISOString(), error: e.message };
+      throw e;
+    }
+  }
+
+  /**
+   * @returns {Object}
+   */
+  status() {
+    const { bills, updatedAt } = this.current();
+    return {
+      updatedAt,
+      refreshing: Boolean(this.refreshing),
+      lastRefresh: this.lastRefresh,
+      bills: bills.length,
+      daily: this.store.getDailyProductionStats(),
+    };
+  }
+
+  /**
+   * Whether a request's Origin header is this server's, or absent (not sent by a browser page).
+   *
+   * @param {string|undefined} origin
+   * @returns {boolean}
+   */
+  isOwnOrigin(origin) {
+    if (!origin) {
+      return true;
+    }
+    const { port } = this.server.address();
+    return [this.url, `http://localhost:${port}`].includes(origin);
+  }
+
+  /**
+   * Resolves a request to a response.
+   *
+   * @param {string} method
+   * @param {URL} url
+   * @param {Object<string, string>} [headers]
+   * @returns {Promise<{status?: number, body: *, type?: string}>}
+   */
+  async route(method, url, headers = {}) {
+    const query = url.searchParams;
+    switch (`${method} ${url.pathname}`) {
+      case 'GET /':
+      case 'GET /index.html':
+        return { body: this.generator.render(null), type: 'text/html; charset=utf-8' };
+      case 'GET /api/report':
+        return { body: this.current().report };
+      case 'GET /api/monthly': {
+        const view = query.get('view') || 'calendar';
+        if (!['calendar', 'billing'].includes(view)) {
+          return badRequest(`view must be calendar or billing, got "${view}"`);
+        }
+        const { report } = this.current();
+        return { body: view === 'billing' ? report.billingCycles : report.monthly };
+      }
+      case 'GET /api/daily': {
+        const from = query.get('from') || this.since || undefined;
+        const to = query.get('to') || undefined;
+        const invalid = [from, to].find((date) => date && !DATE_PATTERN.test(date));
+        if (invalid) {
+          return badRequest(`from and to must be YYYY-MM-DD, got "${invalid}"`);
+        }
+        return { body: this.store.getDailyProduction(from, to) };
+      }
+      case 'GET /api/bills': {
+        const type = query.get('type');
+        const bills = this.current()
+          .bills.filter((b) => !type || b.type === type)
+          .sort(
+            (a, b) =>
+              (a.date || '').localeCompare(b.date || '') ||
+              (a.type || '').localeCompare(b.type || '')
+          )
+          .map((bill) => {
+            // Diagnostics are parser internals, not bill data
+            const row = { ...bill };
+            delete row.diagnostics;
+            return row;
+          });
+        return { body: bills };
+      }
+      case 'GET /api/status':
+        return { body: this.status() };
+      case 'POST /api/refresh':
+        if (!this.isOwnOrigin(headers.origin)) {
+          return {
+            status: 403,
+            body: { error: `Refreshing is not allowed from ${headers.origin}` },
+          };
+        }
+        if (!this.refreshSources) {
+          return { status: 501, body: { error: 'Refreshing is not available' } };
+        }
+        await this.refresh();
+        return { body: this.status() };
+      default:
+        return notFound(url);
+    }
+  }
+
+  /**
+   * @param {http.IncomingMessage} req
+   * @param {http.ServerResponse} res
+   */
+  async handle(req, res) {
+    let response;
+    try {
+      response = await this.route(req.method, new URL(req.url, 'http://localhost'), req.headers);
+    } catch (e) {
+      console.error(`${req.method} ${req.url} failed:`, e.message);
+      response = { status: 500, body: { error: e.message } };
+    }
+    const { status = 200, body, type = 'application/json' } = response;
+    res.writeHead(status, { 'Content-Type': type, 'Cache-Control': 'no-store' });
+    res.end(type === 'application/json' ? JSON.stringify(body) : body);
+  }
+}
+
+function badRequest(message) {
+  return { status: 400, body: { error: message } };
+}
+
+function notFound(url) {
+  return { status: 404, body: { error: `Not found: ${url.pathname}` } };
+}
@@ -0,0 +1,191 @@
+import fs from 'fs';
+import path from 'path';
+import ExcelJS from 'exceljs';
+
+/**
+ * Bill columns that lead every export, before the type-specific fields.
+ */
+const BILL_COLUMNS = ['type', 'date', 'startDate', 'endDate', 'cost'];
+
+/**
+ * Sheet names for the XLSX export, per dataset.
+ */
+const SHEETS = { bills: 'Bills', daily: 'Daily Production', monthly: 'Monthly Analysis' };
+
+/**
+ * Writes the parsed bills, the Sunrun daily series and the monthly analysis as JSON, CSV
+ * (one file per dataset) or a multi-sheet XLSX workbook.
+ */
+export default class DataExporter {
+  static FORMATS = ['json', 'csv', 'xlsx'];
+
+  /**
+   * Picks the export format from an explicit option or the output file's extension.
+   *
+   * @param {string|null} format
+   * @param {string|null} outPath
+   * @returns {string}
+   */
+  static resolveFormat(format, outPath) {
+    const resolved =
+      format ||
+      path
+        .extname(outPath || '')
+        .slice(1)
+        .toLowerCase() ||
+      'json';
+    if (!DataExporter.FORMATS.includes(resolved)) {
+      throw new Error(
+        `❌ Export format must be one of ${DataExporter.FORMATS.join(', ')}, got "${resolved}"`
+      );
+    }
+    return resolved;
+  }
+
+  /**
+   * Gathers the rows of each dataset, filtered to a date range and utility.
+   *
+   * @param {Object} sources
+   * @param {Array<Object>} sources.bills - Parsed bill records.
+   * @param {Array<Object>} sources.monthly - Output of getMonthlyAnalysis().
+   * @param {{getDailyProduction: function(string, string): Array<Object>}} sources.store
+   * @param {Object} [filters]
+   * @param {string} [filters.since] - YYYY-MM-DD, inclusive.
+   * @param {string} [filters.until] - YYYY-MM-DD, inclusive.
+   * @param {string} [filters.type] - Only this utility's bills; daily production is Sunrun's.
+   * @returns {{bills: Array<Object>, daily: Array<Object>, monthly: Array<Object>}}
+   */
+  collect({ bills, monthly, store }, { since = null, until = null, type = null } = {}) {
+    const inRange = (date) => (!since || date >= since) && (!until || date <= until);
+
+    return {
+      bills: bills
+        .filter((b) => (!type || b.type === type) && inRange(b.date))
+        .sort(
+          (a, b) =>
+            (a.date || '').localeCompare(b.date || '') || (a.type || '').localeCompare(b.type || '')
+        )
+        .map((bill) => {
+          // Diagnostics are parser internals, not bill data
+          const row = { ...bill };
+          delete row.diagnostics;
+          return row;
+        }),
+      daily:
+        !type || type === 'Sunrun'
+          ? store.getDailyProduction(since || undefined, until || undefined)
+          : [],
+      monthly: monthly.filter(
+        (m) => (!since || m.month >= since.slice(0, 7)) && (!until || m.month <= until.slice(0, 7))
+      ),
+    };
+  }
+
+  /**
+   * @param {{bills: Array<Object>, daily: Array<Object>, monthly: Array<Object>}} data
+   * @param {string} outPath - For CSV, each dataset goes to "<name>-<dataset>.csv" beside it.
+   * @param {string} format - One of FORMATS.
+   * @returns {Promise<Array<string>>} - Paths written.
+   */
+  async write(data, outPath, format) {
+    switch (format) {
+      case 'json':
+        fs.writeFileSync(outPath, JSON.stringify(data, null, 2));
+        return [outPath];
+      case 'csv': {
+        const { dir, name } = path.parse(outPath);
+        return Object.entries(data).map(([dataset, records]) => {
+          const csvPath = path.join(dir, `${name}-${dataset}.csv`);
+          const rows = DataExporter.flatten(dataset, records);
+          fs.writeFileSync(csvPath, DataExporter.toCsv(rows, this.columns(dataset, rows)));
+          return csvPath;
+        });
+      }
+      case 'xlsx':
+        await this.toWorkbook(data).xlsx.writeFile(outPath);
+        return [outPath];
+      default:
+        throw new Error(`Unknown export format: ${format}`);
+    }
+  }
+
+  /**
+   * @param {{bills: Array<Object>, daily: Array<Object>, monthly: Array<Object>}} data
+   * @returns {ExcelJS.Workbook} - One sheet per dataset, with a frozen header row.
+   */
+  toWorkbook(data) {
+    const workbook = new ExcelJS.Workbook();
+    for (const [dataset, records] of Object.entries(data)) {
+      const rows = DataExporter.flatten(dataset, records);
+      const sheet = workbook.addWorksheet(SHEETS[dataset], {
+        views: [{ state: 'frozen', ySplit: 1 }],
+      });
+      sheet.columns = this.columns(dataset, rows).map((key) => ({
+        header: key,
+        key,
+        width: Math.max(12, key.length + 2),
+      }));
+      sheet.getRow(1).font = { bold: true };
+      rows.forEach((row) => sheet.addRow(row));
+    }
+    return workbook;
+  }
+
+  /**
+   * Fits the nested monthly fields into one cell each: the file names of the bills behind the
+   * month, and how many of its days had daily production.
+   *
+   * @param {string} dataset
+   * @param {Array<Object>} rows
+   * @returns {Array<Object>}
+   */
+  static flatten(dataset, rows) {
+    if (dataset !== 'monthly') {
+      return rows;
+    }
+    return rows.map((row) => {
+      const flat = { ...row };
+      if (row.sources) {
+        flat.sources = row.sources
+          .map((s) => s.fileName || s.fileId || `${s.type} ${s.date}`)
+          .join('; ');
+      }
+      if (row.dailyCoverage) {
+        flat.dailyCoverage = `${row.dailyCoverage.covered}/${row.dailyCoverage.days} days`;
+      }
+      return flat;
+    });
+  }
+
+  /**
+   * Every field that appears in a dataset, in first-seen order (bills start with BILL_COLUMNS).
+   *
+   * @param {string} dataset
+   * @param {Array<Object>} rows
+   * @returns {Array<string>}
+   */
+  columns(dataset, rows) {
+    const columns = new Set(dataset === 'bills' ? BILL_COLUMNS : []);
+    rows.forEach((row) => Object.keys(row).forEach((key) => columns.add(key)));
+    return [...columns];
+  }
+
+  /**
+   * @param {Array<Object>} rows
+   * @param {Array<string>} columns
+   * @returns {string}
+   */
+  static toCsv(rows, columns) {
+    const cell = (value) => {
+      if (value === null || value === undefined) {
+        return '';
+      }
+      const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+      return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    return [columns, ...rows.map((row) => columns.map((c) => row[c]))]
+      .map((values) => values.map(cell).join(','))
+      .join('\n')
+      .concat('\n');
+  }
+}
@@ -0,0 +1,692 @@
+import fs from 'fs';
+import path from 'path';
+import initSqlJs from 'sql.js';
+
+/**
+ * Schema migrations, applied in order. PRAGMA user_version records how many have run.
+ */
+const MIGRATIONS = [
+  `
+  CREATE TABLE meta (
+    key TEXT PRIMARY KEY,
+    value TEXT
+  );
+  CREATE TABLE source_files (
+    id TEXT PRIMARY KEY,
+    name TEXT,
+    source TEXT,
+    mime_type TEXT,
+    created_time TEXT,
+    last_seen TEXT
+  );
+  CREATE TABLE bills (
+    file_id TEXT PRIMARY KEY,
+    type TEXT NOT NULL,
+    date TEXT,
+    start_date TEXT,
+    end_date TEXT,
+    parser TEXT,
+    parser_version TEXT,
+    schema_version INTEGER,
+    parsed_at TEXT,
+    record TEXT NOT NULL
+  );
+  CREATE INDEX bills_type_date ON bills (type, date);
+  CREATE TABLE daily_production (
+    date TEXT PRIMARY KEY,
+    production REAL NOT NULL,
+    fetched_at TEXT
+  );
+  CREATE TABLE monthly_analysis (
+    snapshot_at TEXT NOT NULL,
+    month TEXT NOT NULL,
+    data TEXT NOT NULL,
+    PRIMARY KEY (snapshot_at, month)
+  );
+  `,
+  `
+  CREATE TABLE interval_production (
+    timestamp TEXT PRIMARY KEY,
+    date TEXT NOT NULL,
+    time TEXT NOT NULL,
+    production REAL NOT NULL,
+    fetched_at TEXT
+  );
+  CREATE INDEX interval_production_date ON interval_production (date);
+  `,
+  `
+  CREATE TABLE weather_daily (
+    date TEXT PRIMARY KEY,
+    tavg REAL,
+    hdd REAL NOT NULL,
+    cdd REAL NOT NULL,
+    source TEXT,
+    imported_at TEXT
+  );
+  `,
+  `
+  CREATE TABLE grid_interval (
+    timestamp TEXT PRIMARY KEY,
+    date TEXT NOT NULL,
+    time TEXT NOT NULL,
+    duration INTEGER NOT NULL,
+    imported REAL NOT NULL,
+    exported REAL NOT NULL,
+    source TEXT,
+    imported_at TEXT
+  );
+  CREATE INDEX grid_interval_date ON grid_interval (date);
+  `,
+];
+
+/**
+ * Monthly analysis snapshots are kept for this many days (the latest of each day).
+ */
+const MAX_SNAPSHOT_DAYS = 90;
+
+export default class DataStore {
+  /**
+   * Opens (or creates) the store, applies migrations and imports the legacy JSON caches once.
+   *
+   * @param {string|null} [dbFile] - Database file (relative to cwd); null for an in-memory store.
+   * @returns {Promise<DataStore>}
+   */
+  static async open(dbFile = '.energy.db') {
+    const SQL = await initSqlJs();
+    const dbPath = dbFile ? path.resolve(process.cwd(), dbFile) : null;
+    const db =
+      dbPath && fs.existsSync(dbPath)
+        ? new SQL.Database(fs.readFileSync(dbPath))
+        : new SQL.Database();
+
+    const store = new DataStore(db, dbPath);
+    store.migrate();
+    return store;
+  }
+
+  /**
+   * @param {Object} db - sql.js Database
+   * @param {string|null} dbPath
+   */
+  constructor(db, dbPath) {
+    this.db = db;
+    this.dbPath = dbPath;
+  }
+
+  migrate() {
+    const [{ user_version: version }] = this.query('PRAGMA user_version');
+    for (let i = version; i < MIGRATIONS.length; i++) {
+      this.transaction(() => {
+        this.db.exec(MIGRATIONS[i]);
+        this.db.exec(`PRAGMA user_version = ${i + 1}`);
+      });
+    }
+  }
+
+  /**
+   * Writes the database to disk (atomically, via a temp file).
+   */
+  save() {
+    if (!this.dbPath) {
+      return;
+    }
+    const tmpPath = `${this.dbPath}.${process.pid}.tmp`;
+    try {
+      fs.writeFileSync(tmpPath, Buffer.from(this.db.export()));
+      fs.renameSync(tmpPath, this.dbPath);
+    } catch (e) {
+      fs.rmSync(tmpPath, { force: true });
+      throw e;
+    }
+  }
+
+  close() {
+    this.db.close();
+  }
+
+  /**
+   * Runs a SELECT and returns the rows as objects.
+   *
+   * @param {string} sql
+   * @param {Array|Object} [params]
+   * @returns {Array<Object>}
+   */
+  query(sql, params = []) {
+    const stmt = this.db.prepare(sql);
+    try {
+      stmt.bind(params);
+      const rows = [];
+      while (stmt.step()) {
+        rows.push(stmt.getAsObject());
+      }
+      return rows;
+    } finally {
+      stmt.free();
+    }
+  }
+
+  /**
+   * Runs a statement that doesn't return rows.
+   *
+   * @param {string} sql
+   * @param {Array|Object} [params]
+   * @returns {number} - Number of rows changed.
+   */
+  run(sql, params = []) {
+    this.db.run(sql, params);
+    return this.db.getRowsModified();
+  }
+
+  /**
+   * Runs `fn` in a transaction, which is rolled back if it throws.
+   *
+   * @param {function(): *} fn
+   * @returns {*} - What `fn` returned.
+   */
+  transaction(fn) {
+    this.db.exec('BEGIN');
+    try {
+      const result = fn();
+      this.db.exec('COMMIT');
+      return result;
+    } catch (e) {
+      this.db.exec('ROLLBACK');
+      throw e;
+    }
+  }
+
+  getMeta(key) {
+    return this.query('SELECT value FROM meta WHERE key = ?', [key])[0]?.value ?? null;
+  }
+
+  setMeta(key, value) {
+    this.run('INSERT OR REPLACE INTO meta (key, value) VALUES (?, ?)', [key, value]);
+  }
+
+  deleteMeta(key) {
+    this.run('DELETE FROM meta WHERE key = ?', [key]);
+  }
+
+  // --- Source files ---
+
+  /**
+   * Records a file seen in a bill source.
+   *
+   * @param {{id: string, name: string, mimeType?: string, createdTime?: string}} file
+   * @param {string} [source] - Source label, e.g. "drive:House/Sunrun Bills".
+   */
+  upsertSourceFile(file, source = null) {
+    this.run(
+      `INSERT INTO source_files (id, name, source, mime_type, created_time, last_seen)
+       VALUES (?, ?, ?, ?, ?, ?)
+       ON CONFLICT (id) DO UPDATE SET
+         name = excluded.name,
+         source = COALESCE(excluded.source, source),
+         mime_type = COALESCE(excluded.mime_type, mime_type),
+         created_time = COALESCE(excluded.created_time, created_time),
+         last_seen = excluded.last_seen`,
+      [
+        file.id,
+        file.name,
+        source,
+        file.mimeType || null,
+        file.createdTime || null,
+        new Date().toISOString(),
+      ]
+    );
+  }
+
+  getSourceFile(fileId) {
+    return this.query('SELECT * FROM source_files WHERE id = ?', [fileId])[0] || null;
+  }
+
+  // --- Bills ---
+
+  /**
+   * @param {string} fileId
+   * @returns {{fileId: string, fileName: string|null, fileSource: string|null, parser: string, parserVersion: string, schemaVersion: number, parsedAt: string, record: Object}|null}
+   */
+  getBill(fileId) {
+    const [row] = this.query(
+      `SELECT b.*, f.name AS file_name, f.source AS file_source FROM bills b
+       LEFT JOIN source_files f ON f.id = b.file_id
+       WHERE b.file_id = ?`,
+      [fileId]
+    );
+    return row ? DataStore.toBill(row) : null;
+  }
+
+  /**
+   * Stores a parsed bill.
+   *
+   * @param {string} fileId
+   * @param {Object} record - Parsed bill record.
+   * @param {{parser: string, parserVersion: string, schemaVersion: number, parsedAt?: string}} meta
+   */
+  putBill(fileId, record, { parser, parserVersion, schemaVersion, parsedAt = null }) {
+    this.run(
+      `INSERT OR REPLACE INTO bills
+         (file_id, type, date, start_date, end_date, parser, parser_version, schema_version, parsed_at, record)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        fileId,
+        record.type,
+        record.date || null,
+        record.startDate || null,
+        record.endDate || null,
+        parser,
+        parserVersion,
+        schemaVersion,
+        parsedAt || new Date().toISOString(),
+        JSON.stringify(record),
+      ]
+    );
+  }
+
+  deleteBill(fileId) {
+    return this.run('DELETE FROM bills WHERE file_id = ?', [fileId]);
+  }
+
+  /**
+   * Lists bills, optionally filtered by type and bill date range.
+   *
+   * @param {Object} [filters]
+   * @param {string} [filters.type]
+   * @param {string} [filters.since] - YYYY-MM-DD (inclusive)
+   * @param {string} [filters.until] - YYYY-MM-DD (inclusive)
+   * @returns {Array<Object>} - Same shape as getBill().
+   */
+  listBills({ type = null, since = null, until = null } = {}) {
+    const where = [];
+    const params = [];
+    if (type) {
+      where.push('b.type = ?');
+      params.push(type);
+    }
+    if (since) {
+      where.push('b.date >= ?');
+      params.push(since);
+    }
+    if (until) {
+      where.push('b.date <= ?');
+      params.push(until);
+    }
+    const rows = this.query(
+      `SELECT b.*, f.name AS file_name, f.source AS file_source FROM bills b
+       LEFT JOIN source_files f ON f.id = b.file_id
+       ${where.length ? `WHERE ${where.join(' AND ')}` : ''}
+       ORDER BY b.date, b.file_id`,
+      params
+    );
+    return rows.map(DataStore.toBill);
+  }
+
+  static toBill(row) {
+    return {
+      fileId: row.file_id,
+      fileName: row.file_name || null,
+      fileSource: row.file_source || null,
+      parser: row.parser,
+      parserVersion: row.parser_version,
+      schemaVersion: row.schema_version,
+      parsedAt: row.parsed_at,
+      record: JSON.parse(row.record),
+    };
+  }
+
+  // --- Daily production ---
+
+  /**
+   * @param {string} date - YYYY-MM-DD
+   * @param {number} production - kWh
+   */
+  setDailyProduction(date, production) {
+    this.run(
+      'INSERT OR REPLACE INTO daily_production (date, production, fetched_at) VALUES (?, ?, ?)',
+      [date, production, new Date().toISOString()]
+    );
+  }
+
+  /**
+   * @param {string} [from] - YYYY-MM-DD (inclusive)
+   * @param {string} [to] - YYYY-MM-DD (inclusive)
+   * @returns {Array<{date: string, production: number}>}
+   */
+  getDailyProduction(from = '0000-00-00', to = '9999-99-99') {
+    return this.query(
+      'SELECT date, production FROM daily_production WHERE date BETWEEN ? AND ? ORDER BY date',
+      [from, to]
+    );
+  }
+
+  /**
+   * Sums daily production between two dates (inclusive).
+   *
+   * @param {string} from - YYYY-MM-DD
+   * @param {string} to - YYYY-MM-DD
+   * @returns {number} - kWh
+   */
+  sumDailyProduction(from, to) {
+    const [row] = this.query(
+      'SELECT COALESCE(SUM(production), 0) AS total FROM daily_production WHERE date BETWEEN ? AND ?',
+      [from, to]
+    );
+    return row.total;
+  }
+
+  /**
+   * Counts the days with daily production between two dates (inclusive).
+   *
+   * @param {string} from - YYYY-MM-DD
+   * @param {string} to - YYYY-MM-DD
+   * @returns {number}
+   */
+  countDailyProduction(from, to) {
+    const [row] = this.query(
+      'SELECT COUNT(*) AS count FROM daily_production WHERE date BETWEEN ? AND ?',
+      [from, to]
+    );
+    return row.count;
+  }
+
+  /**
+   * @returns {{first: string|null, last: string|null, count: number, total: number}}
+   */
+  getDailyProductionStats() {
+    const [row] = this.query(
+      `SELECT MIN(date) AS first, MAX(date) AS last, COUNT(*) AS count,
+              COALESCE(SUM(production), 0) AS total
+       FROM daily_production`
+    );
+    return row;
+  }
+
+  deleteDailyProduction(from = '0000-00-00', to = '9999-99-99') {
+    return this.run('DELETE FROM daily_production WHERE date BETWEEN ? AND ?', [from, to]);
+  }
+
+  // --- Interval production ---
+
+  /**
+   * @param {Array<{timestamp: string, date: string, time: string, production: number}>} readings
+   *   From SunrunClient.getIntervalProduction().
+   */
+  setIntervalProduction(readings) {
+    const fetchedAt = new Date().toISOString();
+    this.transaction(() => {
+      for (const { timestamp, date, time, production } of readings) {
+        this.run(
+          `INSERT OR REPLACE INTO interval_production (timestamp, date, time, production, fetched_at)
+           VALUES (?, ?, ?, ?, ?)`,
+          [timestamp, date, time, production, fetchedAt]
+        );
+      }
+    });
+  }
+
+  /**
+   * @param {string} [from] - YYYY-MM-DD (inclusive)
+   * @param {string} [to] - YYYY-MM-DD (inclusive)
+   * @returns {Array<{timestamp: string, date: string, time: string, production: number}>}
+   */
+  getIntervalProduction(from = '0000-00-00', to = '9999-99-99') {
+    return this.query(
+      `SELECT timestamp, date, time, production FROM interval_production
+       WHERE date BETWEEN ? AND ? ORDER BY timestamp`,
+      [from, to]
+    );
+  }
+
+  /**
+   * @param {string} [from] - YYYY-MM-DD (inclusive)
+   * @param {string} [to] - YYYY-MM-DD (inclusive)
+   * @returns {Array<string>} - Days with at least one reading.
+   */
+  getIntervalDays(from = '0000-00-00', to = '9999-99-99') {
+    return this.query(
+      'SELECT DISTINCT date FROM interval_production WHERE date BETWEEN ? AND ? ORDER BY date',
+      [from, to]
+    ).map((row) => row.date);
+  }
+
+  /**
+   * Average production per local hour of the day, for each month.
+   *
+   * @param {string} [from] - YYYY-MM-DD (inclusive)
+   * @param {string} [to] - YYYY-MM-DD (inclusive)
+   * @returns {Array<{month: string, hour: number, production: number}>} - kWh per day in that hour.
+   */
+  getHourlyProfiles(from = '0000-00-00', to = '9999-99-99') {
+    return this.query(
+      `WITH days AS (
+         SELECT substr(date, 1, 7) AS month, COUNT(DISTINCT date) AS count
+         FROM interval_production WHERE date BETWEEN ? AND ? GROUP BY month
+       )
+       SELECT substr(p.date, 1, 7) AS month, CAST(substr(p.time, 1, 2) AS INTEGER) AS hour,
+              SUM(p.production) / days.count AS production
+       FROM interval_production p JOIN days ON days.month = substr(p.date, 1, 7)
+       WHERE p.date BETWEEN ? AND ?
+       GROUP BY month, hour
+       ORDER BY month, hour`,
+      [from, to, from, to]
+    );
+  }
+
+  /**
+   * @returns {{first: string|null, last: string|null, days: number, count: number}}
+   */
+  getIntervalStats() {
+    const [row] = this.query(
+      `SELECT MIN(date) AS first, MAX(date) AS last, COUNT(DISTINCT date) AS days, COUNT(*) AS count
+       FROM interval_production`
+    );
+    return row;
+  }
+
+  deleteIntervalProduction(from = '0000-00-00', to = '9999-99-99') {
+    return this.run('DELETE FROM interval_production WHERE date BETWEEN ? AND ?', [from, to]);
+  }
+
+  // --- Weather ---
+
+  /**
+   * @param {Array<{date: string, tavg: number|null, hdd: number, cdd: number}>} days
+   * @param {string} [source] - Where the data came from, e.g. the CSV file name.
+   */
+  setWeather(days, source = null) {
+    const importedAt = new Date().toISOString();
+    this.transaction(() => {
+      for (const { date, tavg, hdd, cdd } of days) {
+        this.run(
+          `INSERT OR REPLACE INTO weather_daily (date, tavg, hdd, cdd, source, imported_at)
+           VALUES (?, ?, ?, ?, ?, ?)`,
+          [date, tavg, hdd, cdd, source, importedAt]
+        );
+      }
+    });
+  }
+
+  /**
+   * Sums degree days between two dates (inclusive).
+   *
+   * @param {string} from - YYYY-MM-DD
+   * @param {string} to - YYYY-MM-DD
+   * @returns {{hdd: number, cdd: number, days: number}} - `days` is how many days had data.
+   */
+  sumDegreeDays(from, to) {
+    const [row] = this.query(
+      `SELECT COALESCE(SUM(hdd), 0) AS hdd, COALESCE(SUM(cdd), 0) AS cdd, COUNT(*) AS days
+       FROM weather_daily WHERE date BETWEEN ? AND ?`,
+      [from, to]
+    );
+    return row;
+  }
+
+  /**
+   * @returns {{first: string|null, last: string|null, count: number}}
+   */
+  getWeatherStats() {
+    const [row] = this.query(
+      'SELECT MIN(date) AS first, MAX(date) AS last, COUNT(*) AS count FROM weather_daily'
+    );
+    return row;
+  }
+
+  // --- Grid intervals (Green Button) ---
+
+  /**
+   * @param {Array<{timestamp: string, date: string, time: string, duration: number, imported: number, exported: number}>} readings
+   *   From GreenButtonImporter.parse().
+   * @param {string|null} [source] - File the readings came from.
+   */
+  setGridIntervals(readings, source = null) {
+    const importedAt = new Date().toISOString();
+    this.transaction(() => {
+      for (const { timestamp, date, time, duration, imported, exported } of readings) {
+        this.run(
+          `INSERT OR REPLACE INTO grid_interval
+             (timestamp, date, time, duration, imported, exported, source, imported_at)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+          [timestamp, date, time, duration, imported, exported, source, importedAt]
+        );
+      }
+    });
+  }
+
+  /**
+   * Sums grid import and export between two dates (inclusive).
+   *
+   * @param {string} from - YYYY-MM-DD
+   * @param {string} to - YYYY-MM-DD
+   * @returns {{imported: number, exported: number, seconds: number}} - `seconds` is how much of
+   *   the range the readings cover.
+   */
+  sumGridIntervals(from, to) {
+    const [row] = this.query(
+      `SELECT COALESCE(SUM(imported), 0) AS imported, COALESCE(SUM(exported), 0) AS exported,
+              COALESCE(SUM(duration), 0) AS seconds
+       FROM grid_interval WHERE date BETWEEN ? AND ?`,
+      [from, to]
+    );
+    return row;
+  }
+
+  /**
+   * @returns {{first: string|null, last: string|null, days: number, count: number}}
+   */
+  getGridIntervalStats() {
+    const [row] = this.query(
+      `SELECT MIN(date) AS first, MAX(date) AS last, COUNT(DISTINCT date) AS days, COUNT(*) AS count
+       FROM grid_interval`
+    );
+    return row;
+  }
+
+  // --- Monthly analysis snapshots ---
+
+  /**
+   * Stores one run's monthly analysis. It replaces any earlier snapshot from the same day, and
+   * only the last MAX_SNAPSHOT_DAYS days with a snapshot are kept.
+   *
+   * @param {Array<Object>} months - Output of EnergyAnalyzer.getMonthlyAnalysis()
+   * @param {string} [snapshotAt] - ISO timestamp
+   */
+  saveMonthlyAnalysis(months, snapshotAt = new Date().toISOString()) {
+    this.transaction(() => {
+      this.run('DELETE FROM monthly_analysis WHERE substr(snapshot_at, 1, 10) = ?', [
+        snapshotAt.slice(0, 10),
+      ]);
+      for (const m of months) {
+        this.run(
+          'INSERT OR REPLACE INTO monthly_analysis (snapshot_at, month, data) VALUES (?, ?, ?)',
+          [snapshotAt, m.month, JSON.stringify(m)]
+        );
+      }
+      this.run(
+        `DELETE FROM monthly_analysis WHERE snapshot_at NOT IN (
+           SELECT DISTINCT snapshot_at FROM monthly_analysis ORDER BY snapshot_at DESC LIMIT ?
+         )`,
+        [MAX_SNAPSHOT_DAYS]
+      );
+    });
+  }
+
+  /**
+   * Returns the most recent monthly analysis snapshot within a month range.
+   *
+   * @param {Object} [range]
+   * @param {string} [range.from] - YYYY-MM (inclusive)
+   * @param {string} [range.to] - YYYY-MM (inclusive)
+   * @returns {Array<Object>}
+   */
+  getLatestMonthlyAnalysis({ from = '0000-00', to = '9999-99' } = {}) {
+    return this.query(
+      `SELECT data FROM monthly_analysis
+       WHERE snapshot_at = (SELECT MAX(snapshot_at) FROM monthly_analysis)
+         AND month BETWEEN ? AND ?
+       ORDER BY month`,
+      [from, to]
+    ).map((row) => JSON.parse(row.data));
+  }
+
+  // --- Legacy JSON caches ---
+
+  /**
+   * Imports `.bill_cache.json` and `.sunrun_daily_cache.json` the first time the store is used.
+   * The JSON files are left in place; delete them once you're happy with the store. A file
+   * that can't be parsed is skipped with a warning.
+   *
+   * @param {Object} [files]
+   * @param {string} [files.billCache]
+   * @param {string} [files.dailyCache]
+   * @returns {{bills: number, days: number}|null} - Counts imported, or null if already done.
+   */
+  importLegacyCaches({
+    billCache = '.bill_cache.json',
+    dailyCache = '.sunrun_daily_cache.json',
+  } = {}) {
+    if (this.getMeta('legacy_import')) {
+      return null;
+    }
+
+    const readJson = (file) => {
+      const filePath = path.resolve(process.cwd(), file);
+      if (!fs.existsSync(filePath)) {
+        return {};
+      }
+      try {
+        return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      } catch (e) {
+        // e.g. truncated by the old non-atomic writer; its data will be fetched again
+        console.warn(`⚠️ Skipping unreadable legacy cache ${filePath}: ${e.message}`);
+        return {};
+      }
+    };
+
+    let bills = 0;
+    let days = 0;
+    this.transaction(() => {
+      for (const [fileId, entry] of Object.entries(readJson(billCache))) {
+        // Schema 1 entries were the bare record; schema 2 wrapped it with parser metadata
+        const record = entry.schemaVersion ? entry.record : entry;
+        if (entry.fileName) {
+          this.upsertSourceFile({ id: fileId, name: entry.fileName });
+        }
+        this.putBill(fileId, record, {
+          parser: entry.parser || record.type,
+          parserVersion: entry.parserVersion || null,
+          schemaVersion: entry.schemaVersion || 1,
+          parsedAt: entry.parsedAt || null,
+        });
+        bills++;
+      }
+      for (const [date, production] of Object.entries(readJson(dailyCache))) {
+        this.setDailyProduction(date, production);
+        days++;
+      }
+      this.setMeta('legacy_import', new Date().toISOString());
+    });
+
+    return { bills, days };
+  }
+}
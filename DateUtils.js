@@ -0,0 +1,169 @@
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Calendar-date helpers. Dates are plain YYYY-MM-DD strings; arithmetic is done in UTC
+ * so it never shifts across DST changes or the machine's local timezone.
+ */
+export default class DateUtils {
+  static DEFAULT_TIME_ZONE = 'America/New_York';
+
+  /**
+   * @param {string} date - YYYY-MM-DD
+   * @param {number} days - May be negative.
+   * @returns {string} - YYYY-MM-DD
+   */
+  static addDays(date, days) {
+    const [y, m, d] = date.split('-').map(Number);
+    return new Date(Date.UTC(y, m - 1, d) + days * DAY_MS).toISOString().split('T')[0];
+  }
+
+  /**
+   * Number of days from `from` to `to` (0 when equal, negative when `to` is earlier).
+   *
+   * @param {string} from - YYYY-MM-DD
+   * @param {string} to - YYYY-MM-DD
+   * @returns {number}
+   */
+  static daysBetween(from, to) {
+    const toUtc = (date) => {
+      const [y, m, d] = date.split('-').map(Number);
+      return Date.UTC(y, m - 1, d);
+    };
+    return Math.round((toUtc(to) - toUtc(from)) / DAY_MS);
+  }
+
+  /**
+   * @param {string} month - YYYY-MM
+   * @param {number} months - May be negative.
+   * @returns {string} - YYYY-MM
+   */
+  static addMonths(month, months) {
+    const [y, m] = month.split('-').map(Number);
+    const index = y * 12 + (m - 1) + months;
+    return `${Math.floor(index / 12)}-${String((index % 12) + 1).padStart(2, '0')}`;
+  }
+
+  /**
+   * Every date from `from` to `to`, inclusive.
+   *
+   * @param {string} from - YYYY-MM-DD
+   * @param {string} to - YYYY-MM-DD
+   * @returns {Array<string>}
+   */
+  static eachDay(from, to) {
+    const days = [];
+    for (let date = from; date <= to; date = DateUtils.addDays(date, 1)) {
+      days.push(date);
+    }
+    return days;
+  }
+
+  /**
+   * Today's date in a timezone.
+   *
+   * @param {string} [timeZone]
+   * @returns {string} - YYYY-MM-DD
+   */
+  static today(timeZone = DateUtils.DEFAULT_TIME_ZONE) {
+    return new Intl.DateTimeFormat('en-CA', { timeZone }).format(new Date());
+  }
+
+  /**
+   * The local date of a timestamp. Date-only strings and timestamps without an offset are
+   * taken as already local.
+   *
+   * @param {string} timestamp - e.g. "2024-01-15", "2024-01-15T05:00:00Z"
+   * @param {string} [timeZone]
+   * @returns {string|null} - YYYY-MM-DD
+   */
+  static toLocalDate(timestamp, timeZone = DateUtils.DEFAULT_TIME_ZONE) {
+    if (!timestamp) {
+      return null;
+    }
+    if (!/(Z|[+-]\d{2}:?\d{2})$/.test(timestamp)) {
+      return timestamp.split('T')[0];
+    }
+    return new Intl.DateTimeFormat('en-CA', { timeZone }).format(new Date(timestamp));
+  }
+
+  /**
+   * The local time of day of a timestamp.
+   *
+   * @param {string} timestamp - ISO timestamp with an offset or "Z"
+   * @param {string} [timeZone]
+   * @returns {string} - HH:MM (24-hour)
+   */
+  static toLocalTime(timestamp, timeZone = DateUtils.DEFAULT_TIME_ZONE) {
+    return new Intl.DateTimeFormat('en-GB', {
+      timeZone,
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23',
+    }).format(new Date(timestamp));
+  }
+
+  /**
+   * The UTC offset of a timezone at local midnight on a date, e.g. "-05:00" in January
+   * and "-04:00" in July for America/New_York.
+   *
+   * @param {string} date - YYYY-MM-DD
+   * @param {string} [timeZone]
+   * @returns {string} - ±HH:MM
+   */
+  static utcOffset(date, timeZone = DateUtils.DEFAULT_TIME_ZONE) {
+    return formatOffset(new Date(DateUtils.toUtc(date, '00:00', timeZone)), timeZone);
+  }
+
+  /**
+   * The UTC instant of a local date and time. In the repeated hour when DST ends, the first
+   * (daylight time) occurrence is returned.
+   *
+   * @param {string} date - YYYY-MM-DD
+   * @param {string} time - HH:MM
+   * @param {string} [timeZone]
+   * @returns {string} - ISO timestamp in UTC
+   */
+  static toUtc(date, time, timeZone = DateUtils.DEFAULT_TIME_ZONE) {
+    const [y, m, d] = date.split('-').map(Number);
+    const [hh, mm] = time.split(':').map(Number);
+    const local = Date.UTC(y, m - 1, d, hh, mm);
+    // The offset 12 hours earlier is close enough to find the instant, then confirm against it
+    const guess = local - offsetMs(new Date(local - 12 * 60 * 60 * 1000), timeZone);
+    return new Date(local - offsetMs(new Date(guess), timeZone)).toISOString();
+  }
+
+  /**
+   * ISO timestamp of local midnight on a date, e.g. "2024-01-15T00:00:00.000-05:00".
+   *
+   * @param {string} date - YYYY-MM-DD
+   * @param {string} [timeZone]
+   * @returns {string}
+   */
+  static localMidnight(date, timeZone = DateUtils.DEFAULT_TIME_ZONE) {
+    return `${date}T00:00:00.000${DateUtils.utcOffset(date, timeZone)}`;
+  }
+}
+
+/**
+ * @param {Date} instant
+ * @param {string} timeZone
+ * @returns {string} - ±HH:MM
+ */
+function formatOffset(instant, timeZone) {
+  return (
+    new Intl.DateTimeFormat('en-US', { timeZone, timeZoneName: 'longOffset' })
+      .formatToParts(instant)
+      .find((part) => part.type === 'timeZoneName')
+      .value.replace('GMT', '') || '+00:00'
+  );
+}
+
+/**
+ * @param {Date} instant
+ * @param {string} timeZone
+ * @returns {number} - The timezone's UTC offset at that instant, in milliseconds.
+ */
+function offsetMs(instant, timeZone) {
+  const [, sign, hh, mm] = formatOffset(instant, timeZone).match(/([+-])(\d{2}):(\d{2})/);
+  return (sign === '-' ? -1 : 1) * (Number(hh) * 60 + Number(mm)) * 60 * 1000;
+}
@@ -1,8 +1,19 @@
 import { google } from 'googleapis';
 
+const FOLDER_MIME_TYPE = 'application/vnd.google-apps.folder';
+
+const FILE_FIELDS = 'id, name, mimeType, createdTime';
+
 export default class DriveClient {
-  constructor(auth) {
-    this.drive = google.drive({ version: 'v3', auth });
+  /**
+   * @param {OAuth2Client} auth
+   * @param {Object} [drive] - Drive v3 API; built from `auth` if omitted (tests pass a mock).
+   */
+  constructor(auth, drive = google.drive({ version: 'v3', auth })) {
+    this.drive = drive;
+    this.rootId = null;
+    // Change feed pages already read this run, by start token (every folder reads the same feed)
+    this.changes = new Map();
   }
 
   /**
@@ -20,14 +31,23 @@ export default class DriveClient {
     }
 
     console.log(`📂 Found folder "${folderName}" (ID: ${folderId})`);
+    return this.listFolder(folderId);
+  }
 
+  /**
+   * Lists the files directly in a folder.
+   *
+   * @param {string} folderId
+   * @returns {Promise<Array<{id: string, name: string, mimeType: string, createdTime: string}>>}
+   */
+  async listFolder(folderId) {
     let files = [];
     let pageToken = null;
 
     do {
       const res = await this.drive.files.list({
         q: `'${folderId}' in parents and trashed = false`,
-        fields: 'nextPageToken, files(id, name, mimeType, createdTime)',
+        fields: `nextPageToken, files(${FILE_FIELDS})`,
         spaces: 'drive',
         pageToken: pageToken,
       });
@@ -40,30 +60,103 @@ export default class DriveClient {
   }
 
   /**
-   * Finds the ID of a folder by name.
+   * Finds the ID of a folder by its path from the top of My Drive. Every folder named like a
+   * part of the path is fetched in one query, and the path is walked from those.
    *
-   * @param {string} folderName
-   * @returns {Promise<string|null>}
+   * @param {string} folderName - e.g. "Home/National Grid Bills"
+   * @returns {Promise<string|null>} - Null if no folder has this path.
+   * @throws {Error} If more than one folder has this path.
    */
   async findFolderId(folderName) {
-    // Handle nested paths like "Home/National Grid Bills"
-    const parts = folderName.split('/');
-    let parentId = 'root';
-
-    for (const part of parts) {
-      const q = `mimeType='application/vnd.google-apps.folder' and name='${part}' and '${parentId}' in parents and trashed=false`;
+    const parts = folderName.split('/').filter(Boolean);
+    const names = [...new Set(parts)].map((part) => `name = '${escapeQuery(part)}'`);
+    const folders = [];
+    let pageToken = null;
+    do {
       const res = await this.drive.files.list({
-        q: q,
-        fields: 'files(id, name)',
+        q: `mimeType = '${FOLDER_MIME_TYPE}' and (${names.join(' or ')}) and trashed = false`,
+        fields: 'nextPageToken, files(id, name, parents)',
         spaces: 'drive',
+        pageToken,
       });
+      folders.push(...res.data.files);
+      pageToken = res.data.nextPageToken;
+    } while (pageToken);
 
-      if (res.data.files.length === 0) {
+    let parentIds = [await this.getRootId()];
+    for (const part of parts) {
+      parentIds = folders
+        .filter((f) => f.name === part && (f.parents || []).some((id) => parentIds.includes(id)))
+        .map((f) => f.id);
+      if (parentIds.length === 0) {
         return null;
       }
-      parentId = res.data.files[0].id;
     }
-    return parentId;
+    if (parentIds.length > 1) {
+      throw new Error(
+        `❌ Drive folder path "${folderName}" is ambiguous: ${parentIds.length} folders match (IDs ${parentIds.join(', ')}). Rename or move all but one.`
+      );
+    }
+    return parentIds[0];
+  }
+
+  /**
+   * @returns {Promise<string>} - ID of the top of My Drive ("root" is only an alias in queries).
+   */
+  async getRootId() {
+    if (!this.rootId) {
+      const res = await this.drive.files.get({ fileId: 'root', fields: 'id' });
+      this.rootId = res.data.id;
+    }
+    return this.rootId;
+  }
+
+  /**
+   * @returns {Promise<string>} - Page token for changes made from now on.
+   */
+  async getStartPageToken() {
+    const res = await this.drive.changes.getStartPageToken({});
+    return res.data.startPageToken;
+  }
+
+  /**
+   * Reads the changes feed: every file created, changed, moved, trashed or deleted since the
+   * page token was issued.
+   *
+   * @param {string} pageToken - From getStartPageToken() or a previous listChanges().
+   * @returns {Promise<{changes: Array<{fileId: string, removed: boolean, file?: Object}>, startPageToken: string}>}
+   *   `startPageToken` is where the next read should start.
+   */
+  listChanges(pageToken) {
+    if (!this.changes.has(pageToken)) {
+      const changes = this.readChanges(pageToken);
+      // A rejected token (e.g. expired) isn't kept, so a later call asks Drive again
+      changes.catch(() => this.changes.delete(pageToken));
+      this.changes.set(pageToken, changes);
+    }
+    return this.changes.get(pageToken);
+  }
+
+  /**
+   * @param {string} startToken
+   * @returns {Promise<{changes: Array<Object>, startPageToken: string}>}
+   */
+  async readChanges(startToken) {
+    const changes = [];
+    let pageToken = startToken;
+    for (;;) {
+      const res = await this.drive.changes.list({
+        pageToken,
+        fields: `nextPageToken, newStartPageToken, changes(fileId, removed, file(${FILE_FIELDS}, parents, trashed))`,
+        spaces: 'drive',
+        includeRemoved: true,
+      });
+      changes.push(...res.data.changes);
+      if (res.data.newStartPageToken) {
+        return { changes, startPageToken: res.data.newStartPageToken };
+      }
+      pageToken = res.data.nextPageToken;
+    }
   }
 
   /**
@@ -84,3 +177,11 @@ export default class DriveClient {
     return Buffer.from(res.data);
   }
 }
+
+/**
+ * @param {string} value
+ * @returns {string} - The value, safe inside a single-quoted Drive query string.
+ */
+function escapeQuery(value) {
+  return value.replace(/\\/g, '\\\\').replace(/'/g, "\\'");
+}
@@ -1,167 +1,525 @@
+import DateUtils from './DateUtils.js';
+import ProviderRegistry from './ProviderRegistry.js';
+
+/**
+ * Bills without a printed service period are assumed to run from the previous bill of the
+ * same type, as long as it ended within this many days; otherwise DEFAULT_PERIOD_DAYS.
+ */
+const MAX_INFERRED_PERIOD_DAYS = 45;
+const DEFAULT_PERIOD_DAYS = 30;
+
+/**
+ * Degree-day metrics need weather for at least this share of a period's days (scaled up to the
+ * full period), and a month needs this many HDD before per-HDD intensities mean anything.
+ */
+const MIN_WEATHER_COVERAGE = 0.9;
+const MIN_HDD_FOR_INTENSITY = 50;
+
+/**
+ * Green Button intervals replace the bill's net import/export only when they cover the whole
+ * period; this much is allowed missing, for the hour lost when DST starts.
+ */
+const GRID_INTERVAL_TOLERANCE_SECONDS = 60 * 60;
+
+/**
+ * Months from July start a new heating season, so each winter falls in one season ("2023-24").
+ */
+const SEASON_START_MONTH = 7;
+
 export default class EnergyAnalyzer {
-  constructor() {
-    this.monthlyData = {};
+  /**
+   * Ways of bucketing the analysis: calendar months, or electric billing cycles.
+   */
+  static VIEWS = ['calendar', 'billing'];
+
+  /**
+   * @param {ProviderRegistry} [registry] - Each provider's commodity, and the monthly fields its
+   *   records feed. Those fields add up over time and are spread across months in proportion to
+   *   the days of the service period in each.
+   */
+  constructor(registry = new ProviderRegistry()) {
+    this.registry = registry;
+    this.bills = [];
   }
 
   /**
-   * Adds a bill to the monthly aggregation.
+   * Adds a bill to the analysis.
    *
-   * @param {Object} data - The parsed bill data.
+   * @param {Object} data - The parsed bill data; `fileId`, `fileName` and `fileLink` (see
+   *   BillIngestor.trace()) are carried into the `sources` of the months it feeds.
    */
   addBill(data) {
-    // Heuristic: If bill is generated in the first 10 days of the month,
-    // it likely represents the previous month's usage.
-    // e.g. Eversource bill dated 2024-12-02 is for Nov usage.
-    const parts = data.date.split('-').map(Number);
-    let y = parts[0];
-    let m = parts[1];
-    const d = parts[2];
-    if (d <= 20) {
-      m--;
-      if (m === 0) {
-        m = 12;
-        y--;
-      }
-    }
-    const key = `${y}-${String(m).padStart(2, '0')}`;
-
-    if (!this.monthlyData[key]) {
-      this.monthlyData[key] = {
-        month: key,
-        ngStartDate: null,
-        ngEndDate: null,
-        ngCost: 0,
-        ngUsage: 0,
-        ngExport: 0,
-        ngCredit: 0,
-        ngProd: 0,
-        sunrunCost: 0,
-        sunrunProd: 0,
-        gasCost: 0,
-        gasTherms: 0,
-      };
+    if (data?.date) {
+      this.bills.push(data);
     }
+  }
 
-    const bucket = this.monthlyData[key];
+  /**
+   * Sets the source of daily solar production data.
+   *
+   * @param {{sumDailyProduction: function(string, string): number, countDailyProduction: function(string, string): number}} dailySource
+   *   Usually the DataStore; summed and counted by date range (YYYY-MM-DD, inclusive).
+   */
+  setDailySolarData(dailySource) {
+    this.dailySolarData = dailySource;
+  }
 
-    if (data.type === 'NationalGrid') {
-      bucket.ngCost += data.cost;
-      bucket.ngUsage += data.usage;
-      bucket.ngExport += data.exported || 0;
-      bucket.ngProd += data.production || 0;
-      if (data.credit > 0) {
-        bucket.ngCredit = data.credit;
-      }
-      if (data.startDate) {
-        bucket.ngStartDate = data.startDate;
-      }
-      if (data.endDate) {
-        bucket.ngEndDate = data.endDate;
-      }
-    } else if (data.type === 'Sunrun') {
-      bucket.sunrunCost += data.cost;
-      bucket.sunrunProd += data.production;
-    } else if (data.type === 'Eversource') {
-      bucket.gasCost += data.cost;
-      bucket.gasTherms += data.therms;
-    }
+  /**
+   * Sets the source of daily heating/cooling degree days.
+   *
+   * @param {{sumDegreeDays: function(string, string): {hdd: number, cdd: number, days: number}}} weatherSource
+   *   Usually the DataStore; summed by date range (YYYY-MM-DD, inclusive).
+   */
+  setWeatherData(weatherSource) {
+    this.weatherData = weatherSource;
   }
 
   /**
-   * Sets the daily solar production data.
+   * Sets the source of metered grid import/export intervals (Green Button downloads).
    *
-   * @param {Object} dailyData - Map of date (YYYY-MM-DD) -> production (kWh)
+   * @param {{sumGridIntervals: function(string, string): {imported: number, exported: number, seconds: number}}} gridSource
+   *   Usually the DataStore; summed by date range (YYYY-MM-DD, inclusive).
    */
-  setDailySolarData(dailyData) {
-    this.dailySolarData = dailyData;
+  setGridIntervalData(gridSource) {
+    this.gridIntervalData = gridSource;
   }
 
   /**
-   * Calculates advanced metrics and returns sorted monthly data.
+   * Works out the days each bill covers, so consecutive bills of a type never share a day.
    *
-   * @returns {Array<Object>} - Array of monthly data objects with calculated metrics.
+   * @returns {Array<{bill: Object, start: string, end: string, days: number}>}
    */
-  getMonthlyAnalysis() {
-    const sortedMonths = Object.keys(this.monthlyData).sort();
-
-    return sortedMonths.map((m) => {
-      const d = this.monthlyData[m];
-
-      // Determine Best Production Source
-      // Priority 1: National Grid Meter (ngProd). This is the most accurate "Net Metering" source.
-      // Priority 2: Sunrun Inverter (sunrunProd). Use this if NG data is missing (e.g. older bills).
-      // Logic: If ngProd is recorded (>0), use it. Otherwise fallback to Sunrun.
-      // Edge Case: If both are 0 (e.g. snow), it stays 0.
-
-      // Calculate Production for the Exact Billing Period
-      let billingPeriodProd = 0;
-      if (this.dailySolarData) {
-        if (d.ngStartDate && d.ngEndDate) {
-          // Calculate shifted dates (-1 day offset) to align with NG billing cycle
-          const startDate = new Date(d.ngStartDate);
-          startDate.setDate(startDate.getDate() - 1);
-          const shiftedStart = startDate.toISOString().split('T')[0];
-
-          const endDate = new Date(d.ngEndDate);
-          endDate.setDate(endDate.getDate() - 1);
-          const shiftedEnd = endDate.toISOString().split('T')[0];
-
-          // Sum daily production between shifted start and end date (inclusive)
-          Object.keys(this.dailySolarData).forEach((date) => {
-            if (date >= shiftedStart && date <= shiftedEnd) {
-              billingPeriodProd += this.dailySolarData[date];
-            }
-          });
+  getServicePeriods() {
+    const periods = [];
+    const types = [...new Set(this.bills.map((b) => b.type))];
+
+    for (const type of types) {
+      const bills = this.bills
+        .filter((b) => b.type === type)
+        .sort((a, b) => (a.endDate || a.date).localeCompare(b.endDate || b.date));
+
+      let previousEnd = null;
+      for (const bill of bills) {
+        const end = bill.endDate || bill.date;
+        let start;
+        if (bill.startDate) {
+          // Meter read days end one period and start the next; count them in the earlier one
+          start =
+            previousEnd && bill.startDate <= previousEnd
+              ? DateUtils.addDays(previousEnd, 1)
+              : bill.startDate;
         } else {
-          // Fallback: Sum up all daily production for this calendar month (m is YYYY-MM)
-          Object.keys(this.dailySolarData).forEach((date) => {
-            if (date.startsWith(m)) {
-              billingPeriodProd += this.dailySolarData[date];
-            }
-          });
+          const gap = previousEnd ? DateUtils.daysBetween(previousEnd, end) : Infinity;
+          start =
+            gap > 0 && gap <= MAX_INFERRED_PERIOD_DAYS
+              ? DateUtils.addDays(previousEnd, 1)
+              : DateUtils.addDays(end, 1 - DEFAULT_PERIOD_DAYS);
+        }
+        if (start > end) {
+          start = end;
         }
-        billingPeriodProd = Math.round(billingPeriodProd); // Round to whole number
+
+        periods.push({ bill, start, end, days: DateUtils.daysBetween(start, end) + 1 });
+        previousEnd = end;
       }
+    }
+    return periods;
+  }
+
+  /**
+   * Calculates advanced metrics and returns the sorted analysis.
+   *
+   * @param {Object} [options]
+   * @param {'calendar'|'billing'} [options.view] - Bucket by calendar month, or by electric
+   *   billing cycle (labeled with the month the cycle ends in). Falls back to calendar
+   *   months when there are no electric bills.
+   * @returns {Array<Object>} - Array of monthly data objects with calculated metrics.
+   */
+  getMonthlyAnalysis({ view = 'calendar' } = {}) {
+    if (!EnergyAnalyzer.VIEWS.includes(view)) {
+      throw new Error(
+        `Unknown view "${view}". Expected one of: ${EnergyAnalyzer.VIEWS.join(', ')}`
+      );
+    }
+
+    const periods = this.getServicePeriods();
+    const electric = periods.filter((p) => this.isElectric(p.bill));
+    const billingView = view === 'billing' && electric.length > 0;
+    const buckets = billingView
+      ? EnergyAnalyzer.billingBuckets(electric)
+      : EnergyAnalyzer.calendarBuckets(periods);
+
+    const rows = buckets.map((bucket) => this.prorate(bucket, periods));
+
+    return rows
+      .filter((d) => d.billCount > 0)
+      .map((d) => {
+        // Grid flows: metered intervals when they cover the whole period, else the bill's totals
+        const days = DateUtils.daysBetween(d.periodStart, d.periodEnd) + 1;
+        let gridImport = d.ngUsage;
+        let gridExport = d.ngExport;
+        let gridSource = 'bill';
+        const intervals = this.gridIntervalData?.sumGridIntervals(d.periodStart, d.periodEnd);
+        if (intervals && intervals.seconds >= days * 86400 - GRID_INTERVAL_TOLERANCE_SECONDS) {
+          gridImport = intervals.imported;
+          gridExport = intervals.exported;
+          gridSource = 'interval';
+        }
+
+        // Determine Best Production Source
+        // Priority 1: National Grid Meter (ngProd). This is the most accurate "Net Metering" source.
+        // Priority 2: Sunrun Inverter (sunrunProd). Use this if NG data is missing (e.g. older bills).
+        // Logic: If ngProd is recorded (>0), use it. Otherwise fallback to Sunrun.
+        // Edge Case: If both are 0 (e.g. snow), it stays 0.
+
+        // Calculate Production for the Exact Period
+        let billingPeriodProd = 0;
+        let dailyCoverage = null;
+        if (this.dailySolarData) {
+          let from = d.periodStart;
+          let to = d.periodEnd;
+          if (billingView) {
+            // Calculate shifted dates (-1 day offset) to align with NG billing cycle
+            from = DateUtils.addDays(d.ngStartDate || d.periodStart, -1);
+            to = DateUtils.addDays(d.ngEndDate || d.periodEnd, -1);
+          } else if (gridSource === 'bill') {
+            // The first and last months' grid flows come from bills covering only part of
+            // the month, so only count production on the days they cover
+            [from, to] = coveredRange(electric, from, to);
+          }
+
+          // Sum daily production between start and end date (inclusive)
+          billingPeriodProd = this.dailySolarData.sumDailyProduction(from, to);
+          billingPeriodProd = Math.round(billingPeriodProd); // Round to whole number
+          // Which days that sum covers, so a low month can be told apart from missing data
+          dailyCoverage = {
+            from,
+            to,
+            days: DateUtils.daysBetween(from, to) + 1,
+            covered: this.dailySolarData.countDailyProduction(from, to),
+          };
+        }
+
+        // Determine Total Production (Prioritize exact period data, then NG meter, then Sunrun bill)
+        let totalProduction;
+        if (billingPeriodProd > 0) {
+          totalProduction = billingPeriodProd;
+        } else if (d.ngProd > 0) {
+          totalProduction = d.ngProd;
+        } else {
+          totalProduction = d.sunrunProd;
+        }
+        // Consumption = Production - Export + Import
+        // Self Use = Production - Export (clamped to 0)
+        const selfUse = Math.max(0, totalProduction - gridExport);
+        const trueConsumption = selfUse + gridImport;
+
+        // Net Position (Production - Consumption)
+        const netPosition = totalProduction - trueConsumption;
+
+        // Spend per commodity ("electricSpend", ...), from every cost field its providers feed
+        const spend = Object.fromEntries(
+          ProviderRegistry.COMMODITIES.map((commodity) => [
+            `${commodity}Spend`,
+            this.registry.costFields(commodity).reduce((sum, field) => sum + d[field], 0),
+          ])
+        );
+
+        // Effective Rate ($/kWh)
+        const totalCost = spend.electricSpend + spend.solarSpend;
+        const effectiveRate = trueConsumption > 0 ? totalCost / trueConsumption : 0;
+
+        // Gas Calculations
+        const gasKwh = d.gasTherms * 29.3;
+        const totalEnergyCost = Object.values(spend).reduce((sum, cost) => sum + cost, 0);
+        const totalEnergyKwh = trueConsumption + gasKwh;
+
+        // Weather Normalization: degree days over the same period, and usage per HDD
+        let hdd = null;
+        let cdd = null;
+        const weather = this.weatherData?.sumDegreeDays(d.periodStart, d.periodEnd);
+        if (weather && weather.days >= days * MIN_WEATHER_COVERAGE) {
+          hdd = Math.round((weather.hdd * days) / weather.days);
+          cdd = Math.round((weather.cdd * days) / weather.days);
+        }
+        const heatingMonth = hdd !== null && hdd >= MIN_HDD_FOR_INTENSITY;
+        const thermsPerHdd = heatingMonth ? d.gasTherms / hdd : null;
+        const kwhPerHdd = heatingMonth ? trueConsumption / hdd : null;
+
+        return {
+          ...d,
+          totalProduction,
+          gridImport,
+          gridExport,
+          gridSource,
+          selfUse,
+          trueConsumption,
+          netPosition,
+          ...spend,
+          totalCost,
+          effectiveRate,
+          gasKwh,
+          totalEnergyCost,
+          totalEnergyKwh,
+          billingPeriodProd,
+          dailyCoverage,
+          days,
+          hdd,
+          cdd,
+          thermsPerHdd,
+          kwhPerHdd,
+        };
+      });
+  }
 
-      // Determine Total Production (Prioritize exact billing period data, then NG credit, then Sunrun bill)
-      let totalProduction;
-      if (billingPeriodProd > 0) {
-        totalProduction = billingPeriodProd;
-      } else if (d.ngProd > 0) {
-        totalProduction = d.ngProd;
+  /**
+   * Splits each heating season's usage into baseload and heating load by fitting
+   * usage/day = baseload + perHdd × HDD/day over its months (a PRISM-style regression).
+   * Comparing perHdd across seasons separates a colder winter (more HDD) from a leakier or
+   * less efficient house (more usage per HDD).
+   *
+   * @param {Array<Object>} months - Calendar-month output of getMonthlyAnalysis(), with weather.
+   * @returns {Array<{season: string, months: number, hdd: number, gas: Object|null, electric: Object|null}>}
+   *   `gas` (therms) and `electric` (kWh) hold {baseloadPerDay, perHdd, r2, heatingShare}, or
+   *   null when there are too few months to fit.
+   */
+  static getSeasonalRegression(months) {
+    const seasons = {};
+    for (const m of months.filter((month) => month.hdd !== null)) {
+      const [y, mm] = m.month.split('-').map(Number);
+      const startYear = mm >= SEASON_START_MONTH ? y : y - 1;
+      const season = `${startYear}-${String((startYear + 1) % 100).padStart(2, '0')}`;
+      (seasons[season] ||= []).push(m);
+    }
+
+    return Object.keys(seasons)
+      .sort()
+      .map((season) => {
+        const list = seasons[season];
+        const hdd = list.reduce((sum, m) => sum + m.hdd, 0);
+        const fit = (field) => {
+          const line = fitLine(list.map((m) => [m.hdd / m.days, m[field] / m.days]));
+          if (!line) {
+            return null;
+          }
+          const total = list.reduce((sum, m) => sum + m[field], 0);
+          const heating = line.slope * hdd;
+          return {
+            baseloadPerDay: line.intercept,
+            perHdd: line.slope,
+            r2: line.r2,
+            heatingShare: total > 0 ? Math.min(1, Math.max(0, heating / total)) : null,
+          };
+        };
+        return {
+          season,
+          months: list.length,
+          hdd,
+          gas: fit('gasTherms'),
+          electric: fit('trueConsumption'),
+        };
+      });
+  }
+
+  /**
+   * One bucket per calendar month spanned by any service period.
+   *
+   * @param {Array<Object>} periods - From getServicePeriods().
+   * @returns {Array<{month: string, start: string, end: string}>}
+   */
+  static calendarBuckets(periods) {
+    if (periods.length === 0) {
+      return [];
+    }
+    const first = periods.reduce((min, p) => (p.start < min ? p.start : min), periods[0].start);
+    const last = periods.reduce((max, p) => (p.end > max ? p.end : max), periods[0].end);
+
+    const buckets = [];
+    for (let start = `${first.slice(0, 7)}-01`; start <= last; ) {
+      const next = DateUtils.addDays(start, 32).slice(0, 7) + '-01';
+      buckets.push({ month: start.slice(0, 7), start, end: DateUtils.addDays(next, -1) });
+      start = next;
+    }
+    return buckets;
+  }
+
+  /**
+   * One bucket per electric billing cycle, labeled with the month it ends in.
+   * Two cycles ending in the same month (e.g. a short final bill) share a bucket.
+   *
+   * @param {Array<Object>} periods - Electric bills' periods from getServicePeriods().
+   * @returns {Array<{month: string, start: string, end: string}>}
+   */
+  static billingBuckets(periods) {
+    const buckets = [];
+    for (const { bill, start, end } of periods) {
+      const last = buckets.at(-1);
+      if (last && last.month === end.slice(0, 7)) {
+        last.end = end;
       } else {
-        totalProduction = d.sunrunProd;
+        buckets.push({ month: end.slice(0, 7), start, end, ngStartDate: bill.startDate || null });
+      }
+    }
+    return buckets;
+  }
+
+  /**
+   * Spreads every service period overlapping a bucket into it, by share of days.
+   * Credit is a balance rather than a flow, so it comes from the latest electric bill
+   * ending in the bucket; so do the printed rates.
+   *
+   * Each bill spread into the bucket is listed in `sources`, with the file it was parsed from,
+   * the days of its service period, the share of those in the bucket, and the parsed values
+   * of the fields it feeds.
+   *
+   * @param {{month: string, start: string, end: string}} bucket
+   * @param {Array<Object>} periods - From getServicePeriods().
+   * @returns {Object} - Raw monthly totals, before derived metrics.
+   */
+  prorate(bucket, periods) {
+    const { monthlyFields } = this.registry;
+    const row = {
+      month: bucket.month,
+      periodStart: bucket.start,
+      periodEnd: bucket.end,
+      ngStartDate: null,
+      ngEndDate: null,
+      ngCredit: 0,
+      ngDeliveryRate: null,
+      ngSupplyRate: null,
+      ngCustomerCharge: null,
+      ...Object.fromEntries(monthlyFields.map((field) => [field, 0])),
+      billCount: 0,
+      sources: [],
+    };
+
+    let latestNg = null;
+    let latestCredit = null;
+    for (const period of periods) {
+      const from = period.start > bucket.start ? period.start : bucket.start;
+      const to = period.end < bucket.end ? period.end : bucket.end;
+      if (from > to) {
+        continue;
+      }
+
+      const share = (DateUtils.daysBetween(from, to) + 1) / period.days;
+      const { bill } = period;
+      const fields = {};
+      for (const [field, target] of Object.entries(this.registry.fieldsOf(bill.type))) {
+        row[target] += (bill[field] || 0) * share;
+        fields[field] = bill[field] ?? null;
       }
-      // Consumption = Production - Net Export + Net Import
-      // Self Use = Production - Net Export (clamped to 0)
-      const selfUse = Math.max(0, totalProduction - d.ngExport);
-      const trueConsumption = selfUse + d.ngUsage;
-
-      // Net Position (Production - Consumption)
-      const netPosition = totalProduction - trueConsumption;
-
-      // Effective Rate ($/kWh)
-      const totalCost = d.ngCost + d.sunrunCost;
-      const effectiveRate = trueConsumption > 0 ? totalCost / trueConsumption : 0;
-
-      // Gas Calculations
-      const gasKwh = d.gasTherms * 29.3;
-      const totalEnergyCost = totalCost + d.gasCost;
-      const totalEnergyKwh = trueConsumption + gasKwh;
-
-      return {
-        ...d,
-        totalProduction,
-        selfUse,
-        trueConsumption,
-        netPosition,
-        totalCost,
-        effectiveRate,
-        gasKwh,
-        totalEnergyCost,
-        totalEnergyKwh,
-        billingPeriodProd,
-      };
-    });
+      row.billCount++;
+      row.sources.push({
+        fileId: bill.fileId || null,
+        fileName: bill.fileName || null,
+        fileLink: bill.fileLink || null,
+        type: bill.type,
+        date: bill.date,
+        start: period.start,
+        end: period.end,
+        share: Math.round(share * 10000) / 10000,
+        fields,
+      });
+
+      const endsInBucket = period.end >= bucket.start && period.end <= bucket.end;
+      if (this.isElectric(bill) && endsInBucket) {
+        if (!latestNg || period.end >= latestNg.end) {
+          latestNg = period;
+        }
+        if (
+          EnergyAnalyzer.reportsCredit(bill) &&
+          (!latestCredit || period.end >= latestCredit.end)
+        ) {
+          latestCredit = period;
+        }
+      }
+    }
+
+    if (latestNg) {
+      row.ngStartDate = bucket.ngStartDate || latestNg.bill.startDate || latestNg.start;
+      row.ngEndDate = latestNg.bill.endDate || latestNg.end;
+    }
+    row.ngCredit = latestCredit ? latestCredit.bill.credit : 0;
+    if (latestNg) {
+      row.ngDeliveryRate = latestNg.bill.deliveryRate ?? null;
+      row.ngSupplyRate = latestNg.bill.supplyRate ?? null;
+      row.ngCustomerCharge = latestNg.bill.customerCharge ?? null;
+    }
+
+    for (const target of monthlyFields) {
+      row[target] = Math.round(row[target] * 100) / 100;
+    }
+    return row;
+  }
+
+  /**
+   * @param {Object} bill
+   * @returns {boolean} - Whether the bill is from an electric utility (net metering, credit, rates).
+   */
+  isElectric(bill) {
+    return this.registry.commodityOf(bill.type) === 'electric';
+  }
+
+  /**
+   * Whether an electric bill states a credit balance (as opposed to the field defaulting to 0).
+   *
+   * @param {Object} bill
+   * @returns {boolean}
+   */
+  static reportsCredit(bill) {
+    const diagnostic = bill.diagnostics?.credit;
+    return diagnostic ? diagnostic.found : bill.credit > 0;
+  }
+}
+
+/**
+ * Ordinary least squares fit of y = intercept + slope × x.
+ *
+ * @param {Array<[number, number]>} points
+ * @returns {{intercept: number, slope: number, r2: number}|null} - Null with fewer than 3 points
+ *   or no spread in x.
+ */
+function fitLine(points) {
+  if (points.length < 3) {
+    return null;
+  }
+  const n = points.length;
+  const meanX = points.reduce((sum, [x]) => sum + x, 0) / n;
+  const meanY = points.reduce((sum, [, y]) => sum + y, 0) / n;
+  let sxx = 0;
+  let sxy = 0;
+  let syy = 0;
+  for (const [x, y] of points) {
+    sxx += (x - meanX) ** 2;
+    sxy += (x - meanX) * (y - meanY);
+    syy += (y - meanY) ** 2;
+  }
+  if (sxx === 0) {
+    return null;
+  }
+  const slope = sxy / sxx;
+  return {
+    intercept: meanY - slope * meanX,
+    slope,
+    r2: syy === 0 ? 1 : (sxy * sxy) / (sxx * syy),
+  };
+}
+
+/**
+ * The days of a range that service periods reach into, from the first covered day to the last.
+ *
+ * @param {Array<{start: string, end: string}>} periods - From getServicePeriods().
+ * @param {string} start - YYYY-MM-DD
+ * @param {string} end - YYYY-MM-DD
+ * @returns {[string, string]} - The whole range when no period overlaps it.
+ */
+function coveredRange(periods, start, end) {
+  const overlapping = periods.filter((p) => p.start <= end && p.end >= start);
+  if (overlapping.length === 0) {
+    return [start, end];
   }
+  const first = overlapping.reduce((min, p) => (p.start < min ? p.start : min), end);
+  const last = overlapping.reduce((max, p) => (p.end > max ? p.end : max), start);
+  return [first > start ? first : start, last < end ? last : end];
 }
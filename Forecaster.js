@@ -0,0 +1,219 @@
+import DateUtils from './DateUtils.js';
+
+/**
+ * Only the most recent years of each calendar month feed its baseline, so the forecast follows
+ * changes in the house (new heat pumps, an EV) instead of averaging them away.
+ */
+const BASELINE_YEARS = 3;
+
+/**
+ * The band is the baseline ± this many standard deviations (about an 80% interval).
+ */
+const BAND_Z = 1.28;
+
+/**
+ * Relative standard deviation used for a calendar month with a single year of history, when no
+ * other month has enough history to estimate one either.
+ */
+const DEFAULT_SPREAD = 0.15;
+
+/**
+ * Months of daily production are used in place of the billed totals when the daily cache
+ * covers at least this share of their days.
+ */
+const MIN_DAILY_COVERAGE = 0.9;
+
+/**
+ * Projects the next months of production, consumption, cost and net metering credit from
+ * the same calendar months in previous years.
+ */
+export default class Forecaster {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.horizon] - Months to forecast.
+   */
+  constructor({ horizon = 12 } = {}) {
+    this.horizon = horizon;
+  }
+
+  /**
+   * Sets the source of daily solar production data.
+   *
+   * @param {{getDailyProduction: function(): Array<{date: string, production: number}>}} dailySource
+   *   Usually the DataStore.
+   */
+  setDailySolarData(dailySource) {
+    this.dailySolarData = dailySource;
+  }
+
+  /**
+   * @param {Array<Object>} monthly - Calendar-month output of getMonthlyAnalysis().
+   * @returns {{from: string|null, months: Array<Object>, credit: Object|null}} - `from` is the
+   *   last month of history. Each month has {month, production, consumption, cost, credit},
+   *   each {value, low, high} or null without history for that calendar month.
+   */
+  forecast(monthly) {
+    if (monthly.length === 0) {
+      return { from: null, months: [], credit: null };
+    }
+
+    const from = monthly.at(-1).month;
+    const solarStart = monthly.findIndex((m) => m.totalProduction > 0);
+    const baselines = {
+      production: Forecaster.baseline(
+        this.productionHistory(solarStart === -1 ? [] : monthly.slice(solarStart))
+      ),
+      consumption: Forecaster.baseline(
+        monthly.map((m) => ({ month: m.month, value: m.trueConsumption }))
+      ),
+      cost: Forecaster.baseline(monthly.map((m) => ({ month: m.month, value: m.totalEnergyCost }))),
+    };
+    const creditChanges = Forecaster.baseline(Forecaster.creditChanges(monthly));
+
+    const months = [];
+    let balance = monthly.at(-1).ngCredit;
+    let variance = 0;
+    for (let i = 1; i <= this.horizon; i++) {
+      const month = DateUtils.addMonths(from, i);
+      const calendarMonth = month.slice(5);
+      const row = { month };
+      for (const [metric, baseline] of Object.entries(baselines)) {
+        row[metric] = Forecaster.band(baseline[calendarMonth]);
+      }
+
+      // The balance can't go below zero; the band widens as monthly uncertainty adds up
+      const change = creditChanges[calendarMonth];
+      balance = Math.max(0, balance + (change?.mean ?? 0));
+      variance += (change?.sd ?? 0) ** 2;
+      row.credit = Forecaster.band({ mean: balance, sd: Math.sqrt(variance) });
+      months.push(row);
+    }
+
+    return { from, months, credit: Forecaster.creditOutlook(monthly.at(-1), months) };
+  }
+
+  /**
+   * Monthly production, preferring full months of the daily cache over billed totals.
+   *
+   * @param {Array<Object>} monthly - Months since the system started producing.
+   * @returns {Array<{month: string, value: number}>}
+   */
+  productionHistory(monthly) {
+    const daily = {};
+    for (const { date, production } of this.dailySolarData?.getDailyProduction() || []) {
+      const month = date.slice(0, 7);
+      daily[month] ||= { total: 0, days: 0 };
+      daily[month].total += production;
+      daily[month].days++;
+    }
+
+    const history = monthly.map((m) => ({ month: m.month, value: m.totalProduction }));
+    for (const [month, { total, days }] of Object.entries(daily)) {
+      const daysInMonth = DateUtils.daysBetween(
+        `${month}-01`,
+        `${DateUtils.addMonths(month, 1)}-01`
+      );
+      if (days < daysInMonth * MIN_DAILY_COVERAGE) {
+        continue;
+      }
+      const value = (total * daysInMonth) / days;
+      const existing = history.find((h) => h.month === month);
+      if (existing) {
+        existing.value = value;
+      } else {
+        history.push({ month, value });
+      }
+    }
+    return history.sort((a, b) => a.month.localeCompare(b.month));
+  }
+
+  /**
+   * Groups a monthly series by calendar month, keeping the latest BASELINE_YEARS of each.
+   * Calendar months with a single value borrow the typical relative spread of the others.
+   *
+   * @param {Array<{month: string, value: number}>} series - Sorted by month.
+   * @returns {Object<string, {mean: number, sd: number, years: number}>} - Keyed by "MM".
+   */
+  static baseline(series) {
+    const byMonth = {};
+    for (const { month, value } of series) {
+      (byMonth[month.slice(5)] ||= []).push(value);
+    }
+
+    const baselines = {};
+    const spreads = [];
+    for (const [calendarMonth, all] of Object.entries(byMonth)) {
+      const values = all.slice(-BASELINE_YEARS);
+      const mean = values.reduce((sum, v) => sum + v, 0) / values.length;
+      let sd = null;
+      if (values.length > 1) {
+        sd = Math.sqrt(values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / (values.length - 1));
+        if (mean !== 0) {
+          spreads.push(sd / Math.abs(mean));
+        }
+      }
+      baselines[calendarMonth] = { mean, sd, years: values.length };
+    }
+
+    const spread = spreads.length
+      ? spreads.reduce((sum, s) => sum + s, 0) / spreads.length
+      : DEFAULT_SPREAD;
+    for (const baseline of Object.values(baselines)) {
+      baseline.sd ??= Math.abs(baseline.mean) * spread;
+    }
+    return baselines;
+  }
+
+  /**
+   * Month-over-month changes in the credit balance, for consecutive months with a balance.
+   *
+   * @param {Array<Object>} monthly
+   * @returns {Array<{month: string, value: number}>}
+   */
+  static creditChanges(monthly) {
+    const changes = [];
+    for (let i = 1; i < monthly.length; i++) {
+      const previous = monthly[i - 1];
+      const current = monthly[i];
+      if (DateUtils.addMonths(previous.month, 1) === current.month) {
+        changes.push({ month: current.month, value: current.ngCredit - previous.ngCredit });
+      }
+    }
+    return changes;
+  }
+
+  /**
+   * @param {{mean: number, sd: number}|undefined} baseline
+   * @returns {{value: number, low: number, high: number}|null} - Rounded; `low` is never below 0.
+   */
+  static band(baseline) {
+    if (!baseline) {
+      return null;
+    }
+    const round = (v) => Math.round(v * 100) / 100;
+    return {
+      value: round(baseline.mean),
+      low: round(Math.max(0, baseline.mean - BAND_Z * baseline.sd)),
+      high: round(baseline.mean + BAND_Z * baseline.sd),
+    };
+  }
+
+  /**
+   * When the projected credit bank peaks, and when it runs out.
+   *
+   * @param {Object} latest - The last month of history.
+   * @param {Array<Object>} months - Forecast months.
+   * @returns {{current: number, peak: {month: string, value: number}|null, depletedMonth: string|null}}
+   *   `peak` is null when the balance only falls; `depletedMonth` is null when it lasts the horizon.
+   */
+  static creditOutlook(latest, months) {
+    let peak = null;
+    for (const { month, credit } of months) {
+      if (credit.value > (peak?.value ?? latest.ngCredit)) {
+        peak = { month, value: credit.value };
+      }
+    }
+    const depleted = latest.ngCredit > 0 ? months.find((m) => m.credit.value === 0) : null;
+    return { current: latest.ngCredit, peak, depletedMonth: depleted?.month ?? null };
+  }
+}
@@ -0,0 +1,297 @@
+import fs from 'fs';
+import path from 'path';
+import DateUtils from './DateUtils.js';
+import WeatherImporter from './WeatherImporter.js';
+
+/**
+ * ESPI ReadingType flow directions: energy delivered to the house, and received from it.
+ */
+const FLOW_IMPORT = '1';
+const FLOW_EXPORT = '19';
+
+/**
+ * ESPI unit of measure code for watt-hours, the only unit interval readings are accepted in.
+ */
+const UOM_WH = '72';
+
+/**
+ * Intervals without an END TIME column are assumed to be hourly.
+ */
+const DEFAULT_DURATION_SECONDS = 60 * 60;
+
+/**
+ * Imports a utility's Green Button download (ESPI XML or the CSV export) into the store as
+ * metered grid import and export per interval.
+ *
+ * CSV files need DATE and START TIME columns, plus IMPORT (kWh) and EXPORT (kWh), or a single
+ * USAGE (kWh) column where negative values are export. END TIME, when present, sets each
+ * interval's length.
+ */
+export default class GreenButtonImporter {
+  /**
+   * @param {DataStore} store
+   * @param {Object} [options]
+   * @param {string} [options.timeZone] - Timezone of the CSV's local dates and times.
+   */
+  constructor(store, { timeZone = DateUtils.DEFAULT_TIME_ZONE } = {}) {
+    this.store = store;
+    this.timeZone = timeZone;
+  }
+
+  /**
+   * @param {string} filePath - .xml or .csv download.
+   * @param {Object} [options]
+   * @param {boolean} [options.dryRun] - Parse and report, but don't save the store.
+   * @returns {Array<{timestamp: string, date: string, time: string, duration: number, imported: number, exported: number}>}
+   *   Imported intervals.
+   */
+  import(filePath, { dryRun = false } = {}) {
+    const readings = this.parse(fs.readFileSync(filePath, 'utf8'));
+    if (readings.length === 0) {
+      throw new Error(
+        `❌ No usable interval readings in ${filePath} (expected Green Button ESPI XML or CSV)`
+      );
+    }
+    if (!dryRun) {
+      this.store.setGridIntervals(readings, path.basename(filePath));
+      this.store.save();
+    }
+    return readings;
+  }
+
+  /**
+   * @param {string} text - XML or CSV content.
+   * @returns {Array<Object>} - See import(); sorted by timestamp.
+   */
+  parse(text) {
+    return text.trimStart().startsWith('<') ? this.parseXml(text) : this.parseCsv(text);
+  }
+
+  /**
+   * Reads an ESPI Atom feed. Each IntervalBlock belongs to a MeterReading (its "up" link), whose
+   * "related" ReadingType says whether the values are import or export, and their scale.
+   *
+   * @param {string} xml
+   * @returns {Array<Object>}
+   */
+  parseXml(xml) {
+    const entries = elements(xml, 'entry');
+    const readingTypes = new Map();
+    const meterReadings = new Map();
+    for (const entry of entries) {
+      const links = entryLinks(entry);
+      const readingType = elements(entry, 'ReadingType')[0];
+      if (readingType) {
+        const uom = text(readingType, 'uom');
+        readingTypes.set(links.self, {
+          flow: text(readingType, 'flowDirection'),
+          // Wh to kWh, after the feed's power-of-ten multiplier
+          scale:
+            uom === UOM_WH
+              ? 10 ** Number(text(readingType, 'powerOfTenMultiplier') || 0) / 1000
+              : null,
+        });
+      } else if (elements(entry, 'MeterReading').length > 0) {
+        meterReadings.set(links.self, links.related);
+      }
+    }
+    // Feeds with a single ReadingType don't always link their readings to it
+    const onlyType = readingTypes.size === 1 ? [...readingTypes.values()][0] : null;
+
+    const byTimestamp = new Map();
+    for (const entry of entries) {
+      const blocks = elements(entry, 'IntervalBlock');
+      if (blocks.length === 0) {
+        continue;
+      }
+      const meterReading = entryLinks(entry).up?.replace(/\/IntervalBlock(\/[^/]*)?$/, '');
+      const type = readingTypes.get(meterReadings.get(meterReading)) || onlyType;
+      if (!type?.scale || ![FLOW_IMPORT, FLOW_EXPORT].includes(type.flow)) {
+        continue;
+      }
+      for (const reading of blocks.flatMap((block) => elements(block, 'IntervalReading'))) {
+        const start = Number(text(reading, 'start'));
+        const value = Number(text(reading, 'value'));
+        if (!Number.isFinite(start) || !Number.isFinite(value)) {
+          continue;
+        }
+        const interval = this.interval(
+          byTimestamp,
+          new Date(start * 1000).toISOString(),
+          Number(text(reading, 'duration')) || DEFAULT_DURATION_SECONDS
+        );
+        interval[type.flow === FLOW_IMPORT ? 'imported' : 'exported'] += value * type.scale;
+      }
+    }
+    return GreenButtonImporter.sorted(byTimestamp);
+  }
+
+  /**
+   * Reads the CSV export, skipping the account details that precede the header row.
+   *
+   * @param {string} csv
+   * @returns {Array<Object>}
+   */
+  parseCsv(csv) {
+    const lines = csv.split(/\r?\n/).map(WeatherImporter.splitCsvLine);
+    const normalize = (name) => name.trim().toUpperCase();
+    const headerIndex = lines.findIndex(
+      (fields) =>
+        fields.map(normalize).includes('DATE') && fields.map(normalize).includes('START TIME')
+    );
+    if (headerIndex === -1) {
+      return [];
+    }
+    const column = {};
+    lines[headerIndex].forEach((name, i) => {
+      column[normalize(name).replace(/\s*\(KWH\)$/, '')] = i;
+    });
+    const value = (row, name) => {
+      const raw = column[name] === undefined ? '' : row[column[name]]?.trim().replace(/,/g, '');
+      return raw === '' || raw === undefined ? null : Number(raw);
+    };
+
+    const byTimestamp = new Map();
+    for (const row of lines.slice(headerIndex + 1)) {
+      const date = row[column.DATE]?.trim();
+      const time = row[column['START TIME']]?.trim().padStart(5, '0');
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(date || '') || !/^\d{2}:\d{2}$/.test(time || '')) {
+        continue;
+      }
+      const usage = value(row, 'USAGE');
+      const imported = value(row, 'IMPORT') ?? (usage === null ? null : Math.max(0, usage));
+      const exported = value(row, 'EXPORT') ?? (usage === null ? null : Math.max(0, -usage));
+      if (imported === null || Number.isNaN(imported) || Number.isNaN(exported)) {
+        continue;
+      }
+
+      let timestamp = DateUtils.toUtc(date, time, this.timeZone);
+      if (byTimestamp.has(timestamp)) {
+        // The hour repeated when DST ends: the second reading is the standard-time one
+        const hourLater = new Date(Date.parse(timestamp) + 60 * 60 * 1000).toISOString();
+        if (
+          DateUtils.toLocalDate(hourLater, this.timeZone) === date &&
+          DateUtils.toLocalTime(hourLater, this.timeZone) === time
+        ) {
+          timestamp = hourLater;
+        }
+      }
+      // Any other repeat is the same interval sent again (e.g. overlapping downloads): the
+      // latest reading replaces it
+      byTimestamp.delete(timestamp);
+      const interval = this.interval(
+        byTimestamp,
+        timestamp,
+        csvDuration(time, row[column['END TIME']])
+      );
+      interval.imported += imported;
+      interval.exported += exported ?? 0;
+    }
+    return GreenButtonImporter.sorted(byTimestamp);
+  }
+
+  /**
+   * The interval starting at a timestamp, created with zero import and export if new.
+   *
+   * @param {Map<string, Object>} byTimestamp
+   * @param {string} timestamp - ISO timestamp in UTC.
+   * @param {number} duration - Seconds.
+   * @returns {Object}
+   */
+  interval(byTimestamp, timestamp, duration) {
+    if (!byTimestamp.has(timestamp)) {
+      byTimestamp.set(timestamp, {
+        timestamp,
+        date: DateUtils.toLocalDate(timestamp, this.timeZone),
+        time: DateUtils.toLocalTime(timestamp, this.timeZone),
+        duration,
+        imported: 0,
+        exported: 0,
+      });
+    }
+    return byTimestamp.get(timestamp);
+  }
+
+  /**
+   * @param {Map<string, Object>} byTimestamp
+   * @returns {Array<Object>}
+   */
+  static sorted(byTimestamp) {
+    return [...byTimestamp.values()]
+      .sort((a, b) => a.timestamp.localeCompare(b.timestamp))
+      .map((interval) => ({
+        ...interval,
+        imported: round(interval.imported),
+        exported: round(interval.exported),
+      }));
+  }
+}
+
+/**
+ * Elements with a given local name, ignoring any namespace prefix.
+ *
+ * @param {string} xml
+ * @param {string} name
+ * @returns {Array<string>} - Inner content of each ("" for empty elements).
+ */
+function elements(xml, name) {
+  const pattern = new RegExp(
+    `<(?:[\\w.-]+:)?${name}(?:\\s[^>]*?)?(?:/>|>([\\s\\S]*?)</(?:[\\w.-]+:)?${name}>)`,
+    'g'
+  );
+  return [...xml.matchAll(pattern)].map((match) => match[1] ?? '');
+}
+
+/**
+ * @param {string} xml
+ * @param {string} name
+ * @returns {string|null} - Trimmed text of the first element with that name.
+ */
+function text(xml, name) {
+  return elements(xml, name)[0]?.trim() ?? null;
+}
+
+/**
+ * @param {string} entry
+ * @returns {Object<string, string>} - href by rel ("self", "up", "related").
+ */
+function entryLinks(entry) {
+  const links = {};
+  for (const [tag] of entry.matchAll(/<(?:[\w.-]+:)?link\b[^>]*>/g)) {
+    const rel = tag.match(/\brel="([^"]*)"/)?.[1];
+    const href = tag.match(/\bhref="([^"]*)"/)?.[1];
+    if (rel && href && !links[rel]) {
+      links[rel] = href;
+    }
+  }
+  return links;
+}
+
+/**
+ * @param {string} start - HH:MM
+ * @param {string} [end] - HH:MM, the last minute of the interval (e.g. "00:59") or its end.
+ * @returns {number} - Seconds.
+ */
+function csvDuration(start, end) {
+  const minutes = (hhmm) => {
+    const [hh, mm] = hhmm.split(':').map(Number);
+    return hh * 60 + mm;
+  };
+  if (!/^\d{1,2}:\d{2}$/.test(end?.trim() || '')) {
+    return DEFAULT_DURATION_SECONDS;
+  }
+  let length = minutes(end.trim()) - minutes(start);
+  // "00:00"-"00:59" style ends name the interval's last minute
+  if (length % 5 === 4) {
+    length += 1;
+  }
+  return ((length + 24 * 60) % (24 * 60) || 24 * 60) * 60;
+}
+
+/**
+ * @param {number} value
+ * @returns {number}
+ */
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
@@ -0,0 +1,309 @@
+/**
+ * Everything a run can notify about.
+ */
+const EVENTS = ['summary', 'new-bills', 'parse-failures', 'anomalies'];
+
+const SEVERITY_RANK = { warning: 1, critical: 2 };
+
+const DEFAULT_THRESHOLDS = {
+  newBills: 1, // Fewest new bills worth a message
+  anomalySeverity: 'warning', // Least severe anomaly worth a message
+  parseSeverities: ['failed', 'missing'], // Parse-quality issues worth a message
+};
+
+/**
+ * Anomalies already sent are remembered here, so a scheduled run only reports new ones.
+ */
+const NOTIFIED_ANOMALIES_KEY = 'notified_anomalies';
+
+/**
+ * Parse issues already sent, so a bill whose fields stay missing is only reported once.
+ */
+const NOTIFIED_PARSE_ISSUES_KEY = 'notified_parse_issues';
+
+/**
+ * Sends run results to the configured channels (SMTP email, a JSON webhook, ntfy push).
+ *
+ * Configured by the NOTIFICATIONS JSON in .env:
+ * {"channels": [{"type": "ntfy", "url": "https://ntfy.sh", "topic": "..."}],
+ *  "events": ["summary", "anomalies"], "thresholds": {"anomalySeverity": "critical"}}
+ * Each channel may also list its own `events`.
+ */
+export default class Notifier {
+  static EVENTS = EVENTS;
+
+  /**
+   * @param {Object} [config]
+   * @param {Array<Object>} [config.channels] - Channel configs, each with a `type`.
+   * @param {Array<string>} [config.events] - Events sent to channels that don't list their own.
+   * @param {Object} [config.thresholds] - Overrides for DEFAULT_THRESHOLDS.
+   * @param {Object} [options]
+   * @param {DataStore} [options.store] - Remembers which anomalies and parse issues were
+   *   already sent.
+   */
+  constructor({ channels = [], events = EVENTS, thresholds = {} } = {}, { store = null } = {}) {
+    for (const event of [events, ...channels.map((c) => c.events || [])].flat()) {
+      if (!EVENTS.includes(event)) {
+        throw new Error(
+          `Unknown notification event "${event}". Expected one of: ${EVENTS.join(', ')}`
+        );
+      }
+    }
+    this.channelConfigs = channels;
+    this.events = events;
+    this.thresholds = { ...DEFAULT_THRESHOLDS, ...thresholds };
+    this.store = store;
+    this.channels = null;
+  }
+
+  /**
+   * Reads the NOTIFICATIONS JSON from .env. Without it, the notifier has no channels.
+   *
+   * @returns {Object}
+   */
+  static loadConfig() {
+    const { NOTIFICATIONS } = process.env;
+    if (!NOTIFICATIONS) {
+      return {};
+    }
+
+    try {
+      return JSON.parse(NOTIFICATIONS);
+    } catch (e) {
+      throw new Error('Failed to parse NOTIFICATIONS JSON', { cause: e });
+    }
+  }
+
+  /**
+   * @returns {boolean}
+   */
+  get enabled() {
+    return this.channelConfigs.length > 0;
+  }
+
+  /**
+   * Creates a channel from its config.
+   *
+   * @param {{type: string}} config
+   * @returns {Promise<SmtpChannel|WebhookChannel|NtfyChannel>}
+   */
+  static async createChannel(config) {
+    switch (config.type) {
+      case 'smtp': {
+        const { default: SmtpChannel } = await import('./notifiers/SmtpChannel.js');
+        return new SmtpChannel(config);
+      }
+      case 'webhook': {
+        const { default: WebhookChannel } = await import('./notifiers/WebhookChannel.js');
+        return new WebhookChannel(config);
+      }
+      case 'ntfy': {
+        const { default: NtfyChannel } = await import('./notifiers/NtfyChannel.js');
+        return new NtfyChannel(config);
+      }
+      default:
+        throw new Error(`Unknown notification channel type: ${config.type}`);
+    }
+  }
+
+  /**
+   * Builds the messages for a finished run and sends each to the channels subscribed to it.
+   * Delivery failures are logged, not thrown, so a broken channel never fails the run.
+   *
+   * @param {Object} run
+   * @param {Array<Object>} [run.newBills] - Bills parsed for the first time this run.
+   * @param {Array<Object>} [run.quality] - ParseQualityReport entries.
+   * @param {Array<Object>} [run.anomalies] - From AnomalyDetector.detect().
+   * @param {Array<Object>} [run.monthly] - Calendar-month analysis.
+   * @param {string} [run.reportPath]
+   * @returns {Promise<number>} - Number of messages delivered (per channel).
+   */
+  async notifyRun(run) {
+    if (!this.enabled) {
+      return 0;
+    }
+    const { messages, anomalyKeys, parseIssueKeys } = this.buildMessages(run);
+
+    let delivered = 0;
+    for (const message of messages) {
+      const sent = await this.send(message);
+      delivered += sent;
+      if (message.event === 'anomalies' && sent > 0) {
+        this.remember(NOTIFIED_ANOMALIES_KEY, anomalyKeys);
+      }
+      if (message.event === 'parse-failures' && sent > 0) {
+        this.remember(NOTIFIED_PARSE_ISSUES_KEY, parseIssueKeys);
+      }
+    }
+    return delivered;
+  }
+
+  /**
+   * @param {Object} run - See notifyRun().
+   * @returns {{messages: Array<{event: string, title: string, body: string, priority: string, data: Object}>, anomalyKeys: Array<string>, parseIssueKeys: Array<string>}}
+   */
+  buildMessages({ newBills = [], quality = [], anomalies = [], monthly = [], reportPath = null }) {
+    const { newBills: minNewBills, anomalySeverity, parseSeverities } = this.thresholds;
+    const messages = [];
+
+    if (newBills.length >= Math.max(1, minNewBills)) {
+      messages.push({
+        event: 'new-bills',
+        title: `${newBills.length} new bill${newBills.length === 1 ? '' : 's'}`,
+        body: newBills
+          .map(
+            (b) =>
+              `${b.type} ${b.date}${typeof b.cost === 'number' ? `: $${b.cost.toFixed(2)}` : ''}`
+          )
+          .join('\n'),
+        priority: 'default',
+        data: { bills: newBills },
+      });
+    }
+
+    const failures = quality
+      .map((entry) => ({
+        ...entry,
+        issues: entry.issues.filter((i) => parseSeverities.includes(i.severity)),
+      }))
+      .filter((entry) => entry.issues.length > 0);
+    // Cached bills keep their issues on every run; only report the ones not sent before
+    const notifiedIssues = new Set(this.notified(NOTIFIED_PARSE_ISSUES_KEY));
+    const freshFailures = failures
+      .map((entry) => ({
+        ...entry,
+        issues: entry.issues.filter((i) => !notifiedIssues.has(Notifier.parseIssueKey(entry, i))),
+      }))
+      .filter((entry) => entry.issues.length > 0);
+    if (freshFailures.length > 0) {
+      const count = freshFailures.length;
+      messages.push({
+        event: 'parse-failures',
+        title: `${count} bill${count === 1 ? '' : 's'} failed to parse cleanly`,
+        body: freshFailures
+          .map((e) => `${e.fileName}: ${e.issues.map((i) => `${i.field} ${i.message}`).join('; ')}`)
+          .join('\n'),
+        priority: freshFailures.some((e) => e.issues.some((i) => i.severity === 'failed'))
+          ? 'high'
+          : 'default',
+        data: { entries: freshFailures },
+      });
+    }
+
+    const notified = new Set(this.notified(NOTIFIED_ANOMALIES_KEY));
+    const current = anomalies.filter(
+      (a) => SEVERITY_RANK[a.severity] >= SEVERITY_RANK[anomalySeverity]
+    );
+    const fresh = current.filter((a) => !notified.has(Notifier.anomalyKey(a)));
+    if (fresh.length > 0) {
+      messages.push({
+        event: 'anomalies',
+        title: `${fresh.length} new anomal${fresh.length === 1 ? 'y' : 'ies'} detected`,
+        body: fresh.map((a) => a.message).join('\n'),
+        priority: fresh.some((a) => a.severity === 'critical') ? 'high' : 'default',
+        data: { anomalies: fresh },
+      });
+    }
+
+    const latest = monthly.at(-1);
+    if (latest) {
+      const lines = [
+        `Latest month ${latest.month}: $${latest.totalEnergyCost.toFixed(2)} total energy cost, ` +
+          `${Math.round(latest.totalProduction)} kWh produced, ${Math.round(latest.trueConsumption)} kWh used`,
+        `${newBills.length} new bills, ${failures.length} parse problems, ${current.length} anomalies`,
+      ];
+      if (reportPath) {
+        lines.push(`Report: ${reportPath}`);
+      }
+      messages.push({
+        event: 'summary',
+        title: 'Home energy report updated',
+        body: lines.join('\n'),
+        priority: 'low',
+        data: { month: latest, newBills: newBills.length, anomalies: current.length },
+      });
+    }
+
+    // Only keep keys of anomalies and issues still being detected, so the lists don't grow forever
+    const anomalyKeys = current.map(Notifier.anomalyKey);
+    const parseIssueKeys = failures.flatMap((entry) =>
+      entry.issues.map((issue) => Notifier.parseIssueKey(entry, issue))
+    );
+    return { messages, anomalyKeys, parseIssueKeys };
+  }
+
+  /**
+   * Sends one message to every channel subscribed to its event.
+   *
+   * @param {{event: string, title: string, body: string, priority: string, data: Object}} message
+   * @param {Object} [options]
+   * @param {boolean} [options.everyChannel] - Ignore subscriptions (for test messages).
+   * @returns {Promise<number>} - Number of channels that accepted it.
+   */
+  async send(message, { everyChannel = false } = {}) {
+    // A misconfigured channel is skipped, so the others still get the message
+    this.channels ||= (
+      await Promise.all(
+        this.channelConfigs.map(async (config) => {
+          try {
+            return { config, channel: await Notifier.createChannel(config) };
+          } catch (e) {
+            console.warn(`⚠️ Skipping ${config.type} notification channel: ${e.message}`);
+            return null;
+          }
+        })
+      )
+    ).filter(Boolean);
+
+    let sent = 0;
+    for (const { config, channel } of this.channels) {
+      if (!everyChannel && !(config.events || this.events).includes(message.event)) {
+        continue;
+      }
+      try {
+        await channel.send(message);
+        sent++;
+      } catch (e) {
+        console.error(`⚠️ Failed to send "${message.title}" via ${channel.label}: ${e.message}`);
+      }
+    }
+    return sent;
+  }
+
+  /**
+   * @param {string} metaKey - NOTIFIED_ANOMALIES_KEY or NOTIFIED_PARSE_ISSUES_KEY.
+   * @returns {Array<string>} - Keys of what was already sent.
+   */
+  notified(metaKey) {
+    const stored = this.store?.getMeta(metaKey);
+    return stored ? JSON.parse(stored) : [];
+  }
+
+  /**
+   * @param {string} metaKey
+   * @param {Array<string>} keys
+   */
+  remember(metaKey, keys) {
+    if (this.store) {
+      this.store.setMeta(metaKey, JSON.stringify(keys));
+      this.store.save();
+    }
+  }
+
+  /**
+   * @param {Object} anomaly
+   * @returns {string} - Stable identity of an anomaly across runs.
+   */
+  static anomalyKey(anomaly) {
+    return [anomaly.type, anomaly.field || '', anomaly.start].join(':');
+  }
+
+  /**
+   * @param {{fileId: string, fileName: string}} entry - ParseQualityReport entry.
+   * @param {{field: string, severity: string}} issue
+   * @returns {string} - Stable identity of a bill's parse issue across runs.
+   */
+  static parseIssueKey(entry, issue) {
+    return [entry.fileId || entry.fileName, issue.field, issue.severity].join(':');
+  }
+}
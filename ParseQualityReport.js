@@ -0,0 +1,121 @@
+/**
+ * Numeric fields that should be non-zero on a normal bill, per bill type.
+ * A zero here usually means the regex missed rather than a genuinely empty month.
+ */
+const EXPECTED_NONZERO = {
+  NationalGrid: ['cost'],
+  NationalGridGas: ['cost'],
+  Sunrun: ['cost', 'production'],
+  Eversource: ['cost'],
+  EversourceElectric: ['cost'],
+};
+
+/**
+ * Electric bill types whose usage is a meter reading, so a bill should show import or export.
+ */
+const METERED_ELECTRIC = ['NationalGrid', 'EversourceElectric'];
+
+export default class ParseQualityReport {
+  constructor() {
+    this.entries = [];
+  }
+
+  /**
+   * Checks a parsed bill and records any missing or suspicious fields.
+   *
+   * @param {{id: string, name: string}} file - Source file the bill came from.
+   * @param {Object} record - Parsed bill record (with `diagnostics` when available).
+   */
+  add(file, record) {
+    const issues = [];
+    const diagnostics = record.diagnostics || {};
+
+    for (const [field, diag] of Object.entries(diagnostics)) {
+      if (!diag.found && !diag.optional) {
+        issues.push({ field, severity: 'missing', message: 'not found; defaulted' });
+      }
+    }
+
+    for (const field of EXPECTED_NONZERO[record.type] || []) {
+      if (record[field] === 0 && diagnostics[field]?.found !== false) {
+        issues.push({ field, severity: 'suspicious', message: 'value is 0' });
+      }
+    }
+
+    // An electric bill with neither import nor export is almost always a missed usage line
+    if (METERED_ELECTRIC.includes(record.type) && record.usage === 0 && !record.exported) {
+      if (diagnostics.usage?.found !== false) {
+        issues.push({ field: 'usage', severity: 'suspicious', message: 'no import or export' });
+      }
+    }
+
+    if (record.date) {
+      const today = new Date().toISOString().split('T')[0];
+      if (record.date > today || record.date < '2000-01-01') {
+        issues.push({
+          field: 'date',
+          severity: 'suspicious',
+          message: `implausible date ${record.date}`,
+        });
+      }
+    }
+
+    if (record.startDate && record.endDate && record.startDate > record.endDate) {
+      issues.push({ field: 'startDate', severity: 'suspicious', message: 'starts after it ends' });
+    }
+
+    if (issues.length > 0) {
+      this.entries.push(this.entry(file, record, issues));
+    }
+  }
+
+  /**
+   * Records a bill that could not be parsed at all.
+   *
+   * @param {{id: string, name: string}} file
+   * @param {string} message
+   */
+  addFailure(file, message) {
+    this.entries.push(this.entry(file, null, [{ field: '*', severity: 'failed', message }]));
+  }
+
+  entry(file, record, issues) {
+    return {
+      fileId: file.id,
+      fileName: file.name,
+      type: record?.type || null,
+      date: record?.date || null,
+      issues: issues.map((issue) => ({
+        ...issue,
+        via: record?.diagnostics?.[issue.field]?.via || null,
+        snippet: record?.diagnostics?.[issue.field]?.snippet || null,
+      })),
+    };
+  }
+
+  /**
+   * @returns {Array<Object>} - Bills with at least one issue, sorted by date.
+   */
+  getEntries() {
+    return [...this.entries].sort((a, b) => (a.date || '').localeCompare(b.date || ''));
+  }
+
+  /**
+   * Prints the report to the console.
+   */
+  print() {
+    const entries = this.getEntries();
+    if (entries.length === 0) {
+      console.log('🔎 Parse quality: all bills look complete.');
+      return;
+    }
+
+    console.log(`🔎 Parse quality: ${entries.length} bill(s) need a look:`);
+    for (const entry of entries) {
+      console.log(`   ${entry.fileName} (${entry.type || 'unknown'}, ${entry.date || 'no date'})`);
+      for (const issue of entry.issues) {
+        console.log(`      - ${issue.field}: ${issue.severity}, ${issue.message}`);
+      }
+    }
+  }
+}
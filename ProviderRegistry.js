@@ -0,0 +1,264 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+
+const MODULE_DIR = path.dirname(fileURLToPath(import.meta.url));
+
+/**
+ * Per commodity, the record fields that add up over time and the monthly fields they feed,
+ * for providers that don't declare their own `fields`.
+ */
+const COMMODITY_FIELDS = {
+  electric: { cost: 'ngCost', usage: 'ngUsage', exported: 'ngExport', production: 'ngProd' },
+  solar: { cost: 'sunrunCost', production: 'sunrunProd' },
+  gas: { cost: 'gasCost', therms: 'gasTherms' },
+  water: { cost: 'waterCost', usage: 'waterUsage' },
+};
+
+/**
+ * Parsers that ship with the dashboard, by bill type. A provider of one of these types only
+ * needs a `source`; parser paths here are relative to this directory.
+ */
+const BUILT_IN_PROVIDERS = {
+  NationalGrid: {
+    name: 'National Grid',
+    commodity: 'electric',
+    parser: './parsers/NationalGridParser.js',
+  },
+  NationalGridGas: {
+    name: 'National Grid Gas',
+    commodity: 'gas',
+    parser: './parsers/NationalGridGasParser.js',
+  },
+  Sunrun: { name: 'Sunrun', commodity: 'solar', parser: './parsers/SunrunParser.js' },
+  Eversource: { name: 'Eversource Gas', commodity: 'gas', parser: './parsers/EversourceParser.js' },
+  EversourceElectric: {
+    name: 'Eversource Electric',
+    commodity: 'electric',
+    parser: './parsers/EversourceElectricParser.js',
+  },
+};
+
+/**
+ * The utilities used without a config file. `source` may reference environment variables as
+ * ${NAME}.
+ */
+const DEFAULT_PROVIDERS = [
+  { type: 'NationalGrid', source: '${BILL_SOURCE_ELECTRIC}' },
+  { type: 'Sunrun', source: '${BILL_SOURCE_SOLAR}' },
+  { type: 'Eversource', source: '${BILL_SOURCE_GAS}' },
+];
+
+/**
+ * Optional mixed folder; each bill's type is detected from its content.
+ */
+const DEFAULT_INBOX = '${BILL_SOURCE_INBOX}';
+
+/**
+ * The utilities bills come from: for each, the parser that reads its PDFs, the folder they are
+ * in, its commodity, and the monthly analysis fields its records feed.
+ *
+ * Configured by providers.json in the working directory (or the file named by PROVIDERS_FILE):
+ * {"providers": [{"type": "EversourceElectric", "source": "${BILL_SOURCE_ELECTRIC}"},
+ *   {"type": "TownWater", "commodity": "water", "parser": "./TownWaterParser.js", "source": "..."}],
+ *  "inbox": "${BILL_SOURCE_INBOX}"}
+ * Built-in types fill in their own name, commodity and parser; other parser paths are relative
+ * to the config file. Without one, DEFAULT_PROVIDERS are used.
+ */
+export default class ProviderRegistry {
+  static COMMODITIES = Object.keys(COMMODITY_FIELDS);
+
+  /**
+   * @param {Object} [config]
+   * @param {Array<Object>} [config.providers] - Each with `type`, `source` and, unless the type is
+   *   built in, `commodity` and `parser`; optionally `name` and `fields` ({recordField: monthlyField}).
+   * @param {string|null} [config.inbox] - Source spec of the mixed inbox folder.
+   * @param {Object} [options]
+   * @param {string} [options.baseDir] - Directory parser paths are relative to.
+   */
+  constructor(
+    { providers = DEFAULT_PROVIDERS, inbox = DEFAULT_INBOX } = {},
+    { baseDir = MODULE_DIR } = {}
+  ) {
+    this.providers = providers.map((provider) => ProviderRegistry.validate(provider, baseDir));
+    const types = this.providers.map((p) => p.type);
+    const duplicate = types.find((type, i) => types.indexOf(type) !== i);
+    if (duplicate) {
+      throw new Error(`❌ Provider "${duplicate}" is configured more than once`);
+    }
+    this.inbox = inbox;
+  }
+
+  /**
+   * Every built-in provider, without sources (e.g. for parsing or detecting any known bill).
+   *
+   * @returns {ProviderRegistry}
+   */
+  static builtIn() {
+    return new ProviderRegistry({
+      providers: Object.keys(BUILT_IN_PROVIDERS).map((type) => ({ type })),
+      inbox: null,
+    });
+  }
+
+  /**
+   * Reads the provider config file, if there is one.
+   *
+   * @returns {ProviderRegistry}
+   */
+  static load() {
+    const { PROVIDERS_FILE } = process.env;
+    const configPath = path.resolve(process.cwd(), PROVIDERS_FILE || 'providers.json');
+    if (!PROVIDERS_FILE && !fs.existsSync(configPath)) {
+      return new ProviderRegistry();
+    }
+
+    let config;
+    try {
+      config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+    } catch (e) {
+      throw new Error(`Failed to parse providers JSON in ${configPath}`, { cause: e });
+    }
+    return new ProviderRegistry(config, { baseDir: path.dirname(configPath) });
+  }
+
+  /**
+   * Checks a provider config, fills in a built-in type's details and its commodity's default
+   * fields, and resolves its parser path.
+   *
+   * @param {Object} provider
+   * @param {string} baseDir - Directory a configured parser path is relative to.
+   * @returns {Object}
+   */
+  static validate(provider, baseDir) {
+    const builtIn = BUILT_IN_PROVIDERS[provider.type];
+    const merged = { ...builtIn, ...provider };
+    for (const key of ['type', 'commodity', 'parser']) {
+      if (!merged[key]) {
+        throw new Error(
+          `❌ Provider ${provider.type || JSON.stringify(provider)} is missing "${key}"`
+        );
+      }
+    }
+    if (!ProviderRegistry.COMMODITIES.includes(merged.commodity)) {
+      throw new Error(
+        `❌ Provider ${merged.type} has unknown commodity "${merged.commodity}". Expected one of: ${ProviderRegistry.COMMODITIES.join(', ')}`
+      );
+    }
+    return {
+      ...merged,
+      name: merged.name || merged.type,
+      parser: path.resolve(provider.parser ? baseDir : MODULE_DIR, merged.parser),
+      fields: merged.fields || COMMODITY_FIELDS[merged.commodity],
+    };
+  }
+
+  /**
+   * @returns {Array<string>} - Every configured bill type.
+   */
+  get types() {
+    return this.providers.map((p) => p.type);
+  }
+
+  /**
+   * @param {string} type
+   * @returns {Object|null}
+   */
+  get(type) {
+    return this.providers.find((p) => p.type === type) || null;
+  }
+
+  /**
+   * @param {string} type
+   * @returns {string|null} - The provider's commodity, or null for an unknown type.
+   */
+  commodityOf(type) {
+    return this.get(type)?.commodity || null;
+  }
+
+  /**
+   * @param {string} type
+   * @returns {Object<string, string>} - {recordField: monthlyField}; empty for an unknown type.
+   */
+  fieldsOf(type) {
+    return this.get(type)?.fields || {};
+  }
+
+  /**
+   * @returns {Array<string>} - Every monthly field some provider feeds, after each commodity's
+   *   default fields (which the analysis reads even when no provider feeds them).
+   */
+  get monthlyFields() {
+    const defaults = Object.values(COMMODITY_FIELDS).flatMap((fields) => Object.values(fields));
+    return [...new Set([...defaults, ...this.providers.flatMap((p) => Object.values(p.fields))])];
+  }
+
+  /**
+   * @param {string} commodity
+   * @returns {Array<string>} - Monthly fields holding what that commodity's bills cost: those fed
+   *   by a record's `cost`, or named like "...Cost".
+   */
+  costFields(commodity) {
+    const fields = this.providers
+      .filter((p) => p.commodity === commodity)
+      .flatMap((p) => Object.entries(p.fields))
+      .filter(([field, target]) => field === 'cost' || target.endsWith('Cost'))
+      .map(([, target]) => target);
+    return [...new Set(fields)];
+  }
+
+  /**
+   * @param {string} type
+   * @returns {URL} - Location of the provider's parser module.
+   */
+  parserUrl(type) {
+    const provider = this.get(type);
+    if (!provider) {
+      throw new Error(`Unknown parser type: ${type}`);
+    }
+    return pathToFileURL(provider.parser);
+  }
+
+  /**
+   * The folders to ingest, with environment references in their sources resolved.
+   *
+   * @param {Object} [options]
+   * @param {string} [options.type] - Only return the folder for this bill type (plus the inbox).
+   * @returns {Array<{name: string, type: string, spec: string}>}
+   */
+  folders({ type = null } = {}) {
+    const folders = this.providers.map((p) => {
+      if (!p.source) {
+        throw new Error(`❌ Provider ${p.type} has no "source"`);
+      }
+      return {
+        name: p.name,
+        type: p.type,
+        spec: ProviderRegistry.expand(p.source, { required: true }),
+      };
+    });
+    const inbox = this.inbox && ProviderRegistry.expand(this.inbox);
+    if (inbox) {
+      folders.push({ name: 'Inbox', type: 'auto', spec: inbox });
+    }
+    return folders.filter((f) => !type || f.type === type || f.type === 'auto');
+  }
+
+  /**
+   * Replaces ${NAME} references with environment variables.
+   *
+   * @param {string} spec
+   * @param {Object} [options]
+   * @param {boolean} [options.required] - Throw if a referenced variable is unset.
+   * @returns {string}
+   */
+  static expand(spec, { required = false } = {}) {
+    return spec.replace(/\$\{(\w+)\}/g, (match, name) => {
+      const value = process.env[name];
+      if (!value && required) {
+        throw new Error(`❌ Missing ${name} environment variable`);
+      }
+      return value || '';
+    });
+  }
+}
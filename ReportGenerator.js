@@ -0,0 +1,283 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import { createRequire } from 'module';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import AnomalyDetector from './AnomalyDetector.js';
+import EnergyAnalyzer from './EnergyAnalyzer.js';
+import Forecaster from './Forecaster.js';
+import ProviderRegistry from './ProviderRegistry.js';
+import SolarRoi from './SolarRoi.js';
+
+const MODULE_DIR = path.dirname(fileURLToPath(import.meta.url));
+
+/**
+ * Default folder for dated copies of the dashboard (see write()).
+ */
+const ARCHIVE_DIR = 'reports';
+
+export default class ReportGenerator {
+  /**
+   * @param {ProviderRegistry} [registry] - How each provider's bills feed the analysis.
+   */
+  constructor(registry = new ProviderRegistry()) {
+    this.registry = registry;
+  }
+
+  /**
+   * Runs the bills and daily production data through the analyzer.
+   *
+   * @param {Array<Object>} bills - Parsed bill records.
+   * @param {DataStore} store - Source of daily production data.
+   * @param {Object} [options]
+   * @param {string} [options.since] - Only keep months on or after this date's month.
+   * @param {'calendar'|'billing'} [options.view] - Calendar months or billing cycles.
+   * @returns {Array<Object>} - Monthly analysis.
+   */
+  analyze(bills, store, { since = null, view = 'calendar' } = {}) {
+    const analyzer = new EnergyAnalyzer(this.registry);
+
+    // Inject daily data into analyzer
+    analyzer.setDailySolarData(store);
+    analyzer.setWeatherData(store);
+    analyzer.setGridIntervalData(store);
+
+    // Feed data into analyzer (routed by each record's detected type)
+    bills.forEach((d) => analyzer.addBill(d));
+
+    // Get calculated metrics
+    const monthly = analyzer.getMonthlyAnalysis({ view });
+    if (!since) {
+      return monthly;
+    }
+    const sinceMonth = since.slice(0, 7);
+    return monthly.filter((m) => m.month >= sinceMonth);
+  }
+
+  /**
+   * Fits each heating season's baseload and heating load from the monthly analysis.
+   *
+   * @param {Array<Object>} monthly - Calendar-month analysis from analyze().
+   * @returns {Array<Object>} - See EnergyAnalyzer.getSeasonalRegression().
+   */
+  heatingSeasons(monthly) {
+    return EnergyAnalyzer.getSeasonalRegression(monthly);
+  }
+
+  /**
+   * Projects the next 12 months from the same months in previous years.
+   *
+   * @param {Array<Object>} monthly - Calendar-month analysis from analyze().
+   * @param {DataStore} store - Source of daily production data.
+   * @returns {Object} - See Forecaster.forecast().
+   */
+  forecast(monthly, store) {
+    const forecaster = new Forecaster();
+    forecaster.setDailySolarData(store);
+    return forecaster.forecast(monthly);
+  }
+
+  /**
+   * Flags production drops, inverter/meter disagreements and unusual bills.
+   *
+   * @param {Array<Object>} monthly - Calendar-month analysis from analyze().
+   * @param {DataStore} store - Source of daily production data.
+   * @param {Object} [options]
+   * @param {string} [options.since] - Only report anomalies ending on or after this date.
+   * @returns {Array<Object>} - See AnomalyDetector.detect().
+   */
+  anomalies(monthly, store, { since = null } = {}) {
+    const detector = new AnomalyDetector({ registry: this.registry });
+    detector.setDailySolarData(store);
+    return detector.detect(monthly, { since });
+  }
+
+  /**
+   * Compares the monthly cost with solar against the utility bill without it, and projects
+   * the savings over the rest of the contract (terms from SOLAR_CONTRACT in .env).
+   *
+   * @param {Array<Object>} monthly - Calendar-month analysis from analyze().
+   * @returns {Object} - See SolarRoi.analyze().
+   */
+  solarSavings(monthly) {
+    return new SolarRoi(SolarRoi.loadContract()).analyze(monthly);
+  }
+
+  /**
+   * Collects daily production for the calendar heatmap and the month drill-down.
+   *
+   * @param {DataStore} store
+   * @param {Object} [options]
+   * @param {string} [options.since] - Only include days on or after this date.
+   * @returns {Object<string, number>} - kWh by date (YYYY-MM-DD).
+   */
+  daily(store, { since = null } = {}) {
+    const daily = {};
+    for (const { date, production } of store.getDailyProduction(since || undefined)) {
+      daily[date] = production;
+    }
+    return daily;
+  }
+
+  /**
+   * Collects the interval production data for the intraday charts: every reading for the most
+   * recent days, and the average hourly profile for each month.
+   *
+   * @param {DataStore} store
+   * @param {Object} [options]
+   * @param {string} [options.since] - Only include data on or after this date.
+   * @param {number} [options.recentDays] - How many of the latest days to include readings for.
+   * @returns {{days: Object<string, Array<[string, number]>>, profiles: Object<string, Array<number>>}}
+   *   `days` maps a date to [time, kWh] pairs; `profiles` maps a month to 24 hourly kWh averages.
+   */
+  intraday(store, { since = null, recentDays = 60 } = {}) {
+    const recent = store.getIntervalDays(since || undefined).slice(-recentDays);
+    const days = {};
+    if (recent.length > 0) {
+      for (const { date, time, production } of store.getIntervalProduction(recent[0])) {
+        (days[date] ||= []).push([time, production]);
+      }
+    }
+
+    const profiles = {};
+    for (const { month, hour, production } of store.getHourlyProfiles(since || undefined)) {
+      (profiles[month] ||= new Array(24).fill(0))[hour] = production;
+    }
+    return { days, profiles };
+  }
+
+  /**
+   * Collects everything the dashboard shows.
+   *
+   * @param {Array<Object>} bills - Parsed bill records.
+   * @param {DataStore} store
+   * @param {Object} [options]
+   * @param {string} [options.since] - Only include data on or after this date.
+   * @param {Array<Object>} [options.monthly] - Calendar-month analysis, if already run.
+   * @param {Array<Object>} [options.quality] - Parse-quality entries (ParseQualityReport.getEntries()).
+   * @returns {{monthly: Array<Object>, billingCycles: Array<Object>, heatingSeasons: Array<Object>, quality: Array<Object>, daily: Object<string, number>, intraday: Object, roi: Object, forecast: Object, anomalies: Array<Object>}}
+   */
+  build(bills, store, { since = null, monthly = null, quality = [] } = {}) {
+    monthly ||= this.analyze(bills, store, { since });
+    return {
+      monthly,
+      billingCycles: this.analyze(bills, store, { since, view: 'billing' }),
+      heatingSeasons: this.heatingSeasons(monthly),
+      quality,
+      daily: this.daily(store, { since }),
+      intraday: this.intraday(store, { since }),
+      roi: this.solarSavings(monthly),
+      forecast: this.forecast(monthly, store),
+      anomalies: this.anomalies(monthly, store, { since }),
+    };
+  }
+
+  /**
+   * Identifies a rendered dashboard: the versions that built it, when, and a hash of its data
+   * (equal hashes mean the same numbers).
+   *
+   * @param {Object|null} data - See build().
+   * @param {string} [generatedAt] - ISO timestamp.
+   * @returns {{version: string, chartJs: string, generatedAt: string, dataHash: string|null}}
+   */
+  buildInfo(data, generatedAt = new Date().toISOString()) {
+    const pkg = JSON.parse(fs.readFileSync(path.join(MODULE_DIR, 'package.json'), 'utf8'));
+    return {
+      version: pkg.version,
+      chartJs: chartJs().version,
+      generatedAt,
+      dataHash: data
+        ? crypto.createHash('sha256').update(JSON.stringify(data)).digest('hex').slice(0, 12)
+        : null,
+    };
+  }
+
+  /**
+   * Renders the dashboard template with the report data, as a single file that works offline:
+   * Chart.js (from node_modules) and the favicon are inlined. Without data, the dashboard loads
+   * it from the API of `node analyzeBills.js serve` instead.
+   *
+   * @param {Object|null} data - See build().
+   * @param {Object} [build] - See buildInfo().
+   * @returns {string}
+   */
+  render(data, build = this.buildInfo(data)) {
+    const templatePath = path.join(process.cwd(), 'dashboard_template.html');
+    const template = fs.readFileSync(templatePath, 'utf8');
+    const faviconPath = path.join(process.cwd(), 'favicon.png');
+    const favicon = fs.existsSync(faviconPath)
+      ? `data:image/png;base64,${fs.readFileSync(faviconPath).toString('base64')}`
+      : '';
+    const replacements = {
+      '<script src="{{CHART_JS}}"></script>': `<script>\n${chartJs().source}\n</script>`,
+      '{{FAVICON}}': favicon,
+      '"{{BUILD_INFO}}"': scriptJson(build),
+      '"{{REPORT_DATA}}"': scriptJson(data),
+    };
+    // Replacer functions, so "$" in the inlined code isn't read as a replacement pattern
+    return Object.entries(replacements).reduce(
+      (html, [placeholder, value]) => html.replace(placeholder, () => value),
+      template
+    );
+  }
+
+  /**
+   * Renders the dashboard and writes it to disk.
+   *
+   * @param {Object} data - See build().
+   * @param {Object} [options]
+   * @param {string} [options.fileName] - Written in the working directory.
+   * @param {boolean} [options.archive] - Instead, write a copy named after its generation time,
+   *   leaving earlier copies in place.
+   * @param {string} [options.archiveDir] - Folder for the archived copies.
+   * @returns {string} - Path of the written report.
+   */
+  write(data, { fileName = 'index.html', archive = false, archiveDir = ARCHIVE_DIR } = {}) {
+    const build = this.buildInfo(data);
+    let reportPath = path.join(process.cwd(), fileName);
+    if (archive) {
+      const dir = path.resolve(process.cwd(), archiveDir);
+      fs.mkdirSync(dir, { recursive: true });
+      // e.g. dashboard-2024-06-05T14-30-00Z.html
+      const stamp = `${build.generatedAt.slice(0, 19).replace(/:/g, '-')}Z`;
+      reportPath = path.join(dir, `dashboard-${stamp}.html`);
+    }
+    fs.writeFileSync(reportPath, this.render(data, build));
+    return reportPath;
+  }
+}
+
+let chartJsBundle = null;
+
+/**
+ * The browser build of Chart.js from node_modules, read once.
+ *
+ * @returns {{version: string, source: string}}
+ */
+function chartJs() {
+  if (!chartJsBundle) {
+    let distDir;
+    try {
+      distDir = path.dirname(createRequire(import.meta.url).resolve('chart.js'));
+    } catch (e) {
+      throw new Error('❌ Chart.js is not installed; run npm install', { cause: e });
+    }
+    const pkg = JSON.parse(fs.readFileSync(path.join(distDir, '..', 'package.json'), 'utf8'));
+    const source = fs
+      .readFileSync(path.join(distDir, 'chart.umd.min.js'), 'utf8')
+      // The source map isn't bundled
+      .replace(/\n\/\/# sourceMappingURL=.*\s*$/, '');
+    chartJsBundle = { version: pkg.version, source };
+  }
+  return chartJsBundle;
+}
+
+/**
+ * JSON that is safe inside a <script> element: a "</script>" in a string can't end it early.
+ *
+ * @param {*} value
+ * @returns {string}
+ */
+function scriptJson(value) {
+  return JSON.stringify(value).replace(/</g, '\\u003c');
+}
@@ -0,0 +1,209 @@
+import DateUtils from './DateUtils.js';
+
+/**
+ * Contract terms used when SOLAR_CONTRACT doesn't set them. The escalators are yearly rates.
+ */
+const DEFAULT_CONTRACT = {
+  startDate: null, // YYYY-MM-DD; defaults to the first month with a Sunrun bill
+  termYears: 20,
+  escalator: 0.029, // PPA/lease price increase per contract year
+  utilityEscalator: 0.03, // Assumed utility rate increase per year
+  degradation: 0.005, // Panel output lost per year
+  upfrontCost: 0, // Prepaid or down payment
+  fallbackRate: null, // $/kWh used when no bill prints its rates
+};
+
+/**
+ * Answers "are we saving money with solar?": prices each month's consumption at the utility's
+ * rates as if there were no panels, compares that with what National Grid and Sunrun actually
+ * charged, and projects the rest of the contract term.
+ */
+export default class SolarRoi {
+  /**
+   * @param {Object} [contract] - Overrides for DEFAULT_CONTRACT.
+   */
+  constructor(contract = {}) {
+    this.contract = { ...DEFAULT_CONTRACT, ...contract };
+  }
+
+  /**
+   * Reads contract terms from the SOLAR_CONTRACT JSON in .env, if set.
+   *
+   * @returns {Object}
+   */
+  static loadContract() {
+    const { SOLAR_CONTRACT } = process.env;
+    if (!SOLAR_CONTRACT) {
+      return {};
+    }
+
+    try {
+      return JSON.parse(SOLAR_CONTRACT);
+    } catch (e) {
+      throw new Error('Failed to parse SOLAR_CONTRACT JSON', { cause: e });
+    }
+  }
+
+  /**
+   * @param {Array<Object>} monthly - Calendar-month output of getMonthlyAnalysis().
+   * @returns {{contract: Object, months: Array<Object>, summary: Object|null}} - Each month has
+   *   {month, projected, rate, production, counterfactual, actual, savings, cumulative}; months
+   *   without a known rate have null prices. `summary` is null before the contract starts.
+   */
+  analyze(monthly) {
+    const startMonth = (
+      this.contract.startDate ||
+      monthly.find((m) => m.sunrunCost > 0)?.month ||
+      ''
+    ).slice(0, 7);
+    const actual = monthly.filter((m) => startMonth && m.month >= startMonth);
+    const contract = { ...this.contract, startMonth: startMonth || null };
+    if (actual.length === 0) {
+      return { contract, months: [], summary: null };
+    }
+
+    const months = this.priceActualMonths(actual);
+    months.push(...this.project(actual, months, startMonth));
+
+    let cumulative = -this.contract.upfrontCost;
+    for (const m of months) {
+      cumulative += m.savings ?? 0;
+      m.cumulative = round(cumulative);
+    }
+
+    // Break even from the first month after which the running total never drops below zero
+    let breakEvenMonth = null;
+    for (const m of months) {
+      if (m.cumulative < 0) {
+        breakEvenMonth = null;
+      } else {
+        breakEvenMonth ||= m.month;
+      }
+    }
+
+    const sum = (list) => round(list.reduce((total, m) => total + (m.savings ?? 0), 0));
+    const toDate = months.filter((m) => !m.projected);
+    return {
+      contract,
+      months,
+      summary: {
+        savingsToDate: sum(toDate),
+        projectedSavings: sum(months.filter((m) => m.projected)),
+        lifetimeSavings: months.at(-1).cumulative,
+        breakEvenMonth,
+        contractEndMonth: DateUtils.addMonths(startMonth, this.contract.termYears * 12 - 1),
+        unpricedMonths: toDate.filter((m) => m.savings === null).length,
+      },
+    };
+  }
+
+  /**
+   * Prices the months with bills. Rates are carried forward from the last bill that printed
+   * them (and back to months before the first), since not every bill itemizes them.
+   *
+   * @param {Array<Object>} actual
+   * @returns {Array<Object>}
+   */
+  priceActualMonths(actual) {
+    const known = (field) => {
+      let last = actual.find((m) => m[field] !== null && m[field] !== undefined)?.[field] ?? null;
+      return actual.map((m) => (last = m[field] ?? last));
+    };
+    const delivery = known('ngDeliveryRate');
+    const supply = known('ngSupplyRate');
+    const customerCharge = known('ngCustomerCharge');
+
+    return actual.map((m, i) => {
+      const printed = delivery[i] !== null || supply[i] !== null;
+      const rate = printed ? (delivery[i] ?? 0) + (supply[i] ?? 0) : this.contract.fallbackRate;
+      if (rate === null) {
+        return SolarRoi.row(m.month, false, null, m.totalProduction, null, m.totalCost);
+      }
+      const counterfactual = (customerCharge[i] ?? 0) + rate * m.trueConsumption;
+      return SolarRoi.row(m.month, false, rate, m.totalProduction, counterfactual, m.totalCost);
+    });
+  }
+
+  /**
+   * Projects the months left in the contract term. Production follows the average for each
+   * calendar month, less degradation; the utility rate grows by utilityEscalator from the latest
+   * known rate, and the Sunrun bill by the escalator at each contract anniversary.
+   * A projected month saves what its production would have cost, less the Sunrun bill.
+   *
+   * @param {Array<Object>} actual - Analysis months since the contract start.
+   * @param {Array<Object>} priced - From priceActualMonths().
+   * @param {string} startMonth - YYYY-MM
+   * @returns {Array<Object>}
+   */
+  project(actual, priced, startMonth) {
+    const { termYears, escalator, utilityEscalator, degradation } = this.contract;
+    const lastMonth = actual.at(-1).month;
+    const endMonth = DateUtils.addMonths(startMonth, termYears * 12 - 1);
+    const latestRate = priced.findLast((m) => m.rate !== null)?.rate;
+    if (lastMonth >= endMonth || latestRate === undefined) {
+      return [];
+    }
+
+    const monthsFrom = (from, to) => {
+      const [fy, fm] = from.split('-').map(Number);
+      const [ty, tm] = to.split('-').map(Number);
+      return (ty - fy) * 12 + (tm - fm);
+    };
+    const contractYear = (month) => Math.floor(monthsFrom(startMonth, month) / 12);
+
+    // Average production per calendar month, normalized to the first contract year
+    const byMonth = {};
+    for (const m of actual) {
+      const firstYearOutput = m.totalProduction / (1 - degradation) ** contractYear(m.month);
+      (byMonth[m.month.slice(5)] ||= []).push(firstYearOutput);
+    }
+    const average = (list) => list.reduce((total, v) => total + v, 0) / list.length;
+    const overall = average(Object.values(byMonth).flat());
+
+    const recent = actual.slice(-12);
+    const sunrunCost = average(recent.map((m) => m.sunrunCost));
+
+    const months = [];
+    for (let month = DateUtils.addMonths(lastMonth, 1); month <= endMonth; ) {
+      const calendarMonth = month.slice(5);
+      const production =
+        (byMonth[calendarMonth] ? average(byMonth[calendarMonth]) : overall) *
+        (1 - degradation) ** contractYear(month);
+      const rate = latestRate * (1 + utilityEscalator) ** (monthsFrom(lastMonth, month) / 12);
+      const cost = sunrunCost * (1 + escalator) ** (contractYear(month) - contractYear(lastMonth));
+      months.push(SolarRoi.row(month, true, rate, production, production * rate, cost));
+      month = DateUtils.addMonths(month, 1);
+    }
+    return months;
+  }
+
+  /**
+   * @param {string} month
+   * @param {boolean} projected
+   * @param {number|null} rate - $/kWh
+   * @param {number} production - kWh
+   * @param {number|null} counterfactual - What the month would have cost without solar.
+   * @param {number} actual - What it cost (or is projected to cost) with solar.
+   * @returns {Object}
+   */
+  static row(month, projected, rate, production, counterfactual, actual) {
+    return {
+      month,
+      projected,
+      rate: rate === null ? null : Math.round(rate * 1e5) / 1e5,
+      production: Math.round(production),
+      counterfactual: counterfactual === null ? null : round(counterfactual),
+      actual: round(actual),
+      savings: counterfactual === null ? null : round(counterfactual - actual),
+      cumulative: null,
+    };
+  }
+}
+
+/**
+ * @param {number} value
+ * @returns {number} - Rounded to cents.
+ */
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
@@ -1,24 +1,76 @@
 import 'dotenv/config';
+import fs from 'fs';
+import path from 'path';
+import DateUtils from './DateUtils.js';
+
+const DEFAULT_BASE_URL = 'https://gateway.sunrun.com';
+const DAILY_ENDPOINT = '/performance-api/v1/site-production-daily';
+const INTERVAL_ENDPOINT = '/performance-api/v1/site-production-minute';
 
 export default class SunrunClient {
-  constructor() {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.baseUrl] - Gateway URL (defaults to SUNRUN_GATEWAY_URL or the real gateway).
+   * @param {string} [options.credentialsFile] - Where rotated tokens are saved; takes precedence over .env.
+   * @param {number} [options.maxRetries] - Retries for 429/5xx/network errors.
+   * @param {number} [options.retryDelayMs] - Base delay for exponential backoff.
+   * @param {string} [options.timeZone] - The system's local timezone; days start at local midnight.
+   */
+  constructor({
+    baseUrl = process.env.SUNRUN_GATEWAY_URL || DEFAULT_BASE_URL,
+    credentialsFile = '.sunrun_credentials.json',
+    maxRetries = 4,
+    retryDelayMs = 1000,
+    timeZone = DateUtils.DEFAULT_TIME_ZONE,
+  } = {}) {
+    this.baseUrl = baseUrl.replace(/\/$/, '');
+    this.credentialsPath = path.resolve(process.cwd(), credentialsFile);
+    this.maxRetries = maxRetries;
+    this.retryDelayMs = retryDelayMs;
+    this.timeZone = timeZone;
+
+    const creds = this.loadCredentials();
+    this.authToken = creds.auth_token;
+    this.refreshToken = creds.refresh_token;
+    this.prospectId = null;
+    this.sunrunStart = null;
+  }
+
+  /**
+   * Loads credentials, preferring tokens rotated by a previous run over the ones in .env.
+   *
+   * @returns {{auth_token: string, refresh_token: string}}
+   */
+  loadCredentials() {
+    if (fs.existsSync(this.credentialsPath)) {
+      try {
+        return JSON.parse(fs.readFileSync(this.credentialsPath, 'utf8'));
+      } catch (e) {
+        console.warn(`⚠️ Ignoring unreadable ${this.credentialsPath}: ${e.message}`);
+      }
+    }
+
     const { SUNRUN_CREDENTIALS } = process.env;
     if (!SUNRUN_CREDENTIALS) {
       throw new Error('SUNRUN_CREDENTIALS not found in .env');
     }
 
-    let creds;
     try {
-      creds = JSON.parse(SUNRUN_CREDENTIALS);
+      return JSON.parse(SUNRUN_CREDENTIALS);
     } catch (e) {
       console.error('Error parsing SUNRUN_CREDENTIALS:', e);
       throw new Error('Failed to parse SUNRUN_CREDENTIALS JSON', { cause: e });
     }
+  }
 
-    this.authToken = creds.auth_token;
-    this.refreshToken = creds.refresh_token;
-    this.prospectId = null;
-    this.sunrunStart = null;
+  /**
+   * Saves the current tokens so the next run starts with the rotated ones.
+   */
+  saveCredentials() {
+    const tmpPath = `${this.credentialsPath}.${process.pid}.tmp`;
+    const creds = { auth_token: this.authToken, refresh_token: this.refreshToken };
+    fs.writeFileSync(tmpPath, JSON.stringify(creds, null, 2), { mode: 0o600 });
+    fs.renameSync(tmpPath, this.credentialsPath);
   }
 
   /**
@@ -26,18 +78,7 @@ export default class SunrunClient {
    */
   async init() {
     console.log('🔌 Connecting to Sunrun API...');
-    const response = await fetch('https://gateway.sunrun.com/portal-auth/get-user', {
-      headers: {
-        Authorization: `Bearer ${this.authToken}`,
-        Refreshtoken: this.refreshToken,
-      },
-    });
-
-    if (!response.ok) {
-      throw new Error(`Failed to get user info: ${response.status} ${response.statusText}`);
-    }
-
-    const data = await response.json();
+    const data = await this.request('/portal-auth/get-user', 'get user info');
 
     // Extract prospect_id and sunrunStart
     const opportunity = data.opportunitiesWithContracts?.[0];
@@ -61,36 +102,178 @@ export default class SunrunClient {
    * Fetches daily production data for a given date range.
    *
    * @param {string} startDate - YYYY-MM-DD
-   * @param {string} endDate - YYYY-MM-DD
+   * @param {string} endDate - YYYY-MM-DD (inclusive)
    * @returns {Promise<Array<{date: string, production: number}>>}
    */
   async getDailyProduction(startDate, endDate) {
-    // Format: <YYYY-MM-DD>T00:00:00.000-04:00
-    const startParam = `${startDate}T00:00:00.000-04:00`;
-    const endParam = `${endDate}T00:00:00.000-04:00`;
+    const data = await this.getProduction(DAILY_ENDPOINT, startDate, endDate);
+
+    return data
+      .map((item) => ({
+        date: DateUtils.toLocalDate(item.date || item.timestamp, this.timeZone), // Fallback if date key varies
+        production: item.systemProduction || 0,
+      }))
+      .filter((day) => day.date && day.date >= startDate && day.date <= endDate);
+  }
+
+  /**
+   * Fetches interval (15-minute) production readings for a given date range.
+   *
+   * @param {string} startDate - YYYY-MM-DD
+   * @param {string} endDate - YYYY-MM-DD (inclusive)
+   * @returns {Promise<Array<{timestamp: string, date: string, time: string, production: number}>>}
+   *   `timestamp` is the UTC start of the interval; `date` and `time` are local.
+   */
+  async getIntervalProduction(startDate, endDate) {
+    const data = await this.getProduction(INTERVAL_ENDPOINT, startDate, endDate);
 
-    const url = `https://gateway.sunrun.com/performance-api/v1/site-production-daily/${this.prospectId}?startDate=${startParam}&endDate=${endParam}`;
+    return data
+      .filter((item) => item.timestamp)
+      .map((item) => ({
+        timestamp: new Date(item.timestamp).toISOString(),
+        date: DateUtils.toLocalDate(item.timestamp, this.timeZone),
+        time: DateUtils.toLocalTime(item.timestamp, this.timeZone),
+        production: item.systemProduction || 0,
+      }))
+      .filter((reading) => reading.date >= startDate && reading.date <= endDate);
+  }
+
+  /**
+   * Calls one of the production endpoints for a range of local days.
+   *
+   * @param {string} endpoint - Path without the prospect ID.
+   * @param {string} startDate - YYYY-MM-DD
+   * @param {string} endDate - YYYY-MM-DD (inclusive)
+   * @returns {Promise<Array<Object>>} - Raw response items.
+   */
+  async getProduction(endpoint, startDate, endDate) {
+    // Format: <YYYY-MM-DD>T00:00:00.000-05:00, with the offset in effect on that date.
+    // The end is the following midnight so the last day is always covered.
+    const startParam = encodeURIComponent(DateUtils.localMidnight(startDate, this.timeZone));
+    const endParam = encodeURIComponent(
+      DateUtils.localMidnight(DateUtils.addDays(endDate, 1), this.timeZone)
+    );
 
-    const response = await fetch(url, {
+    const data = await this.request(
+      `${endpoint}/${this.prospectId}?startDate=${startParam}&endDate=${endParam}`,
+      'fetch production'
+    );
+
+    if (!Array.isArray(data)) {
+      console.warn('Unexpected API response format (not an array):', data);
+      return [];
+    }
+    return data;
+  }
+
+  /**
+   * Exchanges the refresh token for a new access token and saves the rotated credentials.
+   */
+  async refreshAccessToken() {
+    console.log('🔑 Sunrun access token expired, refreshing...');
+    const response = await fetch(`${this.baseUrl}/portal-auth/refresh-token`, {
+      method: 'POST',
       headers: {
-        Authorization: `Bearer ${this.authToken}`,
+        'Content-Type': 'application/json',
         Refreshtoken: this.refreshToken,
       },
+      body: JSON.stringify({ refresh_token: this.refreshToken }),
     });
 
     if (!response.ok) {
-      throw new Error(`Failed to fetch production: ${response.status} ${response.statusText}`);
+      throw new Error(
+        `Failed to refresh Sunrun token: ${response.status} ${response.statusText}. Update SUNRUN_CREDENTIALS in .env.`
+      );
     }
 
-    const data = await response.json();
-    if (!Array.isArray(data)) {
-      console.warn('Unexpected API response format (not an array):', data);
-      return [];
+    const data = await response.json().catch(() => ({}));
+    // Accept the new tokens from either the body or the response headers
+    const authToken =
+      data.auth_token ||
+      data.access_token ||
+      data.token ||
+      response.headers.get('authorization')?.replace(/^Bearer\s+/i, '');
+    if (!authToken) {
+      throw new Error('Sunrun token refresh returned no access token.');
+    }
+
+    this.authToken = authToken;
+    this.refreshToken =
+      data.refresh_token || response.headers.get('refreshtoken') || this.refreshToken;
+    this.saveCredentials();
+    console.log('🔑 Sunrun token refreshed.');
+  }
+
+  /**
+   * GETs a gateway endpoint, refreshing the token once on 401 and retrying
+   * transient failures (429, 5xx, network errors) with exponential backoff.
+   *
+   * @param {string} endpoint - Path (and query) under the gateway URL.
+   * @param {string} description - Used in error messages, e.g. "fetch production".
+   * @returns {Promise<any>} - Parsed JSON body.
+   */
+  async request(endpoint, description) {
+    let refreshed = false;
+
+    for (let attempt = 0; ; attempt++) {
+      let response;
+      try {
+        response = await fetch(`${this.baseUrl}${endpoint}`, {
+          headers: {
+            Authorization: `Bearer ${this.authToken}`,
+            Refreshtoken: this.refreshToken,
+          },
+        });
+      } catch (e) {
+        if (attempt >= this.maxRetries) {
+          throw new Error(`Failed to ${description}: ${e.message}`, { cause: e });
+        }
+        await this.backoff(attempt, null, e.message);
+        continue;
+      }
+
+      if (response.status === 401 && !refreshed) {
+        refreshed = true;
+        await this.refreshAccessToken();
+        attempt--; // A refresh isn't a retry
+        continue;
+      }
+
+      const transient = response.status === 429 || response.status >= 500;
+      if (transient && attempt < this.maxRetries) {
+        await this.backoff(attempt, response.headers.get('retry-after'), response.status);
+        continue;
+      }
+
+      if (!response.ok) {
+        throw new Error(`Failed to ${description}: ${response.status} ${response.statusText}`);
+      }
+
+      return response.json();
     }
+  }
 
-    return data.map((item) => ({
-      date: item.date || item.timestamp?.split('T')[0], // Fallback if date key varies
-      production: item.systemProduction || 0,
-    }));
+  /**
+   * Waits before the next retry, honoring Retry-After when the server sends one.
+   *
+   * @param {number} attempt - Zero-based retry number.
+   * @param {string|null} retryAfter - Retry-After header (seconds or HTTP date).
+   * @param {string|number} reason - Logged status or error.
+   */
+  async backoff(attempt, retryAfter, reason) {
+    let delay = this.retryDelayMs * 2 ** attempt;
+    if (retryAfter) {
+      const seconds = Number(retryAfter);
+      const requested = Number.isNaN(seconds)
+        ? Date.parse(retryAfter) - Date.now()
+        : seconds * 1000;
+      // Neither seconds nor an HTTP date: keep the exponential delay
+      if (Number.isFinite(requested)) {
+        delay = requested;
+      }
+    }
+    delay = Math.max(0, Math.min(delay, 60000));
+    console.warn(`⏳ Sunrun API ${reason}; retrying in ${Math.round(delay / 1000)}s...`);
+    await new Promise((resolve) => setTimeout(resolve, delay));
   }
 }
@@ -0,0 +1,219 @@
+import DateUtils from './DateUtils.js';
+import SunrunClient from './SunrunClient.js';
+
+export default class SunrunSync {
+  /**
+   * @param {DataStore} store - Holds the daily and interval production tables.
+   * @param {Object} [options]
+   * @param {SunrunClient} [options.client] - Defaults to a client built from .env.
+   * @param {number} [options.chunkDays] - Most days fetched per daily API request.
+   * @param {number} [options.intervalChunkDays] - Most days fetched per interval API request.
+   * @param {number} [options.intervalHistoryDays] - How far back interval readings are backfilled.
+   * @param {number} [options.refreshDays] - Trailing days re-fetched on every sync, since
+   *   today's total (and sometimes the last day or two) is still filling in.
+   * @param {string} [options.timeZone]
+   */
+  constructor(
+    store,
+    {
+      client = null,
+      chunkDays = 90,
+      intervalChunkDays = 7,
+      intervalHistoryDays = 365,
+      refreshDays = 3,
+      timeZone = DateUtils.DEFAULT_TIME_ZONE,
+    } = {}
+  ) {
+    this.store = store;
+    this.client = client;
+    this.refreshDays = refreshDays;
+    this.timeZone = timeZone;
+    this.ready = false;
+
+    this.series = {
+      daily: {
+        label: 'Daily',
+        chunkDays,
+        historyDays: null,
+        storedDays: (from, to) => store.getDailyProduction(from, to).map((d) => d.date),
+        fetch: (client, from, to) => client.getDailyProduction(from, to),
+        save: (days) => days.forEach((day) => store.setDailyProduction(day.date, day.production)),
+      },
+      intervals: {
+        label: 'Interval',
+        chunkDays: intervalChunkDays,
+        historyDays: intervalHistoryDays,
+        storedDays: (from, to) => store.getIntervalDays(from, to),
+        fetch: (client, from, to) => client.getIntervalProduction(from, to),
+        save: (readings) => store.setIntervalProduction(readings),
+      },
+    };
+  }
+
+  /**
+   * Syncs daily production data from the Sunrun API into the store: every day missing
+   * since the system start, plus the trailing refresh window.
+   * Failures are logged, not thrown, so the monthly analysis can still run.
+   *
+   * @param {Object} [options]
+   * @param {string} [options.since] - Re-fetch every day from this date (YYYY-MM-DD), stored or not.
+   * @param {boolean} [options.dryRun] - Fetch and report, but don't save the store.
+   * @param {string} [options.today] - Override today's date (YYYY-MM-DD), mainly for tests.
+   * @returns {Promise<number>} - Number of daily records fetched.
+   */
+  async sync(options = {}) {
+    return this.syncSeries('daily', options);
+  }
+
+  /**
+   * Syncs interval production readings the same way, going back `intervalHistoryDays`
+   * (or to `since`).
+   *
+   * @param {Object} [options] - See sync().
+   * @returns {Promise<number>} - Number of readings fetched.
+   */
+  async syncIntervals(options = {}) {
+    return this.syncSeries('intervals', options);
+  }
+
+  /**
+   * @param {'daily'|'intervals'} kind
+   * @param {Object} [options] - See sync().
+   * @returns {Promise<number>}
+   */
+  async syncSeries(
+    kind,
+    { since = null, dryRun = false, today = DateUtils.today(this.timeZone) } = {}
+  ) {
+    const series = this.series[kind];
+    try {
+      const sunrunClient = await this.connect();
+
+      const start = this.startDate(kind, sunrunClient.sunrunStart, today, { since });
+      const ranges = this.plan(kind, start, today, { since });
+      if (ranges.length === 0) {
+        console.log(`☀️ Sunrun ${series.label} Data is up to date.`);
+        return 0;
+      }
+
+      const dayCount = ranges.reduce((sum, r) => sum + DateUtils.daysBetween(r.from, r.to) + 1, 0);
+      console.log(
+        `☀️ Syncing ${dayCount} days of Sunrun ${series.label} Data in ${ranges.length} requests...`
+      );
+
+      let newCount = 0;
+      let failedCount = 0;
+      for (const { from, to } of ranges) {
+        let records;
+        try {
+          records = await series.fetch(sunrunClient, from, to);
+        } catch (e) {
+          // Keep what the other chunks fetched; the gap is retried next sync
+          console.error(`⚠️ Failed to fetch Sunrun data for ${from} to ${to}: ${e.message}`);
+          failedCount++;
+          continue;
+        }
+        const valid = records.filter((r) => r.date && r.production !== undefined);
+        series.save(valid);
+        newCount += valid.length;
+      }
+
+      console.log(`   ✅ Fetched ${newCount} ${series.label.toLowerCase()} records.`);
+      const missing = this.missingDays(start, DateUtils.addDays(today, -1), kind);
+      if (missing.length > 0) {
+        console.log(`   ⚠️ ${missing.length} past days still have no production data.`);
+      }
+      if (failedCount > 0) {
+        console.log(`   ⚠️ ${failedCount} of ${ranges.length} requests failed.`);
+      }
+      if (!dryRun) {
+        this.store.save();
+      }
+      return newCount;
+    } catch (e) {
+      console.error(`⚠️ Failed to sync Sunrun ${series.label.toLowerCase()} data:`, e.message);
+      // Continue without crashing, we can still do monthly analysis
+      return 0;
+    }
+  }
+
+  /**
+   * Returns an initialized client, connecting once per sync instance.
+   *
+   * @returns {Promise<SunrunClient>}
+   */
+  async connect() {
+    this.client ||= new SunrunClient({ timeZone: this.timeZone });
+    if (!this.ready) {
+      await this.client.init();
+      this.ready = true;
+    }
+    return this.client;
+  }
+
+  /**
+   * The first day a series should hold data for.
+   *
+   * @param {'daily'|'intervals'} kind
+   * @param {string} systemStart - YYYY-MM-DD, the first day with production.
+   * @param {string} today - YYYY-MM-DD
+   * @param {Object} [options]
+   * @param {string} [options.since]
+   * @returns {string} - YYYY-MM-DD
+   */
+  startDate(kind, systemStart, today, { since = null } = {}) {
+    const { historyDays } = this.series[kind];
+    const earliest = since || (historyDays ? DateUtils.addDays(today, 1 - historyDays) : null);
+    return earliest && earliest > systemStart ? earliest : systemStart;
+  }
+
+  /**
+   * Works out which days to fetch and splits them into request-sized ranges.
+   *
+   * @param {'daily'|'intervals'} kind
+   * @param {string} start - YYYY-MM-DD, from startDate().
+   * @param {string} today - YYYY-MM-DD
+   * @param {Object} [options]
+   * @param {string} [options.since] - Fetch every day from here regardless of what is stored.
+   * @returns {Array<{from: string, to: string}>} - Inclusive ranges, oldest first.
+   */
+  plan(kind, start, today, { since = null } = {}) {
+    if (start > today) {
+      return [];
+    }
+
+    const days = new Set(
+      since ? DateUtils.eachDay(start, today) : this.missingDays(start, today, kind)
+    );
+    const refreshFrom = DateUtils.addDays(today, 1 - this.refreshDays);
+    DateUtils.eachDay(refreshFrom > start ? refreshFrom : start, today).forEach((d) => days.add(d));
+
+    // Group consecutive days, capping each group at chunkDays
+    const { chunkDays } = this.series[kind];
+    const ranges = [];
+    for (const date of [...days].sort()) {
+      const last = ranges.at(-1);
+      if (
+        last &&
+        DateUtils.addDays(last.to, 1) === date &&
+        DateUtils.daysBetween(last.from, date) < chunkDays
+      ) {
+        last.to = date;
+      } else {
+        ranges.push({ from: date, to: date });
+      }
+    }
+    return ranges;
+  }
+
+  /**
+   * @param {string} from - YYYY-MM-DD
+   * @param {string} to - YYYY-MM-DD
+   * @param {'daily'|'intervals'} [kind]
+   * @returns {Array<string>} - Days in the range with no stored production.
+   */
+  missingDays(from, to, kind = 'daily') {
+    const stored = new Set(this.series[kind].storedDays(from, to));
+    return DateUtils.eachDay(from, to).filter((date) => !stored.has(date));
+  }
+}
@@ -0,0 +1,134 @@
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Imports daily weather from a NOAA-style CSV (e.g. a GHCN-Daily export from Climate Data Online)
+ * into the store as heating and cooling degree days.
+ *
+ * Recognized columns (case-insensitive): DATE, plus HTDD/CLDD (degree days) or TAVG, or TMAX and
+ * TMIN (°F). Rows for the same date from several stations are averaged.
+ */
+export default class WeatherImporter {
+  /**
+   * @param {DataStore} store
+   * @param {Object} [options]
+   * @param {number} [options.baseTemp] - Degree-day base temperature in °F.
+   */
+  constructor(store, { baseTemp = 65 } = {}) {
+    this.store = store;
+    this.baseTemp = baseTemp;
+  }
+
+  /**
+   * @param {string} csvPath
+   * @param {Object} [options]
+   * @param {boolean} [options.dryRun] - Parse and report, but don't save the store.
+   * @returns {Array<{date: string, tavg: number|null, hdd: number, cdd: number}>} - Imported days.
+   */
+  import(csvPath, { dryRun = false } = {}) {
+    const days = this.parse(fs.readFileSync(csvPath, 'utf8'));
+    if (days.length === 0) {
+      throw new Error(
+        `❌ No usable weather rows in ${csvPath} (need DATE and TAVG, TMAX/TMIN or HTDD)`
+      );
+    }
+    if (!dryRun) {
+      this.store.setWeather(days, path.basename(csvPath));
+      this.store.save();
+    }
+    return days;
+  }
+
+  /**
+   * @param {string} text - CSV content.
+   * @returns {Array<{date: string, tavg: number|null, hdd: number, cdd: number}>} - Sorted by date.
+   */
+  parse(text) {
+    const [header, ...rows] = text
+      .split(/\r?\n/)
+      .filter((line) => line.trim())
+      .map(WeatherImporter.splitCsvLine);
+    if (!header) {
+      return [];
+    }
+    const column = Object.fromEntries(header.map((name, i) => [name.trim().toUpperCase(), i]));
+    if (column.DATE === undefined) {
+      return [];
+    }
+    const value = (row, name) => {
+      const raw = column[name] === undefined ? '' : row[column[name]]?.trim();
+      return raw === '' || raw === undefined ? null : Number(raw);
+    };
+
+    const byDate = {};
+    for (const row of rows) {
+      const date = row[column.DATE]?.trim();
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(date || '')) {
+        continue;
+      }
+      const tmax = value(row, 'TMAX');
+      const tmin = value(row, 'TMIN');
+      const tavg =
+        value(row, 'TAVG') ?? (tmax !== null && tmin !== null ? (tmax + tmin) / 2 : null);
+      let hdd = value(row, 'HTDD');
+      let cdd = value(row, 'CLDD');
+      if (hdd === null && tavg !== null) {
+        hdd = Math.max(0, this.baseTemp - tavg);
+      }
+      if (cdd === null && tavg !== null) {
+        cdd = Math.max(0, tavg - this.baseTemp);
+      }
+      if (hdd === null || Number.isNaN(hdd)) {
+        continue;
+      }
+      (byDate[date] ||= []).push({ tavg, hdd, cdd: cdd ?? 0 });
+    }
+
+    const average = (list, key) => {
+      const values = list.map((d) => d[key]).filter((v) => v !== null);
+      return values.length ? values.reduce((sum, v) => sum + v, 0) / values.length : null;
+    };
+    return Object.keys(byDate)
+      .sort()
+      .map((date) => ({
+        date,
+        tavg: average(byDate[date], 'tavg'),
+        hdd: average(byDate[date], 'hdd'),
+        cdd: average(byDate[date], 'cdd'),
+      }));
+  }
+
+  /**
+   * Splits one CSV line, honoring double-quoted fields (NOAA quotes every field).
+   *
+   * @param {string} line
+   * @returns {Array<string>}
+   */
+  static splitCsvLine(line) {
+    const fields = [];
+    let field = '';
+    let quoted = false;
+    for (let i = 0; i < line.length; i++) {
+      const char = line[i];
+      if (quoted) {
+        if (char === '"' && line[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else if (char === '"') {
+          quoted = false;
+        } else {
+          field += char;
+        }
+      } else if (char === '"') {
+        quoted = true;
+      } else if (char === ',') {
+        fields.push(field);
+        field = '';
+      } else {
+        field += char;
+      }
+    }
+    fields.push(field);
+    return fields;
+  }
+}
@@ -1,185 +1,466 @@
 import 'dotenv/config';
-import { google } from 'googleapis';
 import fs from 'fs';
 import path from 'path';
-import DriveClient from './DriveClient.js';
+import { parseArgs } from 'util';
+import BillCache from './BillCache.js';
+import BillIngestor from './BillIngestor.js';
 import BillParser from './BillParser.js';
-import CacheManager from './CacheManager.js';
-import EnergyAnalyzer from './EnergyAnalyzer.js';
-import SunrunClient from './SunrunClient.js';
+import DashboardServer from './DashboardServer.js';
+import DataExporter from './DataExporter.js';
+import DataStore from './DataStore.js';
+import GreenButtonImporter from './GreenButtonImporter.js';
+import Notifier from './Notifier.js';
+import ProviderRegistry from './ProviderRegistry.js';
+import ReportGenerator from './ReportGenerator.js';
+import SunrunSync from './SunrunSync.js';
+import WeatherImporter from './WeatherImporter.js';
+
+const USAGE = `Usage: node analyzeBills.js [command] [options]
+
+Commands:
+  (none)                       Sync solar data, fetch bills and generate the dashboard
+  sync-solar                   Sync daily and interval production from the Sunrun API
+  fetch-bills                  Download and parse new bills into the cache
+  parse <pdf>                  Parse a single PDF and print the record
+  report                       Re-render index.html from the cache (no network)
+  serve                        Serve a live dashboard and its JSON API on localhost
+  cache stats|clear|prune      Inspect or maintain the bill cache
+  import-weather <csv>         Import daily temperatures or degree days from a NOAA-style CSV
+  import-green-button <file>   Import hourly grid import/export from a Green Button XML or CSV
+  export                       Write bills, daily production and the monthly analysis (no network)
+  anomalies                    Write detected anomalies from the cache as JSON (no network)
+  notify-test                  Send a test message to every notification channel
+
+Options:
+  --since YYYY-MM-DD       Only consider data on or after this date
+  --until YYYY-MM-DD       (export) Only export data on or before this date
+  --type <type>            Only consider one bill type (a provider type, e.g. NationalGrid)
+  --dry-run                Don't write caches or reports
+  --archive                Write the dashboard as a dated copy in reports/ instead of index.html
+  --force <id|name>        (fetch-bills) Re-parse this file even if cached; repeatable
+  --force-type <type>      (fetch-bills) Re-parse every bill of this type; repeatable
+  --concurrency <n>        (fetch-bills) Bills to download and parse at once (default: 4)
+  --daily                  (cache stats|clear) Target solar production (daily and interval) instead of bills
+  --out <file>             (export|anomalies) Output file (default: export.json, anomalies.json)
+  --format json|csv|xlsx   (export) Output format (default: from --out, else json)
+  --port <port>            (serve) Port to listen on (default: 8080)
+  -h, --help               Show this help`;
+
+const OPTIONS = {
+  since: { type: 'string' },
+  until: { type: 'string' },
+  type: { type: 'string' },
+  'dry-run': { type: 'boolean', default: false },
+  archive: { type: 'boolean', default: false },
+  force: { type: 'string', multiple: true, default: [] },
+  'force-type': { type: 'string', multiple: true, default: [] },
+  concurrency: { type: 'string' },
+  daily: { type: 'boolean', default: false },
+  out: { type: 'string' },
+  format: { type: 'string' },
+  port: { type: 'string' },
+  help: { type: 'boolean', short: 'h', default: false },
+};
+
+const COMMANDS = {
+  all: runAll,
+  'sync-solar': syncSolar,
+  'fetch-bills': fetchBills,
+  parse: parseBill,
+  report: renderReport,
+  serve,
+  cache: manageCache,
+  'import-weather': importWeather,
+  'import-green-button': importGreenButton,
+  export: exportData,
+  anomalies: reportAnomalies,
+  'notify-test': testNotifications,
+};
 
 async function main() {
+  const { values, positionals } = parseArgs({ options: OPTIONS, allowPositionals: true });
+  const [command = 'all', ...args] = positionals;
+
+  if (values.help) {
+    console.log(USAGE);
+    return;
+  }
+  if (!COMMANDS[command]) {
+    console.error(`❌ Unknown command: ${command}\n`);
+    console.error(USAGE);
+    process.exitCode = 1;
+    return;
+  }
+  for (const flag of ['port', 'concurrency']) {
+    if (values[flag] && !/^\d+$/.test(values[flag])) {
+      throw new Error(`❌ --${flag} must be a number, got "${values[flag]}"`);
+    }
+  }
+  for (const flag of ['since', 'until']) {
+    if (values[flag] && !/^\d{4}-\d{2}-\d{2}$/.test(values[flag])) {
+      throw new Error(`❌ --${flag} must be YYYY-MM-DD, got "${values[flag]}"`);
+    }
+  }
+  const { types } = providers();
+  for (const type of [values.type, ...values['force-type']].filter(Boolean)) {
+    if (!types.includes(type)) {
+      throw new Error(`❌ Bill type must be one of ${types.join(', ')}, got "${type}"`);
+    }
+  }
+
+  const options = {
+    since: values.since || null,
+    until: values.until || null,
+    type: values.type || null,
+    dryRun: values['dry-run'],
+    archive: values.archive,
+    force: values.force,
+    forceType: values['force-type'],
+    concurrency: Number(values.concurrency) || BillIngestor.DEFAULT_CONCURRENCY,
+    daily: values.daily,
+    out: values.out || null,
+    format: values.format || null,
+    port: values.port ? Number(values.port) : 8080,
+  };
+  // Parsing a single PDF never touches the store
+  const store = command === 'parse' ? null : await openStore();
+  try {
+    await COMMANDS[command](args, options, store);
+  } finally {
+    store?.close();
+  }
+}
+
+let registry = null;
+
+/**
+ * The configured utility providers (providers.json, or the defaults), loaded once per run.
+ *
+ * @returns {ProviderRegistry}
+ */
+function providers() {
+  registry ||= ProviderRegistry.load();
+  return registry;
+}
+
+/**
+ * @returns {BillParser}
+ */
+function billParser() {
+  return new BillParser(providers());
+}
+
+async function runAll(args, options, store) {
   console.log('🚀 Starting Bill Analysis...');
 
-  // Auth
-  const { GMAIL_OAUTH_CREDENTIALS } = process.env;
-  if (!GMAIL_OAUTH_CREDENTIALS) {
-    throw new Error('❌ GMAIL_OAUTH_CREDENTIALS not found');
-  }
-  const { client_id, client_secret, refresh_token } = JSON.parse(GMAIL_OAUTH_CREDENTIALS);
-  const auth = new google.auth.OAuth2(client_id, client_secret);
-  auth.setCredentials({ refresh_token });
-
-  const drive = new DriveClient(auth);
-  const parser = new BillParser();
-  const billCache = new CacheManager();
-  const sunrunCache = new CacheManager('.sunrun_daily_cache.json');
-  const sunrunClient = new SunrunClient();
-
-  // Fetch Files
-  console.log('📂 Fetching file lists...');
-  const { GOOGLE_DRIVE_FOLDER_ELECTRIC, GOOGLE_DRIVE_FOLDER_SOLAR, GOOGLE_DRIVE_FOLDER_GAS } =
-    process.env;
-
-  if (!GOOGLE_DRIVE_FOLDER_ELECTRIC || !GOOGLE_DRIVE_FOLDER_SOLAR || !GOOGLE_DRIVE_FOLDER_GAS) {
-    throw new Error('❌ Missing GOOGLE_DRIVE_FOLDER_* environment variables');
-  }
-
-  // Sync daily production data from Sunrun API
-  await syncSunrunDailyData(sunrunClient, sunrunCache);
-
-  const ngFiles = await drive.listFiles(GOOGLE_DRIVE_FOLDER_ELECTRIC);
-  const sunrunFiles = await drive.listFiles(GOOGLE_DRIVE_FOLDER_SOLAR);
-  const gasFiles = await drive.listFiles(GOOGLE_DRIVE_FOLDER_GAS);
-
-  console.log(`📄 Found ${ngFiles.length} National Grid bills in ${GOOGLE_DRIVE_FOLDER_ELECTRIC}`);
-  console.log(`📄 Found ${sunrunFiles.length} Sunrun bills in ${GOOGLE_DRIVE_FOLDER_SOLAR}`);
-  console.log(`📄 Found ${gasFiles.length} Eversource Gas bills in ${GOOGLE_DRIVE_FOLDER_GAS}`);
-
-  // Parse data
-  const ngData = [];
-  const sunrunData = [];
-  const gasData = [];
-
-  // Helper to process files with cache
-  const processFiles = async (files, type, targetArray) => {
-    console.log(`Processing ${type} Bills...`);
-    let newCount = 0;
-    let cacheCount = 0;
-
-    for (const file of files) {
-      // Check cache
-      const cached = billCache.get(file.id);
-      if (cached) {
-        targetArray.push(cached);
-        cacheCount++;
-        continue;
-      }
+  // Sync daily and interval production data from Sunrun API
+  await syncSolar(args, options, store);
+
+  const ingestor = new BillIngestor(new BillCache(billParser(), store));
+  const bills = await ingestor.ingest(options);
+
+  const report = writeReport(ingestor, bills, store, options);
+  if (report && !options.dryRun) {
+    await notify(ingestor, report, store);
+  }
+}
+
+async function syncSolar(args, options, store) {
+  const sunrunSync = new SunrunSync(store);
+  await sunrunSync.sync(options);
+  await sunrunSync.syncIntervals(options);
+}
+
+async function fetchBills(args, options, store) {
+  const ingestor = new BillIngestor(new BillCache(billParser(), store));
+  const bills = await ingestor.ingest(options);
+  console.log(`✅ ${bills.length} bills available.`);
+}
+
+async function parseBill(args, options) {
+  const [pdfPath] = args;
+  if (!pdfPath) {
+    throw new Error('❌ Usage: node analyzeBills.js parse <pdf> [--type <type>]');
+  }
+  const parser = billParser();
+  const record = await parser.parse(options.type || 'auto', fs.readFileSync(pdfPath));
+  console.log(JSON.stringify(record, null, 2));
+}
+
+async function renderReport(args, options, store) {
+  const ingestor = new BillIngestor(new BillCache(billParser(), store));
+  const bills = ingestor.cachedBills(options);
+  ingestor.quality.print();
+
+  writeReport(ingestor, bills, store, options);
+}
+
+async function serve(args, options, store) {
+  const cachedBills = () => {
+    const ingestor = new BillIngestor(new BillCache(billParser(), store));
+    return { bills: ingestor.cachedBills(options), quality: ingestor.quality.getEntries() };
+  };
+  const server = new DashboardServer(
+    new ReportGenerator(providers()),
+    store,
+    {
+      load: cachedBills,
+      refresh: async () => {
+        console.log('🔄 Refreshing...');
+        await syncSolar(args, options, store);
+        const ingestor = new BillIngestor(new BillCache(billParser(), store));
+        const bills = await ingestor.ingest(options);
+        console.log(`✅ Refreshed: ${bills.length} bills available.`);
+        return { bills, quality: ingestor.quality.getEntries() };
+      },
+    },
+    options
+  );
+
+  const url = await server.listen(options.port);
+  console.log(`🌐 Dashboard at ${url} (Ctrl+C to stop)`);
+  // Keep the store open until the server is stopped
+  await new Promise((resolve) => {
+    process.once('SIGINT', resolve);
+    process.once('SIGTERM', resolve);
+  });
+  await server.close();
+}
+
+async function manageCache(args, options, store) {
+  const [action] = args;
+  const billCache = new BillCache(billParser(), store);
 
-      // Not in cache, fetch and parse
-      process.stdout.write('.');
-      try {
-        const buffer = await drive.getFile(file.id);
-        const data = await parser.parse(type, buffer);
-        if (data) {
-          targetArray.push(data);
-          billCache.set(file.id, data); // Save to cache
-          newCount++;
+  switch (action) {
+    case 'stats': {
+      if (options.daily) {
+        const { first, last, count, total } = store.getDailyProductionStats();
+        console.log(`☀️ ${count} days cached (${first || '-'} to ${last || '-'})`);
+        console.log(`   ${Math.round(total)} kWh total`);
+        const intervals = store.getIntervalStats();
+        console.log(
+          `🕒 ${intervals.count} interval readings over ${intervals.days} days (${intervals.first || '-'} to ${intervals.last || '-'})`
+        );
+        const weather = store.getWeatherStats();
+        console.log(
+          `🌡️ ${weather.count} days of weather (${weather.first || '-'} to ${weather.last || '-'})`
+        );
+        const grid = store.getGridIntervalStats();
+        console.log(
+          `🔌 ${grid.count} grid interval readings over ${grid.days} days (${grid.first || '-'} to ${grid.last || '-'})`
+        );
+        break;
+      }
+      const byType = {};
+      for (const { record, fresh } of billCache.entries(options)) {
+        const stats = (byType[record.type] ||= { count: 0, outdated: 0, first: null, last: null });
+        stats.count++;
+        if (!fresh) {
+          stats.outdated++;
+        }
+        if (!stats.first || record.date < stats.first) {
+          stats.first = record.date;
+        }
+        if (!stats.last || record.date > stats.last) {
+          stats.last = record.date;
         }
-      } catch (e) {
-        console.error(`\nFailed to process ${file.name}: ${e.message}`);
       }
+      for (const [type, stats] of Object.entries(byType)) {
+        const outdated = stats.outdated > 0 ? `, ${stats.outdated} from an older parser` : '';
+        console.log(
+          `📄 ${type}: ${stats.count} bills (${stats.first} to ${stats.last}${outdated})`
+        );
+      }
+      break;
     }
-    console.log(`\n  ✅ ${cacheCount} cached, ${newCount} new.`);
-  };
-
-  await processFiles(ngFiles, 'NationalGrid', ngData);
-  await processFiles(sunrunFiles, 'Sunrun', sunrunData);
-  await processFiles(gasFiles, 'Eversource', gasData);
-
-  // Cleanup stale cache entries
-  const activeFileIds = new Set([
-    ...ngFiles.map((f) => f.id),
-    ...sunrunFiles.map((f) => f.id),
-    ...gasFiles.map((f) => f.id),
-  ]);
-
-  let removedCount = 0;
-  Object.keys(billCache.cache).forEach((cacheId) => {
-    if (!activeFileIds.has(cacheId)) {
-      delete billCache.cache[cacheId];
-      removedCount++;
+    case 'clear': {
+      let removed;
+      if (options.daily) {
+        const since = options.since || undefined;
+        removed = options.dryRun
+          ? store.getDailyProduction(since).length + store.getIntervalProduction(since).length
+          : store.deleteDailyProduction(since) + store.deleteIntervalProduction(since);
+      } else {
+        const entries = billCache.entries(options);
+        if (!options.dryRun) {
+          entries.forEach((entry) => billCache.delete(entry.fileId));
+        }
+        removed = entries.length;
+      }
+      console.log(`🧹 ${options.dryRun ? 'Would remove' : 'Removed'} ${removed} entries.`);
+      if (!options.dryRun) {
+        store.save();
+      }
+      break;
     }
-  });
-  if (removedCount > 0) {
-    console.log(`🧹 Removed ${removedCount} stale entries from cache.`);
+    case 'prune': {
+      if (options.daily) {
+        throw new Error('❌ cache prune only applies to the bill cache');
+      }
+      const ingestor = new BillIngestor(billCache);
+      const folders = await ingestor.listFolders(ingestor.getFolders());
+      const activeFileIds = new Set(folders.flatMap((f) => f.files.map((file) => file.id)));
+      const removed = ingestor.prune(activeFileIds, options);
+      if (removed === 0) {
+        console.log('🧹 No stale entries.');
+      } else if (!options.dryRun) {
+        billCache.save();
+      }
+      break;
+    }
+    default:
+      throw new Error('❌ Usage: node analyzeBills.js cache stats|clear|prune');
   }
+}
 
-  // Save cache at the end
-  billCache.save();
+async function importWeather(args, options, store) {
+  const [csvPath] = args;
+  if (!csvPath) {
+    throw new Error('❌ Usage: node analyzeBills.js import-weather <csv>');
+  }
+  const days = new WeatherImporter(store).import(csvPath, options);
+  const verb = options.dryRun ? 'Would import' : 'Imported';
+  console.log(
+    `🌡️ ${verb} ${days.length} days of weather (${days[0].date} to ${days.at(-1).date}).`
+  );
+}
 
-  // Aggregate Data
-  const analyzer = new EnergyAnalyzer();
+async function importGreenButton(args, options, store) {
+  const [filePath] = args;
+  if (!filePath) {
+    throw new Error('❌ Usage: node analyzeBills.js import-green-button <file>');
+  }
+  const readings = new GreenButtonImporter(store).import(filePath, options);
+  const total = (key) => Math.round(readings.reduce((sum, r) => sum + r[key], 0));
+  const verb = options.dryRun ? 'Would import' : 'Imported';
+  console.log(
+    `🔌 ${verb} ${readings.length} interval readings (${readings[0].date} to ${readings.at(-1).date}): ` +
+      `${total('imported')} kWh imported, ${total('exported')} kWh exported.`
+  );
+}
 
-  // Inject daily data into analyzer
-  analyzer.setDailySolarData(sunrunCache.cache);
+async function exportData(args, options, store) {
+  const format = DataExporter.resolveFormat(options.format, options.out);
+  const ingestor = new BillIngestor(new BillCache(billParser(), store));
+  const bills = ingestor.cachedBills(options);
+  const monthly = new ReportGenerator(providers()).analyze(bills, store, options);
 
-  // Feed data into analyzer
-  ngData.forEach((d) => analyzer.addBill(d));
-  sunrunData.forEach((d) => analyzer.addBill(d));
-  gasData.forEach((d) => analyzer.addBill(d));
+  const exporter = new DataExporter();
+  const data = exporter.collect({ bills, monthly, store }, options);
+  const counts = `${data.bills.length} bills, ${data.daily.length} days and ${data.monthly.length} months`;
+  const outPath = path.resolve(options.out || `export.${format}`);
+  if (options.dryRun) {
+    console.log(`📝 Would export ${counts} as ${format} to ${outPath}`);
+    return;
+  }
+  const written = await exporter.write(data, outPath, format);
+  console.log(`✅ Exported ${counts} to ${written.join(', ')}`);
+}
 
-  // Get calculated metrics
-  const chartData = analyzer.getMonthlyAnalysis();
+async function reportAnomalies(args, options, store) {
+  const ingestor = new BillIngestor(new BillCache(billParser(), store));
+  const generator = new ReportGenerator(providers());
+  const monthly = generator.analyze(ingestor.cachedBills(options), store, options);
+  const anomalies = generator.anomalies(monthly, store, options);
+  anomalies.forEach((a) => console.log(`${a.severity === 'critical' ? '🚨' : '⚠️'} ${a.message}`));
 
-  // Generate HTML Report
-  const html = generateHtmlReport(chartData);
-  const reportPath = path.join(process.cwd(), 'index.html');
-  fs.writeFileSync(reportPath, html);
+  const outPath = path.resolve(options.out || 'anomalies.json');
+  if (options.dryRun) {
+    console.log(`📝 Would write ${anomalies.length} anomalies to ${outPath}`);
+    return;
+  }
+  fs.writeFileSync(outPath, JSON.stringify(anomalies, null, 2));
+  console.log(`✅ Wrote ${anomalies.length} anomalies to ${outPath}`);
+}
+
+/**
+ * Analyzes the bills and writes the dashboard.
+ *
+ * @returns {{monthly: Array<Object>, anomalies: Array<Object>, reportPath: string}|null} - Null on
+ *   a dry run.
+ */
+function writeReport(ingestor, bills, store, options) {
+  const generator = new ReportGenerator(providers());
+  const monthly = generator.analyze(bills, store, options);
+
+  if (options.dryRun) {
+    console.log(`📝 Dry run: report with ${monthly.length} months not written.`);
+    return null;
+  }
+
+  store.saveMonthlyAnalysis(monthly);
+  store.save();
+
+  const data = generator.build(bills, store, {
+    ...options,
+    monthly,
+    quality: ingestor.quality.getEntries(),
+  });
+  const { anomalies } = data;
+  if (anomalies.length > 0) {
+    console.log(`🚨 ${anomalies.length} anomalies found (see the dashboard or run "anomalies").`);
+  }
 
+  // Generate HTML Report
+  const reportPath = generator.write(data, { archive: options.archive });
   console.log(`✅ Analysis complete! Report saved to: ${reportPath}`);
+  return { monthly, anomalies, reportPath };
 }
 
-async function syncSunrunDailyData(sunrunClient, sunrunCache) {
-  try {
-    await sunrunClient.init();
-
-    // Determine date range
-    const today = new Date().toISOString().split('T')[0];
-    let startDate = sunrunClient.sunrunStart;
-
-    // Check last cached date to optimize
-    const cachedDates = Object.keys(sunrunCache.cache).sort();
-    if (cachedDates.length > 0) {
-      const lastDate = cachedDates[cachedDates.length - 1];
-      // Start from next day
-      const nextDay = new Date(lastDate);
-      nextDay.setDate(nextDay.getDate() + 1);
-      startDate = nextDay.toISOString().split('T')[0];
-    }
+/**
+ * Sends the run's results to the channels configured in NOTIFICATIONS, if any.
+ */
+async function notify(ingestor, { monthly, anomalies, reportPath }, store) {
+  const notifier = new Notifier(Notifier.loadConfig(), { store });
+  if (!notifier.enabled) {
+    return;
+  }
+  const delivered = await notifier.notifyRun({
+    newBills: ingestor.newBills,
+    quality: ingestor.quality.getEntries(),
+    anomalies,
+    monthly,
+    reportPath,
+  });
+  console.log(`📣 Sent ${delivered} notifications.`);
+}
 
-    if (startDate < today) {
-      console.log(`☀️ Syncing Sunrun Daily Data from ${startDate} to ${today}...`);
-      // Fetch in chunks (e.g., 3 months) to be safe, or just try all.
-      // Let's try fetching all for now, if it fails we can chunk.
-      const dailyData = await sunrunClient.getDailyProduction(startDate, today);
-
-      let newDailyCount = 0;
-      for (const day of dailyData) {
-        // date format from API might need checking, assuming YYYY-MM-DD based on client code
-        // The client code tries to extract it.
-        if (day.date && day.production !== undefined) {
-          // Normalize date to YYYY-MM-DD just in case
-          const dateKey = day.date.split('T')[0];
-          sunrunCache.set(dateKey, day.production);
-          newDailyCount++;
-        }
-      }
-      console.log(`   ✅ Fetched ${newDailyCount} new daily records.`);
-      sunrunCache.save();
-    } else {
-      console.log('☀️ Sunrun Daily Data is up to date.');
-    }
-  } catch (e) {
-    console.error('⚠️ Failed to sync Sunrun daily data:', e.message);
-    // Continue without crashing, we can still do monthly analysis
+async function testNotifications() {
+  const notifier = new Notifier(Notifier.loadConfig());
+  if (!notifier.enabled) {
+    throw new Error('❌ No notification channels configured (set NOTIFICATIONS in .env)');
   }
+  const sent = await notifier.send(
+    {
+      event: 'summary',
+      title: 'Home energy dashboard test',
+      body: 'Notifications are working.',
+      priority: 'low',
+      data: {},
+    },
+    { everyChannel: true }
+  );
+  console.log(`📣 Test message accepted by ${sent} of ${notifier.channelConfigs.length} channels.`);
 }
 
-function generateHtmlReport(data) {
-  const templatePath = path.join(process.cwd(), 'dashboard_template.html');
-  const template = fs.readFileSync(templatePath, 'utf8');
-  return template.replace('"{{CHART_DATA}}"', JSON.stringify(data));
+/**
+ * Opens the local data store, importing the old JSON caches on first use.
+ *
+ * @returns {Promise<DataStore>}
+ */
+async function openStore() {
+  const store = await DataStore.open();
+  const imported = store.importLegacyCaches();
+  if (imported && (imported.bills > 0 || imported.days > 0)) {
+    console.log(
+      `📦 Imported ${imported.bills} bills and ${imported.days} days from the legacy JSON caches.`
+    );
+    store.save();
+  }
+  return store;
 }
 
-main().catch(console.error);
+main().catch((e) => {
+  console.error(e.message || e);
+  process.exitCode = 1;
+});
@@ -0,0 +1,69 @@
+import fs from 'fs';
+import path from 'path';
+import { parseArgs } from 'util';
+import BillParser from './BillParser.js';
+import BillRedactor from './BillRedactor.js';
+import ProviderRegistry from './ProviderRegistry.js';
+
+const FIXTURES_DIR = path.join(process.cwd(), 'test', 'fixtures', 'parsers');
+
+/**
+ * Captures a golden parser fixture from a bill.
+ *
+ * Usage:
+ *   npm run fixture:capture -- <bill.pdf> --name 2025-new-layout [--type NationalGrid] [--redact "Jane Doe"]
+ *   npm run fixture:capture -- test/fixtures/parsers/Sunrun/2023-old-layout.txt   (re-bless expected JSON)
+ *
+ * Writes test/fixtures/parsers/<Type>/<name>.txt (redacted text) and <name>.json (expected record).
+ */
+async function main() {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      name: { type: 'string' },
+      type: { type: 'string', default: 'auto' },
+      redact: { type: 'string', multiple: true, default: [] },
+    },
+  });
+
+  const [inputPath] = positionals;
+  if (!inputPath) {
+    console.error('❌ Usage: node captureFixture.js <bill.pdf|fixture.txt> --name <name>');
+    process.exit(1);
+  }
+
+  const parser = new BillParser(ProviderRegistry.builtIn());
+  const isText = inputPath.endsWith('.txt');
+
+  let text;
+  if (isText) {
+    // Existing fixture: already redacted, just re-generate the expected output
+    text = fs.readFileSync(inputPath, 'utf8');
+  } else {
+    const rawText = await parser.extractText(fs.readFileSync(inputPath));
+    text = new BillRedactor(values.redact).redact(rawText);
+  }
+
+  const record = await parser.parseText(values.type, text);
+  if (!record) {
+    console.error('❌ Parser returned no record; fixture not written.');
+    process.exit(1);
+  }
+
+  const name = values.name || path.basename(inputPath, path.extname(inputPath));
+  const dir = path.join(FIXTURES_DIR, record.type);
+  fs.mkdirSync(dir, { recursive: true });
+
+  const textPath = path.join(dir, `${name}.txt`);
+  const expectedPath = path.join(dir, `${name}.json`);
+  if (!isText) {
+    fs.writeFileSync(textPath, text);
+  }
+  fs.writeFileSync(expectedPath, JSON.stringify(record, null, 2) + '\n');
+
+  console.log(`✅ Fixture saved: ${path.relative(process.cwd(), textPath)}`);
+  console.log(`   Expected output: ${path.relative(process.cwd(), expectedPath)}`);
+  console.log('   Review the text for any personal details the redactor missed before committing.');
+}
+
+main().catch(console.error);
@@ -0,0 +1,65 @@
+/**
+ * ntfy priorities (1 = min, 5 = max) for our message priorities.
+ */
+const PRIORITIES = { low: 2, default: 3, high: 4 };
+
+/**
+ * How long to wait for the ntfy server before giving up, so a hanging server can't stall a run.
+ */
+const DEFAULT_TIMEOUT_MS = 10000;
+
+const TAGS = {
+  summary: ['house'],
+  'new-bills': ['receipt'],
+  'parse-failures': ['warning'],
+  anomalies: ['rotating_light'],
+};
+
+export default class NtfyChannel {
+  /**
+   * @param {Object} config
+   * @param {string} [config.url] - ntfy server (self-hosted or ntfy.sh).
+   * @param {string} config.topic
+   * @param {string} [config.token] - Access token for protected topics.
+   * @param {number} [config.timeoutMs]
+   */
+  constructor({ url = 'https://ntfy.sh', topic, token = null, timeoutMs = DEFAULT_TIMEOUT_MS }) {
+    if (!topic) {
+      throw new Error('ntfy notifications need a "topic"');
+    }
+    this.url = url.replace(/\/$/, '');
+    this.topic = topic;
+    this.token = token;
+    this.timeoutMs = timeoutMs;
+  }
+
+  get label() {
+    return `ntfy:${this.topic}`;
+  }
+
+  /**
+   * Publishes as JSON, which (unlike header-based publishing) allows non-ASCII titles.
+   *
+   * @param {{event: string, title: string, body: string, priority: string}} message
+   */
+  async send({ event, title, body, priority }) {
+    const response = await fetch(this.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(this.token ? { Authorization: `Bearer ${this.token}` } : {}),
+      },
+      body: JSON.stringify({
+        topic: this.topic,
+        title,
+        message: body,
+        priority: PRIORITIES[priority] || PRIORITIES.default,
+        tags: TAGS[event] || [],
+      }),
+      signal: AbortSignal.timeout(this.timeoutMs),
+    });
+    if (!response.ok) {
+      throw new Error(`${response.status} ${response.statusText}`);
+    }
+  }
+}
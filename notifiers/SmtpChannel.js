@@ -0,0 +1,39 @@
+import nodemailer from 'nodemailer';
+
+export default class SmtpChannel {
+  /**
+   * @param {Object} config
+   * @param {string} config.host
+   * @param {number} [config.port]
+   * @param {boolean} [config.secure] - TLS from the start (port 465); otherwise STARTTLS when offered.
+   * @param {string} [config.user]
+   * @param {string} [config.pass]
+   * @param {string} config.from
+   * @param {string|Array<string>} config.to
+   */
+  constructor({ host, port = 587, secure = false, user, pass, from, to }) {
+    if (!host || !from || !to) {
+      throw new Error('SMTP notifications need "host", "from" and "to"');
+    }
+    this.host = host;
+    this.from = from;
+    this.to = to;
+    this.transport = nodemailer.createTransport({
+      host,
+      port,
+      secure,
+      auth: user ? { user, pass } : undefined,
+    });
+  }
+
+  get label() {
+    return `smtp:${this.host}`;
+  }
+
+  /**
+   * @param {{title: string, body: string}} message
+   */
+  async send({ title, body }) {
+    await this.transport.sendMail({ from: this.from, to: this.to, subject: title, text: body });
+  }
+}
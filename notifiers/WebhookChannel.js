@@ -0,0 +1,42 @@
+/**
+ * How long to wait for the webhook before giving up, so a hanging endpoint can't stall a run.
+ */
+const DEFAULT_TIMEOUT_MS = 10000;
+
+export default class WebhookChannel {
+  /**
+   * @param {Object} config
+   * @param {string} config.url
+   * @param {Object<string, string>} [config.headers] - e.g. an Authorization header.
+   * @param {number} [config.timeoutMs]
+   */
+  constructor({ url, headers = {}, timeoutMs = DEFAULT_TIMEOUT_MS }) {
+    if (!url || !URL.canParse(url)) {
+      throw new Error('Webhook notifications need a valid "url"');
+    }
+    this.url = url;
+    this.headers = headers;
+    this.timeoutMs = timeoutMs;
+  }
+
+  get label() {
+    return `webhook:${new URL(this.url).host}`;
+  }
+
+  /**
+   * POSTs the whole message as JSON.
+   *
+   * @param {{event: string, title: string, body: string, priority: string, data: Object}} message
+   */
+  async send(message) {
+    const response = await fetch(this.url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...this.headers },
+      body: JSON.stringify({ ...message, sentAt: new Date().toISOString() }),
+      signal: AbortSignal.timeout(this.timeoutMs),
+    });
+    if (!response.ok) {
+      throw new Error(`${response.status} ${response.statusText}`);
+    }
+  }
+}
@@ -0,0 +1,147 @@
+import FieldTracker from './FieldTracker.js';
+
+export default class EversourceElectricParser {
+  /**
+   * Patterns that identify an Eversource electric bill, with their detection weight.
+   */
+  static signatures = [
+    { pattern: /kWh\s+(?:Delivered|Received)|Electricity\s+(?:Used|Received)/i, weight: 3 },
+    { pattern: /Eversource/i, weight: 2 },
+    { pattern: /Net\s+Meter/i, weight: 1 },
+  ];
+
+  /**
+   * Parses the extracted text of an Eversource electric bill. Net-metered accounts have a
+   * bidirectional meter, so energy delivered (import) and received (export) are printed separately.
+   *
+   * @param {string} text
+   * @returns {{date: string, startDate: string|null, endDate: string|null, usage: number, exported: number, production: number, cost: number, credit: number, deliveryRate: number|null, supplyRate: number|null, customerCharge: number|null, diagnostics: Object}|null}
+   */
+  parse(text) {
+    const fields = new FieldTracker();
+    try {
+      // 1. Extract Date
+      const dateMatch = fields.match('date', text, [
+        { name: 'statementDate', pattern: /Statement\s+Date:\s+(\d{1,2}\/\d{1,2}\/\d{2,4})/i },
+      ]);
+      const dateStr = dateMatch ? toIsoDate(dateMatch[1]) : null;
+
+      const periodMatch = fields.match(
+        'startDate',
+        text,
+        [
+          {
+            name: 'servicePeriod',
+            pattern:
+              /Service\s+Period:?\s+(\d{1,2}\/\d{1,2}\/\d{2,4})\s*(?:-|to)\s*(\d{1,2}\/\d{1,2}\/\d{2,4})/i,
+          },
+        ],
+        { optional: true }
+      );
+      const startDateStr = periodMatch ? toIsoDate(periodMatch[1]) : null;
+      const endDateStr = periodMatch ? toIsoDate(periodMatch[2]) : null;
+
+      // 2. Extract Cost
+      const costMatch = fields.match('cost', text, [
+        { name: 'currentCharges', pattern: /Total\s+Current\s+Charges\s*\$([\d,]+\.\d{2})/i },
+        { name: 'totalAmountDue', pattern: /Total\s+Amount\s+Due\s*\$([\d,]+\.\d{2})/i },
+      ]);
+      const cost = costMatch ? parseAmount(costMatch[1]) : 0;
+
+      // 3. Extract Usage: delivered and received from the meter, or the net figure on bills
+      // that only print that
+      const importMatch = fields.match('usage', text, [
+        {
+          name: 'kwhDelivered',
+          pattern: /(?:kWh\s+Delivered|Electricity\s+Used)[^\n]*?([\d,]+)\s*kWh/i,
+        },
+        { name: 'netUsage', pattern: /Net\s+(?:Metered\s+)?Usage[^\n]*?(-?[\d,]+)\s*kWh/i },
+      ]);
+      const exportMatch = fields.match('exported', text, [
+        {
+          name: 'kwhReceived',
+          pattern: /(?:kWh\s+Received|Electricity\s+Received\s+from\s+You)[^\n]*?([\d,]+)\s*kWh/i,
+        },
+        { name: 'netUsage', pattern: /Net\s+(?:Metered\s+)?Usage[^\n]*?(-?[\d,]+)\s*kWh/i },
+      ]);
+      // The net figure is positive for an import and negative for an export
+      const meterReading = (match, field, sign) => {
+        if (!match) {
+          return 0;
+        }
+        const value = parseAmount(match[1]);
+        return fields.fields[field].via === 'netUsage' ? Math.max(0, sign * value) : value;
+      };
+      const usage = meterReading(importMatch, 'usage', 1);
+      const exported = meterReading(exportMatch, 'exported', -1);
+
+      // 4. Extract Credit: unused net metering credits carried to the next bill
+      const creditMatch = fields.match(
+        'credit',
+        text,
+        [
+          {
+            name: 'netMeteringCredit',
+            pattern: /Net\s+Metering\s+Credit\s+(?:Balance|Carried\s+Forward)\s*\$([\d,]+\.\d{2})/i,
+          },
+        ],
+        { optional: true }
+      );
+      const credit = creditMatch ? parseAmount(creditMatch[1]) : 0;
+
+      // 5. Extract Rates: per-kWh lines in each section, and the fixed customer charge
+      const deliveryText = text.match(/Delivery\s+Charges([\s\S]*?)(?:Supply\s+Charges|$)/i)?.[1];
+      const supplyText = text.match(/Supply\s+Charges([\s\S]*?)(?:Delivery\s+Charges|$)/i)?.[1];
+      const deliveryRate = fields.sumRates('deliveryRate', deliveryText);
+      const supplyRate = fields.sumRates('supplyRate', supplyText);
+
+      const customerChargeMatch = fields.match(
+        'customerCharge',
+        text,
+        [{ name: 'customerCharge', pattern: /Customer\s+Charge\s+\$?\s*([\d,]+\.\d{2})/i }],
+        { optional: true }
+      );
+      const customerCharge = customerChargeMatch ? parseAmount(customerChargeMatch[1]) : null;
+
+      if (!dateStr) {
+        return null;
+      }
+
+      return {
+        date: dateStr,
+        startDate: startDateStr,
+        endDate: endDateStr,
+        usage, // Delivered from the grid
+        exported, // Received from the house
+        production: 0, // Eversource doesn't meter solar generation separately
+        cost,
+        credit,
+        deliveryRate,
+        supplyRate,
+        customerCharge,
+        type: 'EversourceElectric',
+        diagnostics: fields.fields,
+      };
+    } catch (e) {
+      console.error('Error parsing Eversource electric bill:', e);
+      return null;
+    }
+  }
+}
+
+/**
+ * @param {string} mdy - M/D/YY or M/D/YYYY
+ * @returns {string} - YYYY-MM-DD
+ */
+function toIsoDate(mdy) {
+  const [m, d, y] = mdy.split('/');
+  return `${y.length === 2 ? `20${y}` : y}-${m.padStart(2, '0')}-${d.padStart(2, '0')}`;
+}
+
+/**
+ * @param {string} amount - e.g. "1,234.56" or "-169"
+ * @returns {number}
+ */
+function parseAmount(amount) {
+  return parseFloat(amount.replace(/,/g, ''));
+}
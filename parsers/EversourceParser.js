@@ -1,42 +1,59 @@
-import { PDFParse } from 'pdf-parse';
+import FieldTracker from './FieldTracker.js';
 
 export default class EversourceParser {
   /**
-   * Parses an Eversource Gas bill PDF buffer.
+   * Patterns that identify an Eversource gas bill, with their detection weight.
+   */
+  static signatures = [
+    { pattern: /Therms\s+Billed\s+Usage/i, weight: 3 },
+    { pattern: /Eversource/i, weight: 2 },
+    { pattern: /Therms/i, weight: 1 },
+  ];
+
+  /**
+   * Parses the extracted text of an Eversource Gas bill.
    *
-   * @param {Buffer} buffer
-   * @returns {Promise<{date: string, therms: number, cost: number}|null>}
+   * @param {string} text
+   * @returns {{date: string, startDate: string|null, endDate: string|null, therms: number, cost: number, diagnostics: Object}|null}
    */
-  async parse(buffer) {
-    let parser = null;
+  parse(text) {
+    const fields = new FieldTracker();
     try {
-      parser = new PDFParse({ data: buffer });
-      const data = await parser.getText();
-      const text = data.text;
-
       // 1. Extract Date
-      const dateMatch = text.match(/Statement\s+Date:\s+(\d{1,2}\/\d{1,2}\/\d{2,4})/i);
-      let dateStr = null;
-      if (dateMatch) {
-        const parts = dateMatch[1].split('/');
-        const m = parts[0].padStart(2, '0');
-        const d = parts[1].padStart(2, '0');
-        let y = parts[2];
-        if (y.length === 2) {
-          y = '20' + y;
-        }
-        dateStr = `${y}-${m}-${d}`;
-      }
+      const dateMatch = fields.match('date', text, [
+        { name: 'statementDate', pattern: /Statement\s+Date:\s+(\d{1,2}\/\d{1,2}\/\d{2,4})/i },
+      ]);
+      const dateStr = dateMatch ? toIsoDate(dateMatch[1]) : null;
+
+      // Service period (meter read to meter read); older layouts only print the statement date
+      const periodMatch = fields.match(
+        'startDate',
+        text,
+        [
+          {
+            name: 'servicePeriod',
+            pattern:
+              /Service\s+Period:?\s+(\d{1,2}\/\d{1,2}\/\d{2,4})\s*(?:-|to)\s*(\d{1,2}\/\d{1,2}\/\d{2,4})/i,
+          },
+        ],
+        { optional: true }
+      );
+      const startDateStr = periodMatch ? toIsoDate(periodMatch[1]) : null;
+      const endDateStr = periodMatch ? toIsoDate(periodMatch[2]) : null;
 
       // 2. Extract Cost
-      const costMatch = text.match(/Total\s+Amount\s+Due\s*\$([\d,]+\.\d{2})/i);
+      const costMatch = fields.match('cost', text, [
+        { name: 'totalAmountDue', pattern: /Total\s+Amount\s+Due\s*\$([\d,]+\.\d{2})/i },
+      ]);
       let cost = 0;
       if (costMatch) {
         cost = parseFloat(costMatch[1].replace(/,/g, ''));
       }
 
       // 3. Extract Therms
-      const thermsMatch = text.match(/=\s*([\d,]+)\s*Therms\s+Billed\s+Usage/i);
+      const thermsMatch = fields.match('therms', text, [
+        { name: 'thermsBilledUsage', pattern: /=\s*([\d,]+)\s*Therms\s+Billed\s+Usage/i },
+      ]);
       let therms = 0;
       if (thermsMatch) {
         therms = parseFloat(thermsMatch[1].replace(/,/g, ''));
@@ -46,12 +63,33 @@ export default class EversourceParser {
         return null;
       }
 
-      return { date: dateStr, therms, cost, type: 'Eversource' };
+      return {
+        date: dateStr,
+        startDate: startDateStr,
+        endDate: endDateStr,
+        therms,
+        cost,
+        type: 'Eversource',
+        diagnostics: fields.fields,
+      };
     } catch (e) {
-      console.error('Error parsing Eversource PDF:', e);
+      console.error('Error parsing Eversource bill:', e);
       return null;
-    } finally {
-      await parser?.destroy?.();
     }
   }
 }
+
+/**
+ * @param {string} mdy - M/D/YY or M/D/YYYY
+ * @returns {string} - YYYY-MM-DD
+ */
+function toIsoDate(mdy) {
+  const parts = mdy.split('/');
+  const m = parts[0].padStart(2, '0');
+  const d = parts[1].padStart(2, '0');
+  let y = parts[2];
+  if (y.length === 2) {
+    y = '20' + y;
+  }
+  return `${y}-${m}-${d}`;
+}
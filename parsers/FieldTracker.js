@@ -0,0 +1,83 @@
+export default class FieldTracker {
+  constructor() {
+    this.fields = {};
+  }
+
+  /**
+   * Tries each candidate regex in order and records which one matched.
+   *
+   * @param {string} field - Name of the record field being extracted.
+   * @param {string} text - Bill text.
+   * @param {Array<{name: string, pattern: RegExp}>} candidates - Regexes to try, best first.
+   * @param {Object} [options]
+   * @param {boolean} [options.optional] - Field is legitimately absent on some bills.
+   * @returns {RegExpMatchArray|null}
+   */
+  match(field, text, candidates, { optional = false } = {}) {
+    for (const { name, pattern } of candidates) {
+      const match = text.match(pattern);
+      if (match) {
+        this.found(field, name, match[0], { optional });
+        return match;
+      }
+    }
+    this.missing(field, { optional });
+    return null;
+  }
+
+  /**
+   * Records that a field was found.
+   *
+   * @param {string} field
+   * @param {string} via - Name of the regex or fallback that produced the value.
+   * @param {string|null} snippet - Raw text the value came from.
+   * @param {Object} [options]
+   * @param {boolean} [options.optional]
+   */
+  found(field, via, snippet, { optional = false } = {}) {
+    this.fields[field] = { found: true, via, snippet: FieldTracker.clean(snippet), optional };
+  }
+
+  /**
+   * Records that a field could not be extracted (its value falls back to a default).
+   *
+   * @param {string} field
+   * @param {Object} [options]
+   * @param {boolean} [options.optional]
+   */
+  missing(field, { optional = false } = {}) {
+    this.fields[field] = { found: false, via: null, snippet: null, optional };
+  }
+
+  /**
+   * Adds up the per-kWh rates ("0.07124 x 628 kWh") in a section of an electric bill.
+   *
+   * @param {string} field - Record field being extracted.
+   * @param {string|undefined} sectionText
+   * @returns {number|null} - $/kWh, or null when the section has no per-kWh lines.
+   */
+  sumRates(field, sectionText) {
+    const matches = [...(sectionText || '').matchAll(/(\d+\.\d{3,6})\s*x\s*-?[\d,]+\s*kWh/gi)];
+    if (matches.length === 0) {
+      this.missing(field, { optional: true });
+      return null;
+    }
+    this.found(field, 'perKwhCharges', matches.map((m) => m[0]).join('; '), { optional: true });
+    const total = matches.reduce((sum, m) => sum + parseFloat(m[1]), 0);
+    return Math.round(total * 1e6) / 1e6;
+  }
+
+  /**
+   * Collapses whitespace and truncates long multi-line matches so they stay readable.
+   *
+   * @param {string|null} snippet
+   * @returns {string|null}
+   */
+  static clean(snippet) {
+    if (snippet == null) {
+      return null;
+    }
+    const flat = snippet.replace(/\s+/g, ' ').trim();
+    return flat.length > 120 ? `${flat.slice(0, 57)} … ${flat.slice(-57)}` : flat;
+  }
+}
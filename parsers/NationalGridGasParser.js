@@ -0,0 +1,86 @@
+import FieldTracker from './FieldTracker.js';
+
+export default class NationalGridGasParser {
+  /**
+   * Patterns that identify a National Grid gas bill, with their detection weight.
+   */
+  static signatures = [
+    { pattern: /Gas\s+Usage\s+History|Gas\s+Delivery\s+Services/i, weight: 3 },
+    { pattern: /National\s*Grid/i, weight: 2 },
+    { pattern: /Therms/i, weight: 1 },
+  ];
+
+  /**
+   * Parses the extracted text of a National Grid gas bill.
+   *
+   * @param {string} text
+   * @returns {{date: string, startDate: string|null, endDate: string|null, therms: number, cost: number, diagnostics: Object}|null}
+   */
+  parse(text) {
+    const fields = new FieldTracker();
+    try {
+      // 1. Extract Date: "BILLING PERIOD ... Mon DD, YYYY to Mon DD, YYYY", as on electric bills
+      const periodMatch = fields.match('date', text, [
+        {
+          name: 'billingPeriod',
+          pattern:
+            /BILLING PERIOD[\s\S]*?([A-Za-z]{3}\s+\d{1,2},?\s+\d{4})\s+to\s+([A-Za-z]{3}\s+\d{1,2},?\s+\d{4})/i,
+        },
+      ]);
+      let startDateStr = null;
+      let endDateStr = null;
+      if (periodMatch) {
+        startDateStr = toIsoDate(periodMatch[1]);
+        endDateStr = toIsoDate(periodMatch[2]);
+        fields.found('startDate', 'billingPeriod', periodMatch[0], { optional: true });
+      } else {
+        fields.missing('startDate', { optional: true });
+      }
+
+      // 2. Extract Cost
+      const costMatch = fields.match('cost', text, [
+        { name: 'currentCharges', pattern: /Current\s+Charges\s*\+\s*([\d,]+\.\d{2})/i },
+        { name: 'totalDue', pattern: /Total\s+(?:Amount)?\s*Due\s*:?\s*\$([\d,]+\.\d{2})/i },
+      ]);
+      let cost = 0;
+      if (costMatch) {
+        cost = parseFloat(costMatch[1].replace(/,/g, ''));
+      }
+
+      // 3. Extract Therms: the meter reads in CCF, converted with the bill's therm factor
+      const thermsMatch = fields.match('therms', text, [
+        { name: 'totalUsageTherms', pattern: /Total\s+Usage[^\n]*?([\d,]+)\s*Therms/i },
+        { name: 'thermsUsed', pattern: /([\d,]+)\s*Therms\s+(?:Used|Billed)/i },
+      ]);
+      let therms = 0;
+      if (thermsMatch) {
+        therms = parseFloat(thermsMatch[1].replace(/,/g, ''));
+      }
+
+      if (!endDateStr) {
+        return null;
+      }
+
+      return {
+        date: endDateStr, // Use end date as the primary date for the bill
+        startDate: startDateStr,
+        endDate: endDateStr,
+        therms,
+        cost,
+        type: 'NationalGridGas',
+        diagnostics: fields.fields,
+      };
+    } catch (e) {
+      console.error('Error parsing National Grid gas bill:', e);
+      return null;
+    }
+  }
+}
+
+/**
+ * @param {string} date - e.g. "Jan 11, 2024"
+ * @returns {string} - YYYY-MM-DD
+ */
+function toIsoDate(date) {
+  return new Date(`${date} UTC`).toISOString().split('T')[0];
+}
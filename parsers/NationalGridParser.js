@@ -1,19 +1,25 @@
-import { PDFParse } from 'pdf-parse';
+import FieldTracker from './FieldTracker.js';
 
 export default class NationalGridParser {
   /**
-   * Parses a National Grid bill PDF buffer.
+   * Patterns that identify a National Grid electric bill, with their detection weight.
+   */
+  static signatures = [
+    { pattern: /MA\s+SMART\s+Incentive\s+Program/i, weight: 3 },
+    { pattern: /National\s*Grid/i, weight: 2 },
+    { pattern: /Delivery\s+Services/i, weight: 1 },
+    { pattern: /BILLING\s+PERIOD/, weight: 1 },
+  ];
+
+  /**
+   * Parses the extracted text of a National Grid bill.
    *
-   * @param {Buffer} buffer
-   * @returns {Promise<{date: string, usage: number, cost: number, exported: number, credit: number}|null>}
+   * @param {string} text
+   * @returns {{date: string, usage: number, cost: number, exported: number, credit: number, deliveryRate: number|null, supplyRate: number|null, customerCharge: number|null, diagnostics: Object}|null}
    */
-  async parse(buffer) {
-    let parser = null;
+  parse(text) {
+    const fields = new FieldTracker();
     try {
-      parser = new PDFParse({ data: buffer });
-      const data = await parser.getText();
-      const text = data.text;
-
       // Extract Date
       // Regex to match "BILLING PERIOD ... Mon DD, YYYY to Mon DD, YYYY"
       // Handles cases where "PAGE X of Y" or newlines appear between BILLING PERIOD and dates
@@ -28,7 +34,10 @@ export default class NationalGridParser {
         startDateStr = new Date(dateMatch[1]).toISOString().split('T')[0];
         endDateStr = new Date(dateMatch[2]).toISOString().split('T')[0];
         dateStr = endDateStr; // Use end date as the primary date for the bill
+        fields.found('date', 'billingPeriod', dateMatch[0]);
+        fields.found('startDate', 'billingPeriod', dateMatch[0], { optional: true });
       } else {
+        fields.missing('startDate', { optional: true });
         // Fallback for older formats or if regex fails (try just the 'to' date)
         const fallbackMatch = text.match(
           /BILLING PERIOD[\s\S]*?to\s+([A-Za-z]{3}\s+\d{1,2},?\s+\d{4})/i
@@ -36,19 +45,23 @@ export default class NationalGridParser {
         if (fallbackMatch) {
           dateStr = new Date(fallbackMatch[1]).toISOString().split('T')[0];
           endDateStr = dateStr;
+          fields.found('date', 'billingPeriodEnd', fallbackMatch[0]);
+        } else {
+          fields.missing('date');
         }
       }
 
       // Extract Cost
       let cost = 0;
-      const currentChargesMatch = text.match(/Current\s+Charges\s*\+\s*([\d,]+\.\d{2})/i);
-      if (currentChargesMatch) {
-        cost = parseFloat(currentChargesMatch[1].replace(/,/g, ''));
-      } else {
-        const totalDueMatch = text.match(/Total\s+(?:Amount)?\s*Due\s*:?\s*\$([\d,]+\.\d{2})/i);
-        if (totalDueMatch) {
-          cost = parseFloat(totalDueMatch[1].replace(/,/g, ''));
-        }
+      const costMatch = fields.match('cost', text, [
+        { name: 'currentCharges', pattern: /Current\s+Charges\s*\+\s*([\d,]+\.\d{2})/i },
+        {
+          name: 'totalDue',
+          pattern: /Total\s+(?:Amount)?\s*Due\s*:?\s*\$([\d,]+\.\d{2})/i,
+        },
+      ]);
+      if (costMatch) {
+        cost = parseFloat(costMatch[1].replace(/,/g, ''));
       }
 
       // Extract Usage Data
@@ -56,16 +69,30 @@ export default class NationalGridParser {
       let genUsage = 0;
 
       // Extract Net Usage (Delivery Services)
-      const netUsageMatch = text.match(
-        /Delivery\s+Services[\s\S]*?Total\s+Usage[\s\S]*?([-\d,]+)\s*kWh/i
-      );
+      // Net usage feeds both `usage` (import) and `exported` (export)
+      const netUsageCandidates = [
+        {
+          name: 'deliveryTotalUsage',
+          pattern: /Delivery\s+Services[\s\S]*?Total\s+Usage[\s\S]*?([-\d,]+)\s*kWh/i,
+        },
+      ];
+      const netUsageMatch = fields.match('usage', text, netUsageCandidates);
+      fields.match('exported', text, netUsageCandidates);
       if (netUsageMatch) {
         netUsage = parseFloat(netUsageMatch[1].replace(/,/g, ''));
       }
 
       // Extract Generation Usage (SMART Program)
-      const genUsageMatch = text.match(
-        /MA\s+SMART\s+Incentive\s+Program[\s\S]*?Energy[\s\S]*?([-\d,]+)\s*kWh/i
+      const genUsageMatch = fields.match(
+        'production',
+        text,
+        [
+          {
+            name: 'smartProgramEnergy',
+            pattern: /MA\s+SMART\s+Incentive\s+Program[\s\S]*?Energy[\s\S]*?([-\d,]+)\s*kWh/i,
+          },
+        ],
+        { optional: true }
       );
       if (genUsageMatch) {
         genUsage = Math.abs(parseFloat(genUsageMatch[1].replace(/,/g, ''))); // Store as positive production
@@ -77,11 +104,36 @@ export default class NationalGridParser {
 
       // Extract Credit Balance
       let credit = 0;
-      const creditMatch = text.match(/Credit\s+Balance\s*-\$\s*([\d,]+\.\d{2})/i);
+      const creditMatch = fields.match(
+        'credit',
+        text,
+        [{ name: 'creditBalance', pattern: /Credit\s+Balance\s*-\$\s*([\d,]+\.\d{2})/i }],
+        { optional: true }
+      );
       if (creditMatch) {
         credit = parseFloat(creditMatch[1].replace(/,/g, ''));
       }
 
+      // Extract Rates: the per-kWh charges ("0.07124 x 628 kWh") in each section, and the
+      // fixed customer charge. Supply lines are missing on bills with nothing imported.
+      const deliveryText = text.match(/Delivery\s+Services([\s\S]*?)(?:Supply\s+Services|$)/i)?.[1];
+      const supplyText = text.match(
+        /Supply\s+Services([\s\S]*?)(?:MA\s+SMART|Delivery\s+Services|$)/i
+      )?.[1];
+      const deliveryRate = fields.sumRates('deliveryRate', deliveryText);
+      const supplyRate = fields.sumRates('supplyRate', supplyText);
+
+      let customerCharge = null;
+      const customerChargeMatch = fields.match(
+        'customerCharge',
+        text,
+        [{ name: 'customerCharge', pattern: /Customer\s+Charge\s+\$?\s*([\d,]+\.\d{2})/i }],
+        { optional: true }
+      );
+      if (customerChargeMatch) {
+        customerCharge = parseFloat(customerChargeMatch[1].replace(/,/g, ''));
+      }
+
       return {
         date: dateStr,
         startDate: startDateStr,
@@ -91,13 +143,15 @@ export default class NationalGridParser {
         production: genUsage, // Total Solar Generation (from NG meter)
         cost,
         credit,
+        deliveryRate, // $/kWh, null when not printed
+        supplyRate, // $/kWh, null when not printed
+        customerCharge,
         type: 'NationalGrid',
+        diagnostics: fields.fields,
       };
     } catch (e) {
-      console.error('Error parsing National Grid PDF:', e);
+      console.error('Error parsing National Grid bill:', e);
       return null;
-    } finally {
-      await parser?.destroy?.();
     }
   }
 }
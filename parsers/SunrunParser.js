@@ -1,19 +1,24 @@
-import { PDFParse } from 'pdf-parse';
+import FieldTracker from './FieldTracker.js';
 
 export default class SunrunParser {
   /**
-   * Parses a Sunrun bill PDF buffer.
+   * Patterns that identify a Sunrun bill, with their detection weight.
+   */
+  static signatures = [
+    { pattern: /Electricity\s+Produced/i, weight: 3 },
+    { pattern: /Sunrun/i, weight: 2 },
+    { pattern: /Monthly\s+Charge/i, weight: 1 },
+  ];
+
+  /**
+   * Parses the extracted text of a Sunrun bill.
    *
-   * @param {Buffer} buffer
-   * @returns {Promise<{date: string, production: number, cost: number}|null>}
+   * @param {string} text
+   * @returns {{date: string, startDate: string|null, endDate: string|null, production: number, cost: number, diagnostics: Object}|null}
    */
-  async parse(buffer) {
-    let parser = null;
+  parse(text) {
+    const fields = new FieldTracker();
     try {
-      parser = new PDFParse({ data: buffer });
-      const data = await parser.getText();
-      const text = data.text;
-
       // 1. Extract Date
       const dueDateRegex = /Due\s+Date\s+(\d{1,2}\/\d{1,2}\/\d{4})/i;
       const dueMatch = text.match(dueDateRegex);
@@ -24,13 +29,14 @@ export default class SunrunParser {
 
       // Now find Billing Period
       const billingMatch = text.match(
-        /Billing\s+Period\s+[A-Za-z]{3}\s+\d{1,2}\s*-\s*([A-Za-z]{3})\s+(\d{1,2})/i
+        /Billing\s+Period\s+([A-Za-z]{3})\s+(\d{1,2})\s*-\s*([A-Za-z]{3})\s+(\d{1,2})/i
       );
       let dateStr = null;
+      let startDateStr = null;
 
       if (billingMatch) {
-        const monthStr = billingMatch[1]; // e.g. "Nov"
-        const dayStr = billingMatch[2]; // e.g. "14"
+        const monthStr = billingMatch[3]; // e.g. "Dec"
+        const dayStr = billingMatch[4]; // e.g. "13"
 
         const monthMap = {
           Jan: '01',
@@ -57,33 +63,45 @@ export default class SunrunParser {
         }
 
         dateStr = `${year}-${m}-${d}`;
+        fields.found('date', 'billingPeriod', billingMatch[0]);
+
+        // The period starts the month before it ends, so "Dec 14 - Jan 13" starts the prior year
+        const startMonth = monthMap[billingMatch[1]];
+        const startYear = startMonth > m ? year - 1 : year;
+        startDateStr = `${startYear}-${startMonth}-${billingMatch[2].padStart(2, '0')}`;
+        fields.found('startDate', 'billingPeriod', billingMatch[0], { optional: true });
       } else {
+        fields.missing('startDate', { optional: true });
         if (dueMatch) {
           const [m, d, y] = dueMatch[1].split('/');
           const billDateMatch = text.match(/Bill\s+Date[:\s]+(\d{1,2}\/\d{1,2}\/\d{4})/i);
           if (billDateMatch) {
             const [bm, bd, by] = billDateMatch[1].split('/');
             dateStr = `${by}-${bm.padStart(2, '0')}-${bd.padStart(2, '0')}`;
+            fields.found('date', 'billDate', billDateMatch[0]);
           } else {
             dateStr = `${y}-${m.padStart(2, '0')}-${d.padStart(2, '0')}`;
+            fields.found('date', 'dueDate', dueMatch[0]);
           }
+        } else {
+          fields.missing('date');
         }
       }
 
       // 2. Extract Cost
       let cost = 0;
-      const totalDueMatch = text.match(/Total\s+Due[\s\S]*?\$([\d,]+\.\d{2})/i);
-      if (totalDueMatch) {
-        cost = parseFloat(totalDueMatch[1].replace(/,/g, ''));
-      } else {
-        const monthlyChargeMatch = text.match(/Monthly\s+Charge\s*\$([\d,]+\.\d{2})/i);
-        if (monthlyChargeMatch) {
-          cost = parseFloat(monthlyChargeMatch[1].replace(/,/g, ''));
-        }
+      const costMatch = fields.match('cost', text, [
+        { name: 'totalDue', pattern: /Total\s+Due[\s\S]*?\$([\d,]+\.\d{2})/i },
+        { name: 'monthlyCharge', pattern: /Monthly\s+Charge\s*\$([\d,]+\.\d{2})/i },
+      ]);
+      if (costMatch) {
+        cost = parseFloat(costMatch[1].replace(/,/g, ''));
       }
 
       // 3. Extract Production (kWh)
-      const prodMatch = text.match(/Electricity\s+Produced[\s\S]*?([\d,]+)\s*kWh/i);
+      const prodMatch = fields.match('production', text, [
+        { name: 'electricityProduced', pattern: /Electricity\s+Produced[\s\S]*?([\d,]+)\s*kWh/i },
+      ]);
       let production = 0;
       if (prodMatch) {
         production = parseFloat(prodMatch[1].replace(/,/g, ''));
@@ -93,12 +111,18 @@ export default class SunrunParser {
         return null;
       }
 
-      return { date: dateStr, production, cost, type: 'Sunrun' };
+      return {
+        date: dateStr,
+        startDate: startDateStr,
+        endDate: startDateStr ? dateStr : null,
+        production,
+        cost,
+        type: 'Sunrun',
+        diagnostics: fields.fields,
+      };
     } catch (e) {
-      console.error('Error parsing Sunrun PDF:', e);
+      console.error('Error parsing Sunrun bill:', e);
       return null;
-    } finally {
-      await parser?.destroy?.();
     }
   }
 }
@@ -0,0 +1,122 @@
+import 'dotenv/config';
+import { google } from 'googleapis';
+import DriveClient from '../DriveClient.js';
+
+/**
+ * Meta key prefix for each folder's last listing and changes feed page token.
+ */
+const LISTING_KEY_PREFIX = 'drive_listing:';
+
+export default class DriveSource {
+  /**
+   * @param {string} folderPath - Drive folder path, e.g. "House/National Grid Bills"
+   * @param {DriveClient} [driveClient] - Shared client; created from .env credentials if omitted.
+   * @param {Object} [options]
+   * @param {DataStore} [options.store] - Keeps each folder's listing, so later runs only read
+   *   the changes since.
+   */
+  constructor(folderPath, driveClient = null, { store = null } = {}) {
+    this.folderPath = folderPath;
+    this.drive = driveClient || DriveSource.createClient();
+    this.store = store;
+  }
+
+  /**
+   * Builds a DriveClient from the GMAIL_OAUTH_CREDENTIALS in .env.
+   *
+   * @returns {DriveClient}
+   */
+  static createClient() {
+    const { GMAIL_OAUTH_CREDENTIALS } = process.env;
+    if (!GMAIL_OAUTH_CREDENTIALS) {
+      throw new Error('❌ GMAIL_OAUTH_CREDENTIALS not found');
+    }
+    const { client_id, client_secret, refresh_token } = JSON.parse(GMAIL_OAUTH_CREDENTIALS);
+    const auth = new google.auth.OAuth2(client_id, client_secret);
+    auth.setCredentials({ refresh_token });
+    return new DriveClient(auth);
+  }
+
+  get label() {
+    return `drive:${this.folderPath}`;
+  }
+
+  /**
+   * Lists the bills in the Drive folder. The first run lists the folder; later runs apply the
+   * Drive changes feed to the stored listing instead, unless Drive rejects its page token.
+   *
+   * @returns {Promise<Array<{id: string, name: string, mimeType: string, createdTime: string}>>}
+   */
+  async listFiles() {
+    const folderId = await this.drive.findFolderId(this.folderPath);
+    if (!folderId) {
+      console.error(`❌ Folder not found: ${this.folderPath}`);
+      return [];
+    }
+
+    const key = `${LISTING_KEY_PREFIX}${this.folderPath}`;
+    const stored = this.store ? JSON.parse(this.store.getMeta(key) || 'null') : null;
+    let files;
+    let pageToken;
+    let feed = null;
+    // A folder that was replaced by another of the same path is listed again
+    if (stored && stored.folderId === folderId) {
+      try {
+        feed = await this.drive.listChanges(stored.pageToken);
+      } catch (e) {
+        // Drive rejects page tokens that are too old; start over from a full listing
+        console.error(
+          `⚠️ Could not read Drive changes for "${this.folderPath}" (${e.message}); listing it again`
+        );
+        this.store.deleteMeta(key);
+      }
+    }
+    if (feed) {
+      files = applyChanges(stored.files, feed.changes, folderId);
+      pageToken = feed.startPageToken;
+      console.log(
+        `📂 Found folder "${this.folderPath}" (${feed.changes.length} Drive changes since last run)`
+      );
+    } else {
+      // Taken before listing, so changes made during the listing are read next time
+      pageToken = await this.drive.getStartPageToken();
+      console.log(`📂 Found folder "${this.folderPath}" (ID: ${folderId})`);
+      files = await this.drive.listFolder(folderId);
+    }
+
+    this.store?.setMeta(key, JSON.stringify({ folderId, pageToken, files }));
+    return files;
+  }
+
+  /**
+   * Downloads a bill's content.
+   *
+   * @param {string} fileId
+   * @returns {Promise<Buffer>}
+   */
+  async getFile(fileId) {
+    return this.drive.getFile(fileId);
+  }
+}
+
+/**
+ * Brings a folder listing up to date with changes from the Drive changes feed.
+ *
+ * @param {Array<Object>} files - The folder's files as of the changes' start token.
+ * @param {Array<{fileId: string, removed: boolean, file?: Object}>} changes - Oldest first.
+ * @param {string} folderId
+ * @returns {Array<{id: string, name: string, mimeType: string, createdTime: string}>}
+ */
+function applyChanges(files, changes, folderId) {
+  const byId = new Map(files.map((file) => [file.id, file]));
+  for (const { fileId, removed, file } of changes) {
+    // Deleted, trashed or moved out of the folder
+    if (removed || !file || file.trashed || !(file.parents || []).includes(folderId)) {
+      byId.delete(fileId);
+      continue;
+    }
+    const { id, name, mimeType, createdTime } = file;
+    byId.set(fileId, { id, name, mimeType, createdTime });
+  }
+  return [...byId.values()];
+}
@@ -0,0 +1,85 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+
+export default class LocalSource {
+  /**
+   * @param {string} dirPath - Directory holding bill PDFs (relative paths resolve from cwd).
+   */
+  constructor(dirPath) {
+    this.dirPath = path.resolve(process.cwd(), dirPath);
+    this.paths = null;
+  }
+
+  get label() {
+    return `local:${this.dirPath}`;
+  }
+
+  /**
+   * Lists the PDFs in the directory (recursively).
+   * File IDs are SHA-256 hashes of the content, so they stay stable across renames and moves
+   * and the bill cache keeps working.
+   *
+   * @returns {Promise<Array<{id: string, name: string, mimeType: string, createdTime: string}>>}
+   */
+  async listFiles() {
+    if (!fs.existsSync(this.dirPath)) {
+      console.error(`❌ Folder not found: ${this.dirPath}`);
+      return [];
+    }
+
+    console.log(`📂 Found local folder "${this.dirPath}"`);
+
+    this.paths = new Map();
+    const files = [];
+
+    for (const filePath of this.walk(this.dirPath)) {
+      const buffer = fs.readFileSync(filePath);
+      const id = crypto.createHash('sha256').update(buffer).digest('hex');
+      if (this.paths.has(id)) {
+        // Same PDF saved twice; only count it once.
+        continue;
+      }
+      this.paths.set(id, filePath);
+      files.push({
+        id,
+        name: path.relative(this.dirPath, filePath),
+        mimeType: 'application/pdf',
+        createdTime: fs.statSync(filePath).mtime.toISOString(),
+      });
+    }
+
+    return files;
+  }
+
+  /**
+   * Reads a bill's content.
+   *
+   * @param {string} fileId - Content hash returned by listFiles().
+   * @returns {Promise<Buffer>}
+   */
+  async getFile(fileId) {
+    if (!this.paths) {
+      await this.listFiles();
+    }
+    const filePath = this.paths.get(fileId);
+    if (!filePath) {
+      throw new Error(`File not found in ${this.dirPath}: ${fileId}`);
+    }
+    return fs.readFileSync(filePath);
+  }
+
+  *walk(dir) {
+    const entries = fs
+      .readdirSync(dir, { withFileTypes: true })
+      .sort((a, b) => a.name.localeCompare(b.name));
+    for (const entry of entries) {
+      const fullPath = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        yield* this.walk(fullPath);
+      } else if (entry.isFile() && entry.name.toLowerCase().endsWith('.pdf')) {
+        yield fullPath;
+      }
+    }
+  }
+}
@@ -0,0 +1,143 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import AnomalyDetector from '../AnomalyDetector.js';
+import DateUtils from '../DateUtils.js';
+import ProviderRegistry from '../ProviderRegistry.js';
+
+const dailySource = (days) => ({ getDailyProduction: () => days });
+
+const sunnyDays = (from, to, production = 30) =>
+  DateUtils.eachDay(from, to).map((date) => ({ date, production }));
+
+describe('AnomalyDetector', () => {
+  it('flags streaks of zero production against the same season last year', () => {
+    const days = [
+      ...sunnyDays('2023-05-15', '2023-07-15'),
+      ...sunnyDays('2024-06-01', '2024-06-30').map((day) => {
+        if (day.date >= '2024-06-10' && day.date <= '2024-06-14') {
+          return { ...day, production: 0 };
+        }
+        // A single cloudy day isn't a streak
+        return day.date === '2024-06-20' ? { ...day, production: 5 } : day;
+      }),
+      // Today is still filling in
+      { date: '2024-07-01', production: 0 },
+    ];
+    const detector = new AnomalyDetector();
+    detector.setDailySolarData(dailySource(days));
+
+    const anomalies = detector.detect([], { today: '2024-07-01' });
+
+    assert.deepEqual(anomalies, [
+      {
+        type: 'production-streak',
+        severity: 'critical',
+        start: '2024-06-10',
+        end: '2024-06-14',
+        value: 0,
+        expected: 150,
+        message: '5 days of zero production (usually ~30 kWh/day)',
+      },
+    ]);
+  });
+
+  it('falls back to the surrounding days in the first year', () => {
+    const days = sunnyDays('2024-04-01', '2024-04-30').map((day) =>
+      day.date === '2024-04-15' || day.date === '2024-04-16' ? { ...day, production: 4 } : day
+    );
+    const detector = new AnomalyDetector();
+    detector.setDailySolarData(dailySource(days));
+
+    const [streak] = detector.detect([], { today: '2024-05-01' });
+
+    assert.equal(streak.severity, 'warning');
+    assert.deepEqual([streak.start, streak.end, streak.value], ['2024-04-15', '2024-04-16', 8]);
+  });
+
+  it('flags months where the inverter and the meter disagree', () => {
+    const month = (month, ngProd, billingPeriodProd) => ({
+      month,
+      periodStart: `${month}-01`,
+      periodEnd: `${month}-30`,
+      ngProd,
+      billingPeriodProd,
+      sunrunProd: 0,
+    });
+
+    const anomalies = new AnomalyDetector().detect(
+      [month('2024-04', 800, 820), month('2024-06', 800, 1000)],
+      { today: '2024-07-01' }
+    );
+
+    assert.equal(anomalies.length, 1);
+    assert.equal(anomalies[0].type, 'source-gap');
+    assert.equal(
+      anomalies[0].message,
+      '2024-06: Sunrun reports 1000 kWh, 25% above the National Grid meter (800 kWh)'
+    );
+  });
+
+  it('flags bills far from the same season in other years', () => {
+    const monthly = [];
+    for (let i = 0; i < 36; i++) {
+      const month = DateUtils.addMonths('2022-01', i);
+      const therms = month === '2024-01' ? 300 : 100 + (i % 3) * 5;
+      monthly.push({
+        month,
+        periodStart: `${month}-01`,
+        periodEnd: `${month}-28`,
+        gasTherms: therms,
+        gasCost: therms * 1.5,
+      });
+    }
+
+    const anomalies = new AnomalyDetector().detect(monthly, { today: '2025-01-01' });
+
+    assert.deepEqual(
+      anomalies.map((a) => [a.utility, a.field, a.start, a.severity]),
+      [
+        ['Eversource', 'gasCost', '2024-01-01', 'critical'],
+        ['Eversource', 'gasTherms', '2024-01-01', 'critical'],
+      ]
+    );
+    assert.match(anomalies[1].message, /^2024-01: Eversource therms of 300 is high/);
+  });
+
+  it('checks the fields of whichever providers are configured', () => {
+    const registry = new ProviderRegistry({
+      providers: [
+        { type: 'NationalGridGas', source: 'local:./gas' },
+        {
+          type: 'TownWater',
+          commodity: 'water',
+          parser: './TownWaterParser.js',
+          source: 'local:./water',
+          fields: { cost: 'waterCost' },
+        },
+      ],
+    });
+    const monthly = [];
+    for (let i = 0; i < 36; i++) {
+      const month = DateUtils.addMonths('2022-01', i);
+      monthly.push({
+        month,
+        periodStart: `${month}-01`,
+        periodEnd: `${month}-28`,
+        gasTherms: 100,
+        gasCost: 150,
+        waterCost: month === '2024-02' ? 400 : 60,
+      });
+    }
+
+    const anomalies = new AnomalyDetector({ registry }).detect(monthly, { today: '2025-01-01' });
+
+    assert.deepEqual(
+      anomalies.map((a) => [a.utility, a.field, a.start]),
+      [['TownWater', 'waterCost', '2024-02-01']]
+    );
+    assert.deepEqual(new AnomalyDetector({ registry }).utilityFields(), {
+      NationalGridGas: { gasCost: 'cost', gasTherms: 'therms' },
+      TownWater: { waterCost: 'cost' },
+    });
+  });
+});
@@ -0,0 +1,218 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { afterEach, beforeEach, describe, it, mock } from 'node:test';
+import { pathToFileURL } from 'node:url';
+import BillCache from '../BillCache.js';
+import BillIngestor from '../BillIngestor.js';
+import BillParser from '../BillParser.js';
+import BillSources from '../BillSources.js';
+import DataStore from '../DataStore.js';
+import DriveClient from '../DriveClient.js';
+import makePdf from './helpers/makePdf.js';
+import mockDrive from './helpers/mockDrive.js';
+import stubEnv from './helpers/stubEnv.js';
+
+const GAS_BILL = [
+  'EVERSOURCE',
+  'Statement Date: 01/08/24',
+  'Total Amount Due $241.37',
+  '= 167 Therms Billed Usage',
+];
+
+const SUNRUN_BILL = [
+  'Sunrun',
+  'Billing Period Nov 14 - Dec 13',
+  'Due Date 1/5/2025',
+  'Monthly Charge $118.23',
+  'Electricity Produced 312 kWh',
+];
+
+describe('BillIngestor', () => {
+  let dir;
+  let store;
+  const env = stubEnv();
+
+  beforeEach(async () => {
+    store = await DataStore.open(null);
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bills-'));
+    for (const folder of ['electric', 'solar', 'gas']) {
+      fs.mkdirSync(path.join(dir, folder));
+    }
+    fs.writeFileSync(path.join(dir, 'gas', 'jan.pdf'), makePdf(GAS_BILL));
+    // Misfiled: a Sunrun bill in the gas folder
+    fs.writeFileSync(path.join(dir, 'gas', 'misfiled.pdf'), makePdf(SUNRUN_BILL));
+
+    env.set({
+      BILL_SOURCE_ELECTRIC: `local:${path.join(dir, 'electric')}`,
+      BILL_SOURCE_SOLAR: `local:${path.join(dir, 'solar')}`,
+      BILL_SOURCE_GAS: `local:${path.join(dir, 'gas')}`,
+      BILL_SOURCE_INBOX: undefined,
+    });
+  });
+
+  afterEach(() => {
+    env.restore();
+    store.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+    mock.restoreAll();
+  });
+
+  const newCache = () => new BillCache(new BillParser(), store);
+  const newIngestor = () => new BillIngestor(newCache());
+
+  // Rewrites a stored bill as if an older run had cached it
+  const tamper = (fileId, changes, recordChanges = {}) => {
+    const entry = store.getBill(fileId);
+    store.putBill(
+      fileId,
+      { ...entry.record, ...recordChanges },
+      {
+        parser: entry.parser,
+        parserVersion: entry.parserVersion,
+        schemaVersion: entry.schemaVersion,
+        ...changes,
+      }
+    );
+  };
+
+  it('parses local bills, routes them by content and caches them with their parser version', async () => {
+    const bills = await newIngestor().ingest();
+    assert.deepEqual(bills.map((b) => b.type).sort(), ['Eversource', 'Sunrun']);
+
+    const entries = newCache().entries();
+    assert.equal(entries.length, 2);
+    for (const entry of entries) {
+      assert.equal(entry.fresh, true);
+      assert.equal(store.getBill(entry.fileId).schemaVersion, BillCache.SCHEMA_VERSION);
+      assert.match(store.getSourceFile(entry.fileId).source, /^local:/);
+    }
+  });
+
+  it('routes inbox bills by content and skips ones already read from their own folder', async () => {
+    fs.mkdirSync(path.join(dir, 'inbox'));
+    fs.copyFileSync(path.join(dir, 'gas', 'jan.pdf'), path.join(dir, 'inbox', 'jan copy.pdf'));
+    fs.writeFileSync(
+      path.join(dir, 'inbox', 'dec.pdf'),
+      makePdf(SUNRUN_BILL.map((line) => line.replace('312', '287')))
+    );
+    fs.writeFileSync(path.join(dir, 'inbox', 'flyer.pdf'), makePdf(['Water and Sewer Department']));
+    env.set({ BILL_SOURCE_INBOX: `local:${path.join(dir, 'inbox')}` });
+
+    const ingestor = newIngestor();
+    const bills = await ingestor.ingest();
+    assert.deepEqual(bills.map((b) => [b.type, b.fileName]).sort(), [
+      ['Eversource', 'jan.pdf'],
+      ['Sunrun', 'dec.pdf'],
+      ['Sunrun', 'misfiled.pdf'],
+    ]);
+    assert.deepEqual(
+      ingestor.quality.getEntries().map((e) => [e.fileName, e.issues[0].message]),
+      [['flyer.pdf', 'Could not detect bill type from content']]
+    );
+  });
+
+  it('tags bills with the file they were parsed from, fresh or cached', async () => {
+    const gasFile = path.join(dir, 'gas', 'jan.pdf');
+    const traced = (bills) => {
+      const { fileId, fileName, fileLink } = bills.find((b) => b.type === 'Eversource');
+      return { fileId, fileName, fileLink };
+    };
+
+    const ingested = traced(await newIngestor().ingest());
+    assert.equal(ingested.fileName, 'jan.pdf');
+    assert.equal(ingested.fileLink, pathToFileURL(gasFile).href);
+    assert.equal(store.getBill(ingested.fileId).record.fileName, undefined);
+
+    assert.deepEqual(traced(await newIngestor().ingest()), ingested);
+    assert.deepEqual(traced(newIngestor().cachedBills()), ingested);
+  });
+
+  it('re-parses only entries from an outdated parser', async () => {
+    await newIngestor().ingest();
+
+    const sunrun = newCache()
+      .entries()
+      .find((e) => e.parser === 'Sunrun');
+    tamper(sunrun.fileId, { parserVersion: 'old' }, { cost: 0 });
+
+    const ingestor = newIngestor();
+    const bills = await ingestor.ingest();
+    assert.equal(bills.find((b) => b.type === 'Sunrun').cost, 118.23);
+    assert.equal(ingestor.billCache.isFresh(sunrun.fileId), true);
+  });
+
+  it('forces a re-parse by file name', async () => {
+    await newIngestor().ingest();
+    const gas = newCache()
+      .entries()
+      .find((e) => e.parser === 'Eversource');
+    tamper(gas.fileId, {}, { cost: 1 });
+
+    const bills = await newIngestor().ingest({ force: ['jan.pdf'] });
+    assert.equal(bills.find((b) => b.type === 'Eversource').cost, 241.37);
+  });
+
+  it('treats schema 1 entries as outdated', () => {
+    const record = { date: '2024-01-08', cost: 5, therms: 1, type: 'Eversource' };
+    store.putBill('legacy', record, {
+      parser: 'Eversource',
+      parserVersion: null,
+      schemaVersion: 1,
+    });
+    const cache = newCache();
+    assert.equal(cache.getRecord('legacy').cost, 5);
+    assert.equal(cache.isFresh('legacy'), false);
+  });
+
+  it('downloads Drive bills a few at a time and only reads changes on later runs', async () => {
+    mock.method(console, 'log', () => {});
+    const drive = mockDrive({ downloadMs: 20 });
+    const house = drive.addFolder('House');
+    const gasFolder = drive.addFolder('Gas', house);
+    for (const name of ['electric', 'solar']) {
+      env.set({ [`BILL_SOURCE_${name.toUpperCase()}`]: `drive:House/${name}` });
+      drive.addFolder(name, house);
+    }
+    env.set({ BILL_SOURCE_GAS: 'drive:House/Gas' });
+    const gasIds = ['a', 'b', 'c', 'd', 'e'].map((name) =>
+      drive.addFile(`${name}.pdf`, gasFolder, {
+        content: makePdf(
+          GAS_BILL.map((line) => line.replace('01/08/24', `01/0${name.charCodeAt(0) - 96}/24`))
+        ),
+      })
+    );
+
+    const ingest = () =>
+      new BillIngestor(newCache(), {
+        sources: new BillSources({ store, driveClient: new DriveClient(null, drive) }),
+      }).ingest({ concurrency: 2 });
+
+    const bills = await ingest();
+    assert.equal(drive.maxConcurrentDownloads, 2);
+    assert.deepEqual(
+      newCache()
+        .entries()
+        .map((e) => e.fileId)
+        .sort(),
+      gasIds
+    );
+    assert.deepEqual(
+      bills.map((b) => b.date),
+      ['2024-01-01', '2024-01-02', '2024-01-03', '2024-01-04', '2024-01-05']
+    );
+    assert.equal(bills[0].fileLink, `https://drive.google.com/file/d/${gasIds[0]}/view`);
+
+    // The next run reads the changes feed instead of listing folders, and prunes deleted bills
+    drive.remove(gasIds[0]);
+    const listed = drive.calls.length;
+    const again = await ingest();
+    assert.equal(again.length, 4);
+    assert.equal(newCache().entries().length, 4);
+    assert.ok(
+      drive.calls.slice(listed).every((c) => !(c.q || '').includes('in parents')),
+      'no folder was listed'
+    );
+  });
+});
@@ -0,0 +1,58 @@
+import assert from 'node:assert/strict';
+import { afterEach, describe, it, mock } from 'node:test';
+import BillParser from '../BillParser.js';
+import ProviderRegistry from '../ProviderRegistry.js';
+
+const GAS_BILL = [
+  'EVERSOURCE',
+  'Statement Date: 01/08/24',
+  'Total Amount Due $241.37',
+  '= 167 Therms Billed Usage',
+].join('\n');
+
+describe('BillParser', () => {
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  const newParser = () => new BillParser(ProviderRegistry.builtIn());
+
+  it('detects the bill type with the highest signature score', async () => {
+    assert.deepEqual(await newParser().detect(GAS_BILL), { type: 'Eversource', score: 6 });
+  });
+
+  it('detects nothing when no signature matches or the top score is tied', async () => {
+    const parser = newParser();
+    assert.equal(await parser.detect('Water and Sewer Department'), null);
+    // "Sunrun" and "Eversource" are both worth 2
+    assert.equal(await parser.detect('Sunrun customer? Switch to Eversource today'), null);
+  });
+
+  it('parses a misfiled bill as the detected type, with a warning', async () => {
+    const warn = mock.method(console, 'warn', () => {});
+    const record = await newParser().parseText('Sunrun', GAS_BILL);
+    assert.equal(record.type, 'Eversource');
+    assert.equal(record.cost, 241.37);
+    assert.match(
+      warn.mock.calls[0].arguments[0],
+      /looks like Eversource \(score 6\) but came from a Sunrun folder/
+    );
+  });
+
+  it('parses an inbox bill by its content alone', async () => {
+    const warn = mock.method(console, 'warn', () => {});
+    const parser = newParser();
+    assert.equal((await parser.parseText('auto', GAS_BILL)).type, 'Eversource');
+    assert.equal(warn.mock.callCount(), 0);
+    await assert.rejects(
+      parser.parseText('auto', 'Water and Sewer Department'),
+      /Could not detect bill type from content/
+    );
+  });
+
+  it('falls back to the folder type when the content is not recognized', async () => {
+    const record = await newParser().parseText('Eversource', 'Statement Date: 01/08/24');
+    assert.equal(record.type, 'Eversource');
+    assert.equal(record.date, '2024-01-08');
+  });
+});
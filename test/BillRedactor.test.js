@@ -0,0 +1,26 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import BillRedactor from '../BillRedactor.js';
+
+describe('BillRedactor', () => {
+  it('redacts labeled account numbers and service addresses', () => {
+    const text = 'Account Number: 1234-5678-90\nService Address: 12 Elm St, Springfield\n';
+    const result = new BillRedactor().redact(text);
+    assert.equal(result, 'Account Number: [REDACTED]\nService Address: [REDACTED]\n');
+  });
+
+  it('redacts mailing address lines', () => {
+    const text = 'JANE DOE\n42 Maple Avenue Apt 3\nSpringfield, MA 01101\nTotal Amount Due $12.00';
+    const result = new BillRedactor(['Jane Doe']).redact(text);
+    assert.equal(result, '[REDACTED]\n[ADDRESS]\n[CITY, ST ZIP]\nTotal Amount Due $12.00');
+  });
+
+  it('masks long digit runs but keeps amounts, dates and usage', () => {
+    const text = 'Ref 98765-43210 Jan 11, 2024 628 kWh Current Charges + 1,187.42 Meter 18220';
+    const result = new BillRedactor().redact(text);
+    assert.equal(
+      result,
+      'Ref XXXXX-XXXXX Jan 11, 2024 628 kWh Current Charges + 1,187.42 Meter 18220'
+    );
+  });
+});
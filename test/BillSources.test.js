@@ -0,0 +1,57 @@
+import assert from 'node:assert/strict';
+import path from 'node:path';
+import { describe, it } from 'node:test';
+import BillSources from '../BillSources.js';
+import DriveClient from '../DriveClient.js';
+import DriveSource from '../sources/DriveSource.js';
+import LocalSource from '../sources/LocalSource.js';
+import mockDrive from './helpers/mockDrive.js';
+
+describe('BillSources', () => {
+  it('parses local: and drive: specs, defaulting to Drive', () => {
+    assert.deepEqual(BillSources.parseSpec('local:./bills/electric'), {
+      scheme: 'local',
+      location: './bills/electric',
+    });
+    assert.deepEqual(BillSources.parseSpec('drive:House/National Grid Bills'), {
+      scheme: 'drive',
+      location: 'House/National Grid Bills',
+    });
+    // Only the first colon separates the scheme
+    assert.deepEqual(BillSources.parseSpec('drive:House/Bills: 2024'), {
+      scheme: 'drive',
+      location: 'House/Bills: 2024',
+    });
+    assert.deepEqual(BillSources.parseSpec('House/Sunrun Bills'), {
+      scheme: 'drive',
+      location: 'House/Sunrun Bills',
+    });
+  });
+
+  it('creates the source for each scheme', async () => {
+    const driveClient = new DriveClient(null, mockDrive());
+    const sources = new BillSources({ driveClient });
+
+    const local = await sources.get('local:./bills/gas');
+    assert.ok(local instanceof LocalSource);
+    assert.equal(local.dirPath, path.resolve('bills/gas'));
+
+    const drive = await sources.get('drive:House/Sunrun Bills');
+    assert.ok(drive instanceof DriveSource);
+    assert.equal(drive.folderPath, 'House/Sunrun Bills');
+    assert.equal(drive.drive, driveClient);
+
+    await assert.rejects(sources.get('ftp:bills'), /Unknown bill source scheme: ftp/);
+  });
+
+  it('links a listed file to where it can be opened', () => {
+    const file = { id: 'abc123', name: 'jan.pdf' };
+    assert.equal(
+      BillSources.link('drive:House/Bills', file),
+      'https://drive.google.com/file/d/abc123/view'
+    );
+    assert.equal(BillSources.link('local:/home/me/bills', file), 'file:///home/me/bills/jan.pdf');
+    assert.equal(BillSources.link('ftp:bills', file), null);
+    assert.equal(BillSources.link(null, file), null);
+  });
+});
@@ -0,0 +1,181 @@
+import assert from 'node:assert/strict';
+import { afterEach, beforeEach, describe, it, mock } from 'node:test';
+import DashboardServer from '../DashboardServer.js';
+import DataStore from '../DataStore.js';
+import ReportGenerator from '../ReportGenerator.js';
+
+const bills = [
+  {
+    type: 'NationalGrid',
+    date: '2024-06-05',
+    startDate: '2024-05-06',
+    endDate: '2024-06-05',
+    cost: 20,
+    usage: 300,
+    exported: 400,
+    production: 0,
+    credit: 50,
+    diagnostics: { cost: { found: true } },
+  },
+  {
+    type: 'Sunrun',
+    date: '2024-06-01',
+    startDate: '2024-05-01',
+    endDate: '2024-05-31',
+    cost: 95,
+    production: 900,
+  },
+];
+
+describe('DashboardServer', () => {
+  let store;
+  let server;
+  let url;
+
+  beforeEach(async () => {
+    mock.method(console, 'error', () => {});
+    store = await DataStore.open(null);
+    store.setDailyProduction('2024-05-30', 31.5);
+    store.setDailyProduction('2024-05-31', 28);
+    store.setDailyProduction('2024-06-01', 12.25);
+  });
+
+  afterEach(async () => {
+    await server.close();
+    store.close();
+    mock.restoreAll();
+  });
+
+  async function start(sources) {
+    server = new DashboardServer(new ReportGenerator(), store, sources);
+    url = await server.listen(0);
+  }
+
+  async function get(route) {
+    const response = await fetch(`${url}${route}`);
+    return { status: response.status, body: await response.json() };
+  }
+
+  it('serves the live dashboard and the analysis as JSON', async () => {
+    let loads = 0;
+    await start({
+      load: () => {
+        loads++;
+        return { bills: [...bills], quality: [] };
+      },
+    });
+
+    const page = await fetch(`${url}/`);
+    assert.match(page.headers.get('content-type'), /text\/html/);
+    assert.match(await page.text(), /let reportData = null;/);
+
+    const monthly = await get('/api/monthly');
+    assert.deepEqual(
+      monthly.body.map((m) => m.month),
+      ['2024-05', '2024-06']
+    );
+    const billing = await get('/api/monthly?view=billing');
+    assert.equal(billing.body.at(-1).ngEndDate, '2024-06-05');
+
+    const daily = await get('/api/daily?from=2024-05-31&to=2024-06-01');
+    assert.deepEqual(daily.body, [
+      { date: '2024-05-31', production: 28 },
+      { date: '2024-06-01', production: 12.25 },
+    ]);
+
+    const listed = await get('/api/bills');
+    assert.deepEqual(
+      listed.body.map((b) => b.type),
+      ['Sunrun', 'NationalGrid']
+    );
+    assert.equal(listed.body[1].diagnostics, undefined);
+
+    const { body: report } = await get('/api/report');
+    assert.deepEqual(report.daily, { '2024-05-30': 31.5, '2024-05-31': 28, '2024-06-01': 12.25 });
+    assert.equal((await get('/api/status')).body.bills, 2);
+    // The analysis is kept between requests
+    assert.equal(loads, 1);
+  });
+
+  it('rejects bad parameters and unknown routes', async () => {
+    await start({ load: () => ({ bills, quality: [] }) });
+
+    assert.deepEqual(await get('/api/daily?from=June'), {
+      status: 400,
+      body: { error: 'from and to must be YYYY-MM-DD, got "June"' },
+    });
+    assert.equal((await get('/api/monthly?view=weekly')).status, 400);
+    assert.equal((await get('/api/nope')).status, 404);
+    assert.equal((await fetch(`${url}/api/refresh`, { method: 'POST' })).status, 501);
+  });
+
+  it('lists bills without a date first instead of failing', async () => {
+    const partial = { type: 'NationalGrid', date: null, cost: 0 };
+    await start({ load: () => ({ bills: [...bills, partial], quality: [] }) });
+
+    const { status, body } = await get('/api/bills');
+    assert.equal(status, 200);
+    assert.deepEqual(
+      body.map((b) => b.date),
+      [null, '2024-06-01', '2024-06-05']
+    );
+  });
+
+  it('only refreshes for the dashboard itself', async () => {
+    let refreshes = 0;
+    await start({
+      load: () => ({ bills, quality: [] }),
+      refresh: async () => {
+        refreshes++;
+        return { bills, quality: [] };
+      },
+    });
+    const refresh = (origin) =>
+      fetch(`${url}/api/refresh`, { method: 'POST', headers: { Origin: origin } });
+
+    const rejected = await refresh('http://evil.example');
+    assert.equal(rejected.status, 403);
+    assert.deepEqual(await rejected.json(), {
+      error: 'Refreshing is not allowed from http://evil.example',
+    });
+    assert.equal(refreshes, 0);
+
+    assert.equal((await refresh(url)).status, 200);
+    assert.equal(refreshes, 1);
+  });
+
+  it('shares one refresh between concurrent requests and reloads the analysis', async () => {
+    let refreshes = 0;
+    let fail = false;
+    await start({
+      load: () => ({ bills: bills.slice(1), quality: [] }),
+      refresh: async () => {
+        refreshes++;
+        await new Promise((resolve) => setTimeout(resolve, 20));
+        if (fail) {
+          throw new Error('Sunrun is down');
+        }
+        return { bills, quality: [] };
+      },
+    });
+    const before = (await get('/api/status')).body;
+    assert.equal(before.bills, 1);
+
+    const responses = await Promise.all(
+      [1, 2].map(() => fetch(`${url}/api/refresh`, { method: 'POST' }).then((r) => r.json()))
+    );
+    assert.equal(refreshes, 1);
+    assert.equal(responses[0].bills, 2);
+    assert.equal(responses[0].refreshing, false);
+    assert.notEqual(responses[0].updatedAt, before.updatedAt);
+    assert.equal((await get('/api/monthly')).body.length, 2);
+
+    fail = true;
+    const failed = await fetch(`${url}/api/refresh`, { method: 'POST' });
+    assert.equal(failed.status, 500);
+    assert.deepEqual(await failed.json(), { error: 'Sunrun is down' });
+    const after = (await get('/api/status')).body;
+    assert.equal(after.lastRefresh.error, 'Sunrun is down');
+    assert.equal(after.bills, 2);
+  });
+});
@@ -0,0 +1,145 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { afterEach, beforeEach, describe, it } from 'node:test';
+import ExcelJS from 'exceljs';
+import DataExporter from '../DataExporter.js';
+import DataStore from '../DataStore.js';
+
+const bills = [
+  {
+    type: 'NationalGrid',
+    date: '2024-02-09',
+    cost: 80.5,
+    usage: 600,
+    diagnostics: { cost: { found: true } },
+  },
+  { type: 'Eversource', date: '2024-01-20', cost: 150, therms: 100 },
+  { type: 'Sunrun', date: '2023-12-15', cost: 95, production: 300 },
+];
+
+const monthly = [
+  { month: '2023-12', totalCost: 95, note: null },
+  { month: '2024-01', totalCost: 150, note: 'heat, "aux" on' },
+  { month: '2024-02', totalCost: 80.5, note: null },
+];
+
+describe('DataExporter', () => {
+  let dir;
+  let store;
+
+  beforeEach(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'export-'));
+    store = await DataStore.open(null);
+    store.setDailyProduction('2023-12-31', 5);
+    store.setDailyProduction('2024-01-01', 6.5);
+  });
+
+  afterEach(() => {
+    store.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('filters every dataset by date range and utility', () => {
+    const exporter = new DataExporter();
+
+    const data = exporter.collect(
+      { bills, monthly, store },
+      { since: '2024-01-01', until: '2024-01-31' }
+    );
+    assert.deepEqual(data.bills, [
+      { type: 'Eversource', date: '2024-01-20', cost: 150, therms: 100 },
+    ]);
+    assert.deepEqual(data.daily, [{ date: '2024-01-01', production: 6.5 }]);
+    assert.deepEqual(
+      data.monthly.map((m) => m.month),
+      ['2024-01']
+    );
+
+    const gasOnly = exporter.collect({ bills, monthly, store }, { type: 'Eversource' });
+    assert.equal(gasOnly.bills.length, 1);
+    assert.deepEqual(gasOnly.daily, []);
+  });
+
+  it('exports bills without a date instead of failing', () => {
+    const partial = { type: 'NationalGrid', date: null, cost: 0 };
+    const exporter = new DataExporter();
+
+    const data = exporter.collect({ bills: [...bills, partial], monthly, store });
+    assert.deepEqual(
+      data.bills.map((b) => b.date),
+      [null, '2023-12-15', '2024-01-20', '2024-02-09']
+    );
+    // A date range can't place it, so it is left out
+    const ranged = exporter.collect({ bills: [partial], monthly, store }, { since: '2024-01-01' });
+    assert.deepEqual(ranged.bills, []);
+  });
+
+  it('writes one CSV per dataset', async () => {
+    const exporter = new DataExporter();
+    const data = exporter.collect({ bills, monthly, store });
+
+    const written = await exporter.write(data, path.join(dir, 'energy.csv'), 'csv');
+
+    assert.deepEqual(
+      written.map((p) => path.basename(p)),
+      ['energy-bills.csv', 'energy-daily.csv', 'energy-monthly.csv']
+    );
+    assert.equal(
+      fs.readFileSync(written[0], 'utf8'),
+      [
+        'type,date,startDate,endDate,cost,production,therms,usage',
+        'Sunrun,2023-12-15,,,95,300,,',
+        'Eversource,2024-01-20,,,150,,100,',
+        'NationalGrid,2024-02-09,,,80.5,,,600',
+        '',
+      ].join('\n')
+    );
+    assert.match(fs.readFileSync(written[2], 'utf8'), /^2024-01,150,"heat, ""aux"" on"$/m);
+  });
+
+  it('writes a workbook with a sheet per dataset', async () => {
+    const exporter = new DataExporter();
+    const outPath = path.join(dir, 'energy.xlsx');
+
+    const traced = [
+      ...monthly.slice(0, 2),
+      {
+        ...monthly[2],
+        sources: [{ fileId: 'file-1', fileName: 'February.pdf', type: 'NationalGrid' }],
+        dailyCoverage: { from: '2024-02-01', to: '2024-02-29', days: 29, covered: 28 },
+      },
+    ];
+
+    await exporter.write(exporter.collect({ bills, monthly: traced, store }), outPath, 'xlsx');
+
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.readFile(outPath);
+    assert.deepEqual(
+      workbook.worksheets.map((s) => s.name),
+      ['Bills', 'Daily Production', 'Monthly Analysis']
+    );
+    const daily = workbook.getWorksheet('Daily Production');
+    assert.deepEqual(daily.getRow(1).values.slice(1), ['date', 'production']);
+    assert.deepEqual(daily.getRow(3).values.slice(1), ['2024-01-01', 6.5]);
+    // Each month's bills and daily coverage fit in one cell
+    const months = workbook.getWorksheet('Monthly Analysis');
+    assert.deepEqual(months.getRow(1).values.slice(1), [
+      'month',
+      'totalCost',
+      'note',
+      'sources',
+      'dailyCoverage',
+    ]);
+    assert.equal(months.getCell('D4').value, 'February.pdf');
+    assert.equal(months.getCell('E4').value, '28/29 days');
+  });
+
+  it('picks the format from the option or the file extension', () => {
+    assert.equal(DataExporter.resolveFormat(null, 'out/energy.XLSX'), 'xlsx');
+    assert.equal(DataExporter.resolveFormat('csv', 'energy.json'), 'csv');
+    assert.equal(DataExporter.resolveFormat(null, null), 'json');
+    assert.throws(() => DataExporter.resolveFormat('pdf', null), /Export format must be one of/);
+  });
+});
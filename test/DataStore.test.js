@@ -0,0 +1,192 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { afterEach, beforeEach, describe, it } from 'node:test';
+import DataStore from '../DataStore.js';
+
+describe('DataStore', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'store-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('persists to disk and reopens', async () => {
+    const dbFile = path.join(dir, 'energy.db');
+    const store = await DataStore.open(dbFile);
+    store.setDailyProduction('2024-06-01', 30.5);
+    store.save();
+    store.close();
+
+    const reopened = await DataStore.open(dbFile);
+    assert.deepEqual(reopened.getDailyProduction(), [{ date: '2024-06-01', production: 30.5 }]);
+    reopened.close();
+  });
+
+  it('queries daily production by date range', async () => {
+    const store = await DataStore.open(null);
+    store.setDailyProduction('2024-05-31', 10);
+    store.setDailyProduction('2024-06-01', 20);
+    store.setDailyProduction('2024-06-30', 30);
+    store.setDailyProduction('2024-07-01', 40);
+
+    assert.equal(store.sumDailyProduction('2024-06-01', '2024-06-31'), 50);
+    assert.equal(store.sumDailyProduction('2025-01-01', '2025-01-31'), 0);
+    assert.equal(store.countDailyProduction('2024-06-01', '2024-06-31'), 2);
+    assert.deepEqual(store.getDailyProductionStats(), {
+      first: '2024-05-31',
+      last: '2024-07-01',
+      count: 4,
+      total: 100,
+    });
+    store.close();
+  });
+
+  it('averages interval readings into hourly profiles per month', async () => {
+    const store = await DataStore.open(null);
+    const reading = (date, time, production) => ({
+      timestamp: `${date}T${time}:00.000Z`,
+      date,
+      time,
+      production,
+    });
+    store.setIntervalProduction([
+      reading('2024-06-01', '12:00', 1),
+      reading('2024-06-01', '12:15', 1),
+      reading('2024-06-01', '13:00', 2),
+      // A second June day with nothing at 13:00 still counts toward the average
+      reading('2024-06-02', '12:30', 2),
+      reading('2024-07-01', '12:00', 3),
+    ]);
+
+    assert.deepEqual(store.getIntervalDays('2024-06-01', '2024-06-30'), [
+      '2024-06-01',
+      '2024-06-02',
+    ]);
+    assert.deepEqual(store.getHourlyProfiles(), [
+      { month: '2024-06', hour: 12, production: 2 },
+      { month: '2024-06', hour: 13, production: 1 },
+      { month: '2024-07', hour: 12, production: 3 },
+    ]);
+    assert.deepEqual(store.getIntervalStats(), {
+      first: '2024-06-01',
+      last: '2024-07-01',
+      days: 3,
+      count: 5,
+    });
+    store.close();
+  });
+
+  it('filters bills by type and date', async () => {
+    const store = await DataStore.open(null);
+    const meta = { parser: 'x', parserVersion: 'v', schemaVersion: 2 };
+    store.putBill('a', { type: 'Sunrun', date: '2024-01-10', cost: 1 }, meta);
+    store.putBill('b', { type: 'Sunrun', date: '2024-03-10', cost: 2 }, meta);
+    store.putBill('c', { type: 'Eversource', date: '2024-02-10', cost: 3 }, meta);
+
+    const ids = (filters) => store.listBills(filters).map((b) => b.fileId);
+    assert.deepEqual(ids(), ['a', 'c', 'b']);
+    assert.deepEqual(ids({ type: 'Sunrun', since: '2024-02-01' }), ['b']);
+    assert.deepEqual(ids({ until: '2024-02-10' }), ['a', 'c']);
+    store.close();
+  });
+
+  it('imports the legacy JSON caches once', async () => {
+    const billCache = path.join(dir, 'bills.json');
+    const dailyCache = path.join(dir, 'daily.json');
+    fs.writeFileSync(
+      billCache,
+      JSON.stringify({
+        old: { type: 'Eversource', date: '2023-01-05', therms: 100, cost: 150 },
+        new: {
+          schemaVersion: 2,
+          parser: 'Sunrun',
+          parserVersion: 'abc',
+          fileName: 'sunrun.pdf',
+          record: { type: 'Sunrun', date: '2023-01-14', production: 200, cost: 100 },
+        },
+      })
+    );
+    fs.writeFileSync(dailyCache, JSON.stringify({ '2023-01-01': 5, '2023-01-02': 6 }));
+
+    const store = await DataStore.open(null);
+    assert.deepEqual(store.importLegacyCaches({ billCache, dailyCache }), { bills: 2, days: 2 });
+    assert.equal(store.importLegacyCaches({ billCache, dailyCache }), null);
+
+    assert.equal(store.getBill('old').schemaVersion, 1);
+    assert.equal(store.getBill('new').fileName, 'sunrun.pdf');
+    assert.equal(store.getBill('new').parserVersion, 'abc');
+    assert.equal(store.sumDailyProduction('2023-01-01', '2023-01-31'), 11);
+    store.close();
+  });
+
+  it('skips a legacy cache that cannot be parsed', async (t) => {
+    const warn = t.mock.method(console, 'warn', () => {});
+    const billCache = path.join(dir, 'bills.json');
+    const dailyCache = path.join(dir, 'daily.json');
+    fs.writeFileSync(billCache, '{"old": {"type": "Eversource", "da');
+    fs.writeFileSync(dailyCache, JSON.stringify({ '2023-01-01': 5 }));
+
+    const store = await DataStore.open(null);
+    assert.deepEqual(store.importLegacyCaches({ billCache, dailyCache }), { bills: 0, days: 1 });
+    assert.equal(warn.mock.callCount(), 1);
+    assert.match(warn.mock.calls[0].arguments[0], /bills\.json/);
+    assert.equal(store.importLegacyCaches({ billCache, dailyCache }), null);
+    store.close();
+  });
+
+  it('rolls back a failed write so the next one still works', async () => {
+    const store = await DataStore.open(null);
+    assert.throws(() =>
+      store.setWeather([
+        { date: '2024-01-01', tavg: 30, hdd: 35, cdd: 0 },
+        { date: '2024-01-02', tavg: 31, hdd: null, cdd: 0 },
+      ])
+    );
+    assert.equal(store.sumDegreeDays('2024-01-01', '2024-01-31').days, 0);
+
+    store.setWeather([{ date: '2024-01-01', tavg: 30, hdd: 35, cdd: 0 }]);
+    assert.equal(store.sumDegreeDays('2024-01-01', '2024-01-31').days, 1);
+    store.close();
+  });
+
+  it('returns the latest monthly analysis snapshot', async () => {
+    const store = await DataStore.open(null);
+    store.saveMonthlyAnalysis([{ month: '2024-01', totalCost: 1 }], '2024-02-01T00:00:00Z');
+    store.saveMonthlyAnalysis(
+      [
+        { month: '2024-01', totalCost: 2 },
+        { month: '2024-02', totalCost: 3 },
+      ],
+      '2024-03-01T00:00:00Z'
+    );
+    assert.deepEqual(store.getLatestMonthlyAnalysis({ from: '2024-02' }), [
+      { month: '2024-02', totalCost: 3 },
+    ]);
+    store.close();
+  });
+
+  it('keeps one analysis snapshot per day, for a limited number of days', async () => {
+    const store = await DataStore.open(null);
+    const snapshots = () =>
+      store.query('SELECT DISTINCT snapshot_at FROM monthly_analysis ORDER BY snapshot_at');
+    store.saveMonthlyAnalysis([{ month: '2024-01', totalCost: 1 }], '2024-02-01T08:00:00Z');
+    store.saveMonthlyAnalysis([{ month: '2024-01', totalCost: 2 }], '2024-02-01T20:00:00Z');
+    assert.deepEqual(snapshots(), [{ snapshot_at: '2024-02-01T20:00:00Z' }]);
+
+    for (let day = 0; day < 100; day++) {
+      const date = new Date(Date.UTC(2024, 2, 1 + day)).toISOString();
+      store.saveMonthlyAnalysis([{ month: '2024-01', totalCost: day }], date);
+    }
+    const kept = snapshots();
+    assert.equal(kept.length, 90);
+    assert.equal(kept[0].snapshot_at, '2024-03-11T00:00:00.000Z');
+    assert.deepEqual(store.getLatestMonthlyAnalysis(), [{ month: '2024-01', totalCost: 99 }]);
+    store.close();
+  });
+});
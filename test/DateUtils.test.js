@@ -0,0 +1,44 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import DateUtils from '../DateUtils.js';
+
+describe('DateUtils', () => {
+  it('uses the New York offset in effect at local midnight', () => {
+    assert.equal(DateUtils.utcOffset('2024-01-15'), '-05:00');
+    assert.equal(DateUtils.utcOffset('2024-07-01'), '-04:00');
+    // DST starts at 2am on 2024-03-10 and ends at 2am on 2024-11-03
+    assert.equal(DateUtils.utcOffset('2024-03-10'), '-05:00');
+    assert.equal(DateUtils.utcOffset('2024-03-11'), '-04:00');
+    assert.equal(DateUtils.utcOffset('2024-11-03'), '-04:00');
+    assert.equal(DateUtils.utcOffset('2024-11-04'), '-05:00');
+    assert.equal(DateUtils.localMidnight('2024-06-01', 'UTC'), '2024-06-01T00:00:00.000+00:00');
+  });
+
+  it('does calendar arithmetic without drifting across DST', () => {
+    assert.equal(DateUtils.addDays('2024-03-09', 2), '2024-03-11');
+    assert.equal(DateUtils.addDays('2024-03-01', -1), '2024-02-29');
+    assert.equal(DateUtils.daysBetween('2024-11-01', '2024-11-05'), 4);
+    assert.equal(DateUtils.addMonths('2024-11', 3), '2025-02');
+    assert.equal(DateUtils.addMonths('2024-01', -1), '2023-12');
+    assert.deepEqual(DateUtils.eachDay('2024-12-30', '2025-01-01'), [
+      '2024-12-30',
+      '2024-12-31',
+      '2025-01-01',
+    ]);
+  });
+
+  it('maps timestamps to the local date', () => {
+    assert.equal(DateUtils.toLocalDate('2024-01-15T03:00:00Z'), '2024-01-14');
+    assert.equal(DateUtils.toLocalDate('2024-01-15T00:00:00.000-05:00'), '2024-01-15');
+    assert.equal(DateUtils.toLocalDate('2024-01-15T00:00:00'), '2024-01-15');
+    assert.equal(DateUtils.toLocalDate(undefined), null);
+  });
+
+  it('converts local times to UTC, taking the first of a repeated hour', () => {
+    assert.equal(DateUtils.toUtc('2024-01-15', '08:30'), '2024-01-15T13:30:00.000Z');
+    assert.equal(DateUtils.toUtc('2024-03-10', '03:00'), '2024-03-10T07:00:00.000Z');
+    assert.equal(DateUtils.toUtc('2024-11-03', '01:30'), '2024-11-03T05:30:00.000Z');
+    assert.equal(DateUtils.toUtc('2024-11-03', '02:00'), '2024-11-03T07:00:00.000Z');
+    assert.equal(DateUtils.toUtc('2024-06-01', '00:00', 'UTC'), '2024-06-01T00:00:00.000Z');
+  });
+});
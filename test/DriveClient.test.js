@@ -0,0 +1,69 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import DriveClient from '../DriveClient.js';
+import mockDrive from './helpers/mockDrive.js';
+
+describe('DriveClient', () => {
+  it('resolves a folder path with one query and pages through its files', async () => {
+    const drive = mockDrive({ pageSize: 2 });
+    const house = drive.addFolder('House');
+    const bills = drive.addFolder("Bob's Bills", house);
+    // Same name, different path
+    drive.addFolder("Bob's Bills");
+    const ids = ['a.pdf', 'b.pdf', 'c.pdf'].map((name) => drive.addFile(name, bills));
+
+    const client = new DriveClient(null, drive);
+    assert.equal(await client.findFolderId("House/Bob's Bills"), bills);
+    // One query for every part of the path, in two pages
+    assert.equal(drive.calls.filter((c) => c.method === 'files.list').length, 2);
+
+    const files = await client.listFolder(bills);
+    assert.deepEqual(
+      files.map((f) => f.id),
+      ids
+    );
+    assert.equal(await client.findFolderId('House/Other'), null);
+  });
+
+  it('rejects a path that more than one folder has', async () => {
+    const drive = mockDrive();
+    const house = drive.addFolder('House');
+    drive.addFolder('Bills', house);
+    drive.addFolder('Bills', house);
+    // Two folders called House, but only one holds a Gas folder
+    const otherHouse = drive.addFolder('House');
+    const gas = drive.addFolder('Gas', otherHouse);
+
+    const client = new DriveClient(null, drive);
+    await assert.rejects(
+      client.findFolderId('House/Bills'),
+      /Drive folder path "House\/Bills" is ambiguous: 2 folders match/
+    );
+    assert.equal(await client.findFolderId('House/Gas'), gas);
+  });
+
+  it('reads the changes feed once per start token', async () => {
+    const drive = mockDrive({ pageSize: 2 });
+    const client = new DriveClient(null, drive);
+    const folder = drive.addFolder('Bills');
+    const token = await client.getStartPageToken();
+
+    const file = drive.addFile('new.pdf', folder);
+    drive.update(file, { name: 'renamed.pdf' });
+    drive.remove(drive.addFile('gone.pdf', folder));
+
+    const first = await client.listChanges(token);
+    assert.deepEqual(
+      first.changes.map((c) => [c.fileId, c.removed]),
+      [
+        [file, false],
+        [file, false],
+        ['file-3', false],
+        ['file-3', true],
+      ]
+    );
+    assert.equal(first.startPageToken, await client.getStartPageToken());
+    assert.equal(await client.listChanges(token), first);
+    assert.equal(drive.calls.filter((c) => c.method === 'changes.list').length, 2);
+  });
+});
@@ -0,0 +1,103 @@
+import assert from 'node:assert/strict';
+import { afterEach, beforeEach, describe, it, mock } from 'node:test';
+import DataStore from '../DataStore.js';
+import DriveClient from '../DriveClient.js';
+import DriveSource from '../sources/DriveSource.js';
+import mockDrive from './helpers/mockDrive.js';
+
+describe('DriveSource', () => {
+  let store;
+
+  beforeEach(async () => {
+    mock.method(console, 'log', () => {});
+    store = await DataStore.open(null);
+  });
+
+  afterEach(() => {
+    store.close();
+    mock.restoreAll();
+  });
+
+  const listings = (drive) =>
+    drive.calls.filter((c) => c.method === 'files.list' && c.q.includes('in parents')).length;
+
+  it('lists the folder once, then only reads the changes since', async () => {
+    const drive = mockDrive();
+    const house = drive.addFolder('House');
+    const bills = drive.addFolder('Bills', house);
+    const elsewhere = drive.addFolder('Elsewhere', house);
+    const kept = drive.addFile('kept.pdf', bills);
+    const trashed = drive.addFile('trashed.pdf', bills);
+    const moved = drive.addFile('moved.pdf', bills);
+    const deleted = drive.addFile('deleted.pdf', bills);
+
+    const source = () => new DriveSource('House/Bills', new DriveClient(null, drive), { store });
+    assert.equal((await source().listFiles()).length, 4);
+    assert.equal(listings(drive), 1);
+
+    drive.update(trashed, { trashed: true });
+    drive.update(moved, { parents: [elsewhere] });
+    drive.remove(deleted);
+    drive.update(kept, { name: 'renamed.pdf' });
+    const added = drive.addFile('added.pdf', bills);
+    drive.addFile('unrelated.pdf', elsewhere);
+
+    const files = await source().listFiles();
+    assert.deepEqual(
+      files.map((f) => [f.id, f.name]),
+      [
+        [kept, 'renamed.pdf'],
+        [added, 'added.pdf'],
+      ]
+    );
+    assert.equal(listings(drive), 1);
+
+    // Nothing changed since: the same listing, from an empty feed
+    assert.deepEqual(await source().listFiles(), files);
+    assert.equal(listings(drive), 1);
+  });
+
+  it('lists the folder again when another folder takes its path', async () => {
+    const drive = mockDrive();
+    const old = drive.addFolder('Bills');
+    drive.addFile('old.pdf', old);
+    const source = () => new DriveSource('Bills', new DriveClient(null, drive), { store });
+    await source().listFiles();
+
+    drive.update(old, { trashed: true });
+    const replacement = drive.addFolder('Bills');
+    const file = drive.addFile('new.pdf', replacement);
+
+    assert.deepEqual(
+      (await source().listFiles()).map((f) => f.id),
+      [file]
+    );
+    assert.equal(listings(drive), 2);
+  });
+
+  it('lists the folder again when Drive rejects the saved page token', async () => {
+    mock.method(console, 'error', () => {});
+    const drive = mockDrive();
+    const bills = drive.addFolder('Bills');
+    drive.addFile('old.pdf', bills);
+    const client = new DriveClient(null, drive);
+    const source = () => new DriveSource('Bills', client, { store });
+    await source().listFiles();
+    const { pageToken } = JSON.parse(store.getMeta('drive_listing:Bills'));
+
+    drive.expireChanges();
+    drive.addFile('new.pdf', bills);
+    assert.equal((await source().listFiles()).length, 2);
+    assert.equal(listings(drive), 2);
+
+    // The fresh token is used from then on
+    assert.equal((await source().listFiles()).length, 2);
+    assert.equal(listings(drive), 2);
+
+    // The rejected read isn't cached for the rest of the run
+    await assert.rejects(client.listChanges(pageToken), /Invalid Value/);
+    const reads = drive.calls.filter((c) => c.pageToken === pageToken).length;
+    await assert.rejects(client.listChanges(pageToken), /Invalid Value/);
+    assert.equal(drive.calls.filter((c) => c.pageToken === pageToken).length, reads + 1);
+  });
+});
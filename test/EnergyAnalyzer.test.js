@@ -0,0 +1,327 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import EnergyAnalyzer from '../EnergyAnalyzer.js';
+import ProviderRegistry from '../ProviderRegistry.js';
+
+const ngBill = (startDate, endDate, fields = {}) => ({
+  type: 'NationalGrid',
+  date: endDate,
+  startDate,
+  endDate,
+  usage: 0,
+  exported: 0,
+  production: 0,
+  cost: 0,
+  credit: 0,
+  ...fields,
+});
+
+const byMonth = (rows) => Object.fromEntries(rows.map((row) => [row.month, row]));
+
+describe('EnergyAnalyzer', () => {
+  it('spreads a bill across calendar months by days of service', () => {
+    const analyzer = new EnergyAnalyzer();
+    // 10 days in January, 20 in February
+    analyzer.addBill(ngBill('2024-01-22', '2024-02-20', { usage: 300, cost: 90 }));
+
+    const months = byMonth(analyzer.getMonthlyAnalysis());
+    assert.deepEqual(Object.keys(months), ['2024-01', '2024-02']);
+    assert.equal(months['2024-01'].ngUsage, 100);
+    assert.equal(months['2024-01'].ngCost, 30);
+    assert.equal(months['2024-02'].ngUsage, 200);
+    assert.equal(months['2024-02'].ngCost, 60);
+  });
+
+  it('lists the bills behind each month with their files and shares', () => {
+    const analyzer = new EnergyAnalyzer();
+    analyzer.addBill({
+      ...ngBill('2024-05-17', '2024-06-15', { usage: 300, cost: 90 }),
+      fileId: 'file-1',
+      fileName: 'June 2024.pdf',
+      fileLink: 'https://drive.google.com/file/d/file-1/view',
+    });
+
+    const months = byMonth(analyzer.getMonthlyAnalysis());
+    assert.equal(months['2024-05'].ngUsage, 150);
+    assert.deepEqual(months['2024-05'].sources, [
+      {
+        fileId: 'file-1',
+        fileName: 'June 2024.pdf',
+        fileLink: 'https://drive.google.com/file/d/file-1/view',
+        type: 'NationalGrid',
+        date: '2024-06-15',
+        start: '2024-05-17',
+        end: '2024-06-15',
+        share: 0.5,
+        fields: { cost: 90, usage: 300, exported: 0, production: 0 },
+      },
+    ]);
+    assert.equal(months['2024-06'].sources[0].share, 0.5);
+    // Without a daily production source there is no coverage to report
+    assert.equal(months['2024-06'].dailyCoverage, null);
+  });
+
+  it("totals every provider's cost fields by commodity", () => {
+    const registry = new ProviderRegistry({
+      providers: [
+        { type: 'NationalGrid', source: 'local:./electric' },
+        {
+          type: 'Propane',
+          commodity: 'gas',
+          parser: './PropaneParser.js',
+          source: 'local:./propane',
+          fields: { cost: 'propaneCost', gallons: 'propaneGallons' },
+        },
+      ],
+    });
+    const analyzer = new EnergyAnalyzer(registry);
+    analyzer.addBill(ngBill('2024-03-01', '2024-03-31', { cost: 90 }));
+    analyzer.addBill({
+      type: 'Propane',
+      date: '2024-03-31',
+      startDate: '2024-03-01',
+      endDate: '2024-03-31',
+      cost: 120,
+      gallons: 40,
+    });
+
+    const [march] = analyzer.getMonthlyAnalysis();
+    assert.equal(march.propaneGallons, 40);
+    assert.deepEqual(
+      [march.electricSpend, march.solarSpend, march.gasSpend, march.waterSpend],
+      [90, 0, 120, 0]
+    );
+    assert.equal(march.totalCost, 90);
+    assert.equal(march.totalEnergyCost, 210);
+  });
+
+  it('counts a shared meter read day only once', () => {
+    const analyzer = new EnergyAnalyzer();
+    analyzer.addBill(ngBill('2024-01-01', '2024-01-31', { usage: 310 }));
+    // Starts on the previous bill's read day, so it covers Feb 1 - Feb 29
+    analyzer.addBill(ngBill('2024-01-31', '2024-02-29', { usage: 290 }));
+
+    const [first, second] = analyzer.getServicePeriods();
+    assert.deepEqual([first.start, first.end, first.days], ['2024-01-01', '2024-01-31', 31]);
+    assert.deepEqual([second.start, second.end, second.days], ['2024-02-01', '2024-02-29', 29]);
+
+    const months = byMonth(analyzer.getMonthlyAnalysis());
+    assert.equal(months['2024-01'].ngUsage, 310);
+    assert.equal(months['2024-02'].ngUsage, 290);
+  });
+
+  it('infers service periods from the previous bill when none is printed', () => {
+    const analyzer = new EnergyAnalyzer();
+    analyzer.addBill({ type: 'Eversource', date: '2024-01-08', therms: 30, cost: 60 });
+    analyzer.addBill({ type: 'Eversource', date: '2024-02-07', therms: 150, cost: 300 });
+
+    const periods = analyzer.getServicePeriods();
+    // The first bill has nothing before it, so it gets the default 30 days
+    assert.deepEqual(
+      periods.map((p) => [p.start, p.end]),
+      [
+        ['2023-12-10', '2024-01-08'],
+        ['2024-01-09', '2024-02-07'],
+      ]
+    );
+
+    const months = byMonth(analyzer.getMonthlyAnalysis());
+    assert.equal(months['2023-12'].gasTherms, 22);
+    assert.equal(months['2024-01'].gasTherms, 8 + 115);
+    assert.equal(months['2024-02'].gasTherms, 35);
+  });
+
+  it('uses the latest stated credit balance rather than the last bill added', () => {
+    const analyzer = new EnergyAnalyzer();
+    const credit = (amount) => ({
+      credit: amount,
+      diagnostics: { credit: { found: true, optional: true } },
+    });
+    analyzer.addBill(
+      ngBill('2024-06-21', '2024-07-20', { ...credit(450), deliveryRate: 0.12, supplyRate: 0.16 })
+    );
+    analyzer.addBill(ngBill('2024-06-01', '2024-06-20', credit(400)));
+    // The balance was used up: a stated 0 still counts
+    analyzer.addBill(ngBill('2024-07-21', '2024-08-20', credit(0)));
+
+    const months = byMonth(analyzer.getMonthlyAnalysis());
+    assert.equal(months['2024-06'].ngCredit, 400);
+    assert.equal(months['2024-07'].ngCredit, 450);
+    assert.equal(months['2024-08'].ngCredit, 0);
+    // Rates come from the bill ending in the month, like the credit
+    assert.equal(months['2024-07'].ngDeliveryRate, 0.12);
+    assert.equal(months['2024-07'].ngSupplyRate, 0.16);
+    assert.equal(months['2024-06'].ngDeliveryRate, null);
+  });
+
+  it('groups by National Grid billing cycle in the billing view', () => {
+    const analyzer = new EnergyAnalyzer();
+    analyzer.addBill(ngBill('2024-01-11', '2024-02-09', { usage: 600 }));
+    analyzer.addBill(ngBill('2024-02-09', '2024-03-11', { usage: 450 }));
+    // Gas read on a different cycle: 21 of its 30 days fall in the first NG cycle, 9 in the second
+    analyzer.addBill({
+      type: 'Eversource',
+      date: '2024-02-21',
+      startDate: '2024-01-20',
+      endDate: '2024-02-18',
+      therms: 150,
+      cost: 300,
+    });
+    const firstCycle = (from, to) => from === '2024-01-10' && to === '2024-02-08';
+    analyzer.setDailySolarData({
+      sumDailyProduction: (from, to) => (firstCycle(from, to) ? 400 : 0),
+      countDailyProduction: (from, to) => (firstCycle(from, to) ? 27 : 0),
+    });
+
+    const cycles = analyzer.getMonthlyAnalysis({ view: 'billing' });
+    assert.deepEqual(
+      cycles.map((c) => [c.month, c.periodStart, c.periodEnd, c.ngUsage, c.gasTherms]),
+      [
+        ['2024-02', '2024-01-11', '2024-02-09', 600, 105],
+        ['2024-03', '2024-02-10', '2024-03-11', 450, 45],
+      ]
+    );
+    // Daily production is summed over the cycle, shifted a day to match the meter
+    assert.equal(cycles[0].billingPeriodProd, 400);
+    assert.deepEqual(cycles[0].dailyCoverage, {
+      from: '2024-01-10',
+      to: '2024-02-08',
+      days: 30,
+      covered: 27,
+    });
+
+    assert.throws(() => analyzer.getMonthlyAnalysis({ view: 'weekly' }), /Unknown view/);
+  });
+
+  it('only counts daily production on the days electric bills cover in edge months', () => {
+    const analyzer = new EnergyAnalyzer();
+    analyzer.addBill(ngBill('2024-01-22', '2024-02-20', { usage: 300 }));
+    analyzer.addBill(ngBill('2024-02-21', '2024-03-20', { usage: 290 }));
+    // A gas bill reaching past the last electric bill
+    analyzer.addBill({
+      type: 'Eversource',
+      date: '2024-04-05',
+      startDate: '2024-03-06',
+      endDate: '2024-04-04',
+      therms: 60,
+      cost: 90,
+    });
+    const days = (from, to) => Math.round((new Date(to) - new Date(from)) / 86400000) + 1;
+    analyzer.setDailySolarData({
+      sumDailyProduction: (from, to) => days(from, to) * 10,
+      countDailyProduction: days,
+    });
+
+    assert.deepEqual(
+      analyzer
+        .getMonthlyAnalysis()
+        .map((m) => [m.month, m.dailyCoverage.from, m.dailyCoverage.to, m.billingPeriodProd]),
+      [
+        ['2024-01', '2024-01-22', '2024-01-31', 100],
+        ['2024-02', '2024-02-01', '2024-02-29', 290],
+        ['2024-03', '2024-03-01', '2024-03-20', 200],
+        // No electric bill to line up with
+        ['2024-04', '2024-04-01', '2024-04-30', 300],
+      ]
+    );
+  });
+
+  it('adds degree days and usage per HDD when weather covers the month', () => {
+    const analyzer = new EnergyAnalyzer();
+    analyzer.addBill({
+      type: 'Eversource',
+      date: '2024-01-31',
+      startDate: '2024-01-01',
+      endDate: '2024-01-31',
+      therms: 155,
+      cost: 0,
+    });
+    analyzer.addBill({
+      type: 'Eversource',
+      date: '2024-02-29',
+      startDate: '2024-02-01',
+      endDate: '2024-02-29',
+      therms: 100,
+      cost: 0,
+    });
+    analyzer.setWeatherData({
+      // January has 30 of 31 days (scaled up), February only 10
+      sumDegreeDays: (from) =>
+        from === '2024-01-01' ? { hdd: 900, cdd: 0, days: 30 } : { hdd: 300, cdd: 0, days: 10 },
+    });
+
+    const [jan, feb] = analyzer.getMonthlyAnalysis();
+    assert.equal(jan.hdd, 930);
+    assert.equal(jan.thermsPerHdd, 155 / 930);
+    assert.equal(feb.hdd, null);
+    assert.equal(feb.thermsPerHdd, null);
+  });
+
+  it('uses Green Button intervals for self-use when they cover the whole period', () => {
+    const analyzer = new EnergyAnalyzer();
+    const ngBill = (date, startDate, endDate) => ({
+      type: 'NationalGrid',
+      date,
+      startDate,
+      endDate,
+      usage: 300,
+      exported: 200,
+      production: 500,
+      cost: 50,
+    });
+    analyzer.addBill(ngBill('2024-04-30', '2024-04-01', '2024-04-30'));
+    analyzer.addBill(ngBill('2024-05-31', '2024-05-01', '2024-05-31'));
+    analyzer.setGridIntervalData({
+      // April is fully covered, May is missing a day
+      sumGridIntervals: (from) =>
+        from === '2024-04-01'
+          ? { imported: 350, exported: 260, seconds: 30 * 86400 }
+          : { imported: 320, exported: 210, seconds: 30 * 86400 },
+    });
+
+    const [apr, may] = analyzer.getMonthlyAnalysis();
+    assert.equal(apr.gridSource, 'interval');
+    assert.equal(apr.selfUse, 240);
+    assert.equal(apr.trueConsumption, 590);
+    assert.equal(may.gridSource, 'bill');
+    assert.equal(may.gridImport, 300);
+    assert.equal(may.selfUse, 300);
+  });
+
+  it('fits baseload and heating load per season', () => {
+    // therms/day = 1 + 0.2 × HDD/day, over a season's months
+    const month = (m, hddPerDay, kwhPerDay) => ({
+      month: m,
+      days: 30,
+      hdd: hddPerDay * 30,
+      gasTherms: (1 + 0.2 * hddPerDay) * 30,
+      trueConsumption: kwhPerDay * 30,
+    });
+    const seasons = EnergyAnalyzer.getSeasonalRegression([
+      month('2023-10', 10, 20),
+      month('2023-12', 30, 20),
+      month('2024-02', 25, 20),
+      month('2024-06', 0, 20),
+      // A new season starts in July; two months are too few to fit
+      month('2024-07', 0, 20),
+      month('2024-11', 20, 20),
+      { month: '2024-12', days: 31, hdd: null, gasTherms: 0, trueConsumption: 0 },
+    ]);
+
+    assert.deepEqual(
+      seasons.map((s) => [s.season, s.months]),
+      [
+        ['2023-24', 4],
+        ['2024-25', 2],
+      ]
+    );
+    const { gas, electric } = seasons[0];
+    assert.ok(Math.abs(gas.baseloadPerDay - 1) < 1e-9);
+    assert.ok(Math.abs(gas.perHdd - 0.2) < 1e-9);
+    assert.ok(Math.abs(gas.r2 - 1) < 1e-9);
+    // 390 of the 510 therms went to heating
+    assert.ok(Math.abs(gas.heatingShare - 390 / 510) < 1e-9);
+    assert.equal(electric.perHdd, 0);
+    assert.equal(seasons[1].gas, null);
+  });
+});
@@ -0,0 +1,59 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import FieldTracker from '../parsers/FieldTracker.js';
+
+describe('FieldTracker', () => {
+  it('records which candidate regex matched a field', () => {
+    const fields = new FieldTracker();
+    const match = fields.match('cost', 'Amount Due\n  $1,241.37 by Feb 1', [
+      { name: 'totalDue', pattern: /Total\s+Amount\s+Due\s+\$([\d,.]+)/i },
+      { name: 'amountDue', pattern: /Amount\s+Due\s+\$([\d,.]+)/i },
+    ]);
+
+    assert.equal(match[1], '1,241.37');
+    assert.deepEqual(fields.fields.cost, {
+      found: true,
+      via: 'amountDue',
+      snippet: 'Amount Due $1,241.37',
+      optional: false,
+    });
+  });
+
+  it('records a field no candidate matched, and whether that is expected', () => {
+    const fields = new FieldTracker();
+    const pattern = /Credit\s+\$([\d.]+)/;
+    assert.equal(fields.match('cost', 'nothing here', [{ name: 'total', pattern }]), null);
+    fields.match('credit', 'nothing here', [{ name: 'credit', pattern }], { optional: true });
+
+    assert.deepEqual(fields.fields, {
+      cost: { found: false, via: null, snippet: null, optional: false },
+      credit: { found: false, via: null, snippet: null, optional: true },
+    });
+  });
+
+  it('adds up the per-kWh rates in a section', () => {
+    const fields = new FieldTracker();
+    const section =
+      'Distribution Charge 0.07124 x 628 kWh $44.74\nTransition 0.00125 x 628 kWh $0.79';
+    assert.equal(fields.sumRates('deliveryRate', section), 0.07249);
+    assert.deepEqual(fields.fields.deliveryRate, {
+      found: true,
+      via: 'perKwhCharges',
+      snippet: '0.07124 x 628 kWh; 0.00125 x 628 kWh',
+      optional: true,
+    });
+
+    assert.equal(fields.sumRates('supplyRate', undefined), null);
+    assert.equal(fields.fields.supplyRate.found, false);
+  });
+
+  it('shortens long snippets from the middle', () => {
+    const long = `Usage History ${'123 kWh '.repeat(30)}Total`;
+    const clean = FieldTracker.clean(long);
+    assert.equal(clean.length, 117);
+    assert.ok(clean.startsWith('Usage History 123 kWh'));
+    assert.ok(clean.endsWith('123 kWh Total'));
+    assert.match(clean, / … /);
+    assert.equal(FieldTracker.clean(null), null);
+  });
+});
@@ -0,0 +1,84 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import DateUtils from '../DateUtils.js';
+import Forecaster from '../Forecaster.js';
+
+/**
+ * Two years of calendar months, 2023-01 to 2024-12, built from a function of (year, month).
+ */
+function history(fields) {
+  const months = [];
+  for (let i = 0; i < 24; i++) {
+    const month = DateUtils.addMonths('2023-01', i);
+    const [year, mm] = month.split('-').map(Number);
+    months.push({
+      month,
+      totalProduction: 0,
+      trueConsumption: 500,
+      totalEnergyCost: 150,
+      ngCredit: 0,
+      ...fields(year, mm, i),
+    });
+  }
+  return months;
+}
+
+describe('Forecaster', () => {
+  it('projects each metric from the same calendar month in earlier years', () => {
+    const monthly = history((year, mm) => ({
+      totalProduction: 100 * mm + (year === 2024 ? 20 : 0),
+    }));
+
+    const forecast = new Forecaster().forecast(monthly);
+
+    assert.equal(forecast.from, '2024-12');
+    assert.equal(forecast.months.length, 12);
+    const [january] = forecast.months;
+    assert.equal(january.month, '2025-01');
+    // Mean of 100 and 120, ± 1.28 standard deviations (14.14)
+    assert.deepEqual(january.production, { value: 110, low: 91.9, high: 128.1 });
+    assert.deepEqual(january.consumption, { value: 500, low: 500, high: 500 });
+  });
+
+  it('prefers full months of daily production over billed totals', () => {
+    const monthly = history((year, mm) => ({ totalProduction: mm === 1 ? 100 : 300 }));
+    const days = [
+      ...DateUtils.eachDay('2024-01-01', '2024-01-31').map((date) => ({ date, production: 5 })),
+      // Too few days to stand in for February's bill
+      ...DateUtils.eachDay('2024-02-01', '2024-02-10').map((date) => ({ date, production: 50 })),
+    ];
+    const forecaster = new Forecaster({ horizon: 2 });
+    forecaster.setDailySolarData({ getDailyProduction: () => days });
+
+    const [january, february] = forecaster.forecast(monthly).months;
+
+    assert.equal(january.production.value, 127.5);
+    assert.equal(february.production.value, 300);
+  });
+
+  it('projects when the credit bank peaks and runs out', () => {
+    // +$50 a month April to September, -$60 the rest of the year
+    let credit = 260;
+    const monthly = history((year, mm) => {
+      credit += mm >= 4 && mm <= 9 ? 50 : -60;
+      return { ngCredit: credit };
+    });
+    assert.equal(monthly.at(-1).ngCredit, 140);
+
+    const forecast = new Forecaster().forecast(monthly);
+
+    assert.deepEqual(
+      forecast.months.slice(0, 4).map((m) => m.credit.value),
+      [80, 20, 0, 50]
+    );
+    assert.deepEqual(forecast.credit, {
+      current: 140,
+      peak: { month: '2025-09', value: 300 },
+      depletedMonth: '2025-03',
+    });
+  });
+
+  it('returns an empty forecast without history', () => {
+    assert.deepEqual(new Forecaster().forecast([]), { from: null, months: [], credit: null });
+  });
+});
@@ -0,0 +1,182 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { describe, it } from 'node:test';
+import DataStore from '../DataStore.js';
+import GreenButtonImporter from '../GreenButtonImporter.js';
+
+const readingType = (id, flowDirection) => `
+  <entry>
+    <link rel="self" href="https://utility.example/espi/ReadingType/${id}"/>
+    <content>
+      <espi:ReadingType>
+        <espi:flowDirection>${flowDirection}</espi:flowDirection>
+        <espi:powerOfTenMultiplier>0</espi:powerOfTenMultiplier>
+        <espi:uom>72</espi:uom>
+      </espi:ReadingType>
+    </content>
+  </entry>`;
+
+const meterReading = (id, typeId) => `
+  <entry>
+    <link rel="self" href="https://utility.example/espi/UsagePoint/1/MeterReading/${id}"/>
+    <link rel="related" href="https://utility.example/espi/ReadingType/${typeId}"/>
+    <content><espi:MeterReading/></content>
+  </entry>`;
+
+const intervalBlock = (meterId, readings) => `
+  <entry>
+    <link rel="up" href="https://utility.example/espi/UsagePoint/1/MeterReading/${meterId}/IntervalBlock"/>
+    <content>
+      <espi:IntervalBlock>
+        ${readings
+          .map(
+            ([start, value]) => `<espi:IntervalReading>
+          <espi:timePeriod><espi:duration>3600</espi:duration><espi:start>${start}</espi:start></espi:timePeriod>
+          <espi:value>${value}</espi:value>
+        </espi:IntervalReading>`
+          )
+          .join('\n')}
+      </espi:IntervalBlock>
+    </content>
+  </entry>`;
+
+// 2024-06-01T04:00:00Z, local midnight in Boston
+const MIDNIGHT = 1717214400;
+
+describe('GreenButtonImporter', () => {
+  it('reads import and export from ESPI XML, following each reading to its type', () => {
+    const xml = `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom" xmlns:espi="http://naesb.org/espi">
+  ${readingType(1, 1)}
+  ${readingType(2, 19)}
+  ${meterReading(1, 1)}
+  ${meterReading(2, 2)}
+  ${intervalBlock(1, [
+    [MIDNIGHT, 520],
+    [MIDNIGHT + 3600, 480],
+  ])}
+  ${intervalBlock(2, [
+    [MIDNIGHT, 0],
+    [MIDNIGHT + 3600, 1250],
+  ])}
+</feed>`;
+
+    assert.deepEqual(new GreenButtonImporter(null).parse(xml), [
+      {
+        timestamp: '2024-06-01T04:00:00.000Z',
+        date: '2024-06-01',
+        time: '00:00',
+        duration: 3600,
+        imported: 0.52,
+        exported: 0,
+      },
+      {
+        timestamp: '2024-06-01T05:00:00.000Z',
+        date: '2024-06-01',
+        time: '01:00',
+        duration: 3600,
+        imported: 0.48,
+        exported: 1.25,
+      },
+    ]);
+  });
+
+  it('reads the CSV export, including the hour repeated when DST ends', () => {
+    const csv = [
+      'Name,JANE DOE',
+      'Address,"1 MAIN ST, BOSTON MA"',
+      '',
+      'TYPE,DATE,START TIME,END TIME,IMPORT (kWh),EXPORT (kWh),NOTES',
+      'Electric usage,2024-11-03,00:00,00:59,0.40,0.00,',
+      'Electric usage,2024-11-03,01:00,01:59,0.30,0.00,',
+      'Electric usage,2024-11-03,01:00,01:59,0.20,0.00,',
+      'Electric usage,2024-11-03,12:00,12:59,0.00,1.10,',
+    ].join('\r\n');
+
+    const readings = new GreenButtonImporter(null).parse(csv);
+
+    assert.deepEqual(
+      readings.map((r) => [r.timestamp, r.time, r.imported, r.exported]),
+      [
+        ['2024-11-03T04:00:00.000Z', '00:00', 0.4, 0],
+        ['2024-11-03T05:00:00.000Z', '01:00', 0.3, 0],
+        ['2024-11-03T06:00:00.000Z', '01:00', 0.2, 0],
+        ['2024-11-03T17:00:00.000Z', '12:00', 0, 1.1],
+      ]
+    );
+    assert.ok(readings.every((r) => r.duration === 3600));
+  });
+
+  it('keeps the latest of a repeated reading outside the DST change', () => {
+    const csv = [
+      'DATE,START TIME,END TIME,IMPORT (kWh),EXPORT (kWh)',
+      '2024-06-01,01:00,01:59,0.30,0.00',
+      '2024-06-01,02:00,02:59,0.25,0.00',
+      // Overlapping download: the same hour again, with a corrected value
+      '2024-06-01,01:00,01:59,0.35,0.00',
+      // Repeated in the fall-back hour, the standard-time reading is still kept apart
+      '2024-11-03,01:00,01:59,0.30,0.00',
+      '2024-11-03,01:00,01:59,0.20,0.00',
+      '2024-11-03,01:00,01:59,0.40,0.00',
+    ].join('\n');
+
+    const readings = new GreenButtonImporter(null).parse(csv);
+
+    assert.deepEqual(
+      readings.map((r) => [r.timestamp, r.time, r.imported]),
+      [
+        ['2024-06-01T05:00:00.000Z', '01:00', 0.35],
+        ['2024-06-01T06:00:00.000Z', '02:00', 0.25],
+        ['2024-11-03T05:00:00.000Z', '01:00', 0.3],
+        ['2024-11-03T06:00:00.000Z', '01:00', 0.4],
+      ]
+    );
+  });
+
+  it('splits a signed USAGE column into import and export', () => {
+    const csv = 'DATE,START TIME,USAGE (kWh)\n2024-06-01,0:00,0.75\n2024-06-01,12:00,-2.5\n';
+
+    assert.deepEqual(
+      new GreenButtonImporter(null).parse(csv).map((r) => [r.time, r.imported, r.exported]),
+      [
+        ['00:00', 0.75, 0],
+        ['12:00', 0, 2.5],
+      ]
+    );
+  });
+
+  it('imports into the store', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'green-button-'));
+    const csvPath = path.join(dir, 'usage.csv');
+    fs.writeFileSync(
+      csvPath,
+      'DATE,START TIME,END TIME,IMPORT (kWh),EXPORT (kWh)\n' +
+        '2024-06-01,00:00,00:59,0.5,0\n2024-06-01,12:00,12:59,0,2\n2024-06-02,00:00,00:59,0.25,0\n'
+    );
+    const store = await DataStore.open(null);
+
+    const readings = new GreenButtonImporter(store).import(csvPath);
+
+    assert.equal(readings.length, 3);
+    assert.deepEqual(store.sumGridIntervals('2024-06-01', '2024-06-01'), {
+      imported: 0.5,
+      exported: 2,
+      seconds: 7200,
+    });
+    assert.deepEqual(store.getGridIntervalStats(), {
+      first: '2024-06-01',
+      last: '2024-06-02',
+      days: 2,
+      count: 3,
+    });
+    fs.writeFileSync(csvPath, 'DATE,TAVG\n2024-06-01,70\n');
+    assert.throws(
+      () => new GreenButtonImporter(store).import(csvPath),
+      /No usable interval readings/
+    );
+    store.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+});
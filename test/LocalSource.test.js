@@ -0,0 +1,77 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { afterEach, beforeEach, describe, it, mock } from 'node:test';
+import LocalSource from '../sources/LocalSource.js';
+import makePdf from './helpers/makePdf.js';
+
+describe('LocalSource', () => {
+  let dir;
+
+  beforeEach(() => {
+    mock.method(console, 'log', () => {});
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'local-source-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+    mock.restoreAll();
+  });
+
+  it('keeps file IDs stable when bills are renamed or moved', async () => {
+    fs.writeFileSync(path.join(dir, 'january.pdf'), makePdf(['January bill']));
+    fs.writeFileSync(path.join(dir, 'february.PDF'), makePdf(['February bill']));
+    fs.writeFileSync(path.join(dir, 'notes.txt'), 'not a bill');
+
+    const before = await new LocalSource(dir).listFiles();
+    assert.deepEqual(before.map((f) => f.name).sort(), ['february.PDF', 'january.pdf']);
+    for (const file of before) {
+      assert.match(file.id, /^[0-9a-f]{64}$/);
+      assert.equal(file.mimeType, 'application/pdf');
+    }
+
+    fs.mkdirSync(path.join(dir, '2024'));
+    fs.renameSync(path.join(dir, 'january.pdf'), path.join(dir, '2024', 'jan.pdf'));
+    fs.renameSync(path.join(dir, 'february.PDF'), path.join(dir, 'feb.pdf'));
+
+    const after = await new LocalSource(dir).listFiles();
+    const idOf = (files, name) => files.find((f) => f.name === name).id;
+    assert.equal(idOf(after, path.join('2024', 'jan.pdf')), idOf(before, 'january.pdf'));
+    assert.equal(idOf(after, 'feb.pdf'), idOf(before, 'february.PDF'));
+  });
+
+  it('counts the same bill saved twice once', async () => {
+    const pdf = makePdf(['January bill']);
+    fs.writeFileSync(path.join(dir, 'a.pdf'), pdf);
+    fs.writeFileSync(path.join(dir, 'copy of a.pdf'), pdf);
+
+    const files = await new LocalSource(dir).listFiles();
+    assert.deepEqual(
+      files.map((f) => f.name),
+      ['a.pdf']
+    );
+  });
+
+  it('reads a file by ID, listing the folder first if needed', async () => {
+    const pdf = makePdf(['January bill']);
+    fs.writeFileSync(path.join(dir, 'january.pdf'), pdf);
+    const [{ id }] = await new LocalSource(dir).listFiles();
+
+    const source = new LocalSource(dir);
+    assert.deepEqual(await source.getFile(id), pdf);
+    await assert.rejects(source.getFile('nope'), /File not found in .*: nope/);
+  });
+
+  it('resolves relative paths from the working directory', () => {
+    const source = new LocalSource('./bills/gas');
+    assert.equal(source.dirPath, path.resolve(process.cwd(), 'bills/gas'));
+    assert.equal(source.label, `local:${source.dirPath}`);
+  });
+
+  it('reports a missing folder and lists nothing', async () => {
+    const error = mock.method(console, 'error', () => {});
+    assert.deepEqual(await new LocalSource(path.join(dir, 'missing')).listFiles(), []);
+    assert.match(error.mock.calls[0].arguments[0], /❌ Folder not found: .*missing/);
+  });
+});
@@ -0,0 +1,232 @@
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { afterEach, beforeEach, describe, it, mock } from 'node:test';
+import BillCache from '../BillCache.js';
+import BillIngestor from '../BillIngestor.js';
+import BillParser from '../BillParser.js';
+import DataStore from '../DataStore.js';
+import Notifier from '../Notifier.js';
+import mockHttpServer from './helpers/mockHttpServer.js';
+import mockSmtpServer from './helpers/mockSmtpServer.js';
+
+const run = {
+  newBills: [{ type: 'NationalGrid', date: '2024-06-20', cost: 42.5 }],
+  quality: [
+    {
+      fileName: 'broken.pdf',
+      issues: [{ field: '*', severity: 'failed', message: 'no bill date found' }],
+    },
+    {
+      fileName: 'odd.pdf',
+      issues: [{ field: 'cost', severity: 'suspicious', message: 'value is 0' }],
+    },
+  ],
+  anomalies: [
+    {
+      type: 'production-streak',
+      severity: 'critical',
+      start: '2024-06-10',
+      end: '2024-06-14',
+      message: '5 days of zero production (usually ~30 kWh/day)',
+    },
+    {
+      type: 'source-gap',
+      severity: 'warning',
+      start: '2024-05-01',
+      end: '2024-05-31',
+      message: '2024-05: Sunrun reports 1000 kWh, 25% above the National Grid meter (800 kWh)',
+    },
+  ],
+  monthly: [
+    { month: '2024-06', totalEnergyCost: 120, totalProduction: 950.4, trueConsumption: 700 },
+  ],
+  reportPath: '/tmp/index.html',
+};
+
+describe('Notifier', () => {
+  let servers;
+
+  beforeEach(() => {
+    servers = [];
+    mock.method(console, 'error', () => {});
+  });
+
+  afterEach(async () => {
+    mock.restoreAll();
+    await Promise.all(servers.map((s) => s.close()));
+  });
+
+  it('posts each event to a webhook and skips parse issues below the threshold', async () => {
+    const hook = await mockHttpServer({ 'POST /hook': [{ status: 204 }] });
+    servers.push(hook);
+    const notifier = new Notifier({ channels: [{ type: 'webhook', url: `${hook.url}/hook` }] });
+
+    const delivered = await notifier.notifyRun(run);
+
+    assert.equal(delivered, 4);
+    const bodies = hook.requests.map((r) => JSON.parse(r.body));
+    assert.deepEqual(
+      bodies.map((b) => b.event),
+      ['new-bills', 'parse-failures', 'anomalies', 'summary']
+    );
+    assert.equal(bodies[0].body, 'NationalGrid 2024-06-20: $42.50');
+    assert.equal(bodies[1].body, 'broken.pdf: * no bill date found');
+    assert.equal(bodies[1].priority, 'high');
+    assert.equal(bodies[2].data.anomalies.length, 2);
+    assert.match(bodies[3].body, /^Latest month 2024-06: \$120\.00 total energy cost, 950 kWh/);
+  });
+
+  it('publishes to ntfy with per-channel events and severity thresholds', async () => {
+    const ntfy = await mockHttpServer({ 'POST /': [{ status: 200, body: { id: 'x' } }] });
+    servers.push(ntfy);
+    const notifier = new Notifier({
+      channels: [
+        { type: 'ntfy', url: ntfy.url, topic: 'house', token: 'tk', events: ['anomalies'] },
+      ],
+      thresholds: { anomalySeverity: 'critical' },
+    });
+
+    await notifier.notifyRun(run);
+
+    assert.equal(ntfy.requests.length, 1);
+    assert.equal(ntfy.requests[0].headers.authorization, 'Bearer tk');
+    assert.deepEqual(JSON.parse(ntfy.requests[0].body), {
+      topic: 'house',
+      title: '1 new anomaly detected',
+      message: '5 days of zero production (usually ~30 kWh/day)',
+      priority: 4,
+      tags: ['rotating_light'],
+    });
+  });
+
+  it('emails through SMTP', async () => {
+    const smtp = await mockSmtpServer();
+    servers.push(smtp);
+    const notifier = new Notifier({
+      channels: [
+        {
+          type: 'smtp',
+          host: smtp.host,
+          port: smtp.port,
+          from: 'dashboard@example.com',
+          to: 'me@example.com',
+          events: ['summary'],
+        },
+      ],
+    });
+
+    assert.equal(await notifier.notifyRun(run), 1);
+    assert.equal(smtp.messages.length, 1);
+    const [message] = smtp.messages;
+    assert.equal(message.from, 'dashboard@example.com');
+    assert.deepEqual(message.to, ['me@example.com']);
+    assert.match(message.data, /Subject: Home energy report updated/);
+    assert.match(message.data, /Report: \/tmp\/index\.html/);
+  });
+
+  it('only sends each anomaly once, and keeps going when a channel fails', async () => {
+    const hook = await mockHttpServer({
+      'POST /hook': [{ status: 204 }],
+      'POST /down': [{ status: 503 }],
+    });
+    servers.push(hook);
+    const store = await DataStore.open(null);
+    const config = {
+      channels: [
+        { type: 'webhook', url: `${hook.url}/down` },
+        { type: 'webhook', url: `${hook.url}/hook` },
+      ],
+      events: ['anomalies'],
+    };
+
+    assert.equal(await new Notifier(config, { store }).notifyRun(run), 1);
+    assert.equal(console.error.mock.callCount(), 1);
+    assert.equal(await new Notifier(config, { store }).notifyRun(run), 0);
+
+    const newer = { ...run.anomalies[0], start: '2024-06-25', end: '2024-06-26' };
+    await new Notifier(config, { store }).notifyRun({ ...run, anomalies: [newer] });
+    const last = JSON.parse(hook.requests.at(-1).body);
+    assert.deepEqual(last.data.anomalies, [newer]);
+    store.close();
+  });
+
+  it('skips misconfigured channels and gives up on one that hangs', async () => {
+    const warn = mock.method(console, 'warn', () => {});
+    const hook = await mockHttpServer({ 'POST /hook': [{ status: 204 }] });
+    servers.push(hook);
+    const hanging = http.createServer(() => {});
+    await new Promise((resolve) => hanging.listen(0, '127.0.0.1', resolve));
+    servers.push({
+      close: () => {
+        hanging.closeAllConnections();
+        return new Promise((resolve) => hanging.close(resolve));
+      },
+    });
+    const notifier = new Notifier({
+      channels: [
+        { type: 'smtp', from: 'dashboard@example.com', to: 'me@example.com' },
+        { type: 'webhook', url: 'example.com/hook' },
+        {
+          type: 'ntfy',
+          url: `http://127.0.0.1:${hanging.address().port}`,
+          topic: 'house',
+          timeoutMs: 100,
+        },
+        { type: 'webhook', url: `${hook.url}/hook` },
+      ],
+      events: ['summary'],
+    });
+
+    assert.equal(await notifier.notifyRun(run), 1);
+    assert.deepEqual(
+      warn.mock.calls.map((c) => c.arguments[0]),
+      [
+        '⚠️ Skipping smtp notification channel: SMTP notifications need "host", "from" and "to"',
+        '⚠️ Skipping webhook notification channel: Webhook notifications need a valid "url"',
+      ]
+    );
+    assert.match(console.error.mock.calls[0].arguments[0], /via ntfy:house: .*timeout/);
+    assert.equal(hook.requests.length, 1);
+  });
+
+  it('only reports the parse issues of a cached bill once', async () => {
+    mock.method(console, 'log', () => {});
+    const hook = await mockHttpServer({ 'POST /hook': [{ status: 204 }] });
+    servers.push(hook);
+    const store = await DataStore.open(null);
+    const record = {
+      type: 'Eversource',
+      date: '2024-01-08',
+      cost: 241.37,
+      therms: 0,
+      diagnostics: {
+        cost: { found: true, via: 'totalDue', snippet: '$241.37', optional: false },
+        therms: { found: false, via: null, snippet: null, optional: false },
+      },
+    };
+    store.putBill('gas-jan', record, {
+      parser: 'Eversource',
+      parserVersion: 'v1',
+      schemaVersion: 2,
+    });
+    const notify = () => {
+      const ingestor = new BillIngestor(new BillCache(new BillParser(), store));
+      ingestor.cachedBills();
+      return new Notifier(
+        { channels: [{ type: 'webhook', url: `${hook.url}/hook` }], events: ['parse-failures'] },
+        { store }
+      ).notifyRun({ quality: ingestor.quality.getEntries() });
+    };
+
+    assert.equal(await notify(), 1);
+    assert.equal(JSON.parse(hook.requests[0].body).title, '1 bill failed to parse cleanly');
+    assert.equal(await notify(), 0);
+    assert.equal(hook.requests.length, 1);
+    store.close();
+  });
+
+  it('rejects unknown events and does nothing without channels', async () => {
+    assert.throws(() => new Notifier({ events: ['weekly'] }), /Unknown notification event/);
+    assert.equal(await new Notifier().notifyRun(run), 0);
+  });
+});
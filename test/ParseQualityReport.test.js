@@ -0,0 +1,128 @@
+import assert from 'node:assert/strict';
+import { afterEach, describe, it, mock } from 'node:test';
+import ParseQualityReport from '../ParseQualityReport.js';
+
+const found = (via) => ({ found: true, via, snippet: `${via} snippet`, optional: false });
+const missing = (optional = false) => ({ found: false, via: null, snippet: null, optional });
+
+describe('ParseQualityReport', () => {
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  const file = (name) => ({ id: `id-${name}`, name });
+
+  it('ignores complete bills and optional fields that are absent', () => {
+    const report = new ParseQualityReport();
+    report.add(file('ok.pdf'), {
+      type: 'Sunrun',
+      date: '2024-01-05',
+      cost: 118.23,
+      production: 312,
+      diagnostics: { date: found('dueDate'), cost: found('monthlyCharge'), credit: missing(true) },
+    });
+    assert.deepEqual(report.getEntries(), []);
+  });
+
+  it('flags defaulted, zero and implausible fields with where they came from', () => {
+    const report = new ParseQualityReport();
+    report.add(file('feb.pdf'), {
+      type: 'NationalGrid',
+      date: '2024-02-10',
+      startDate: '2024-02-09',
+      endDate: '2024-01-10',
+      cost: 0,
+      usage: 0,
+      exported: 0,
+      diagnostics: { date: found('statementDate'), cost: found('amountDue'), usage: missing() },
+    });
+    report.add(file('jan.pdf'), {
+      type: 'Eversource',
+      date: '1999-12-31',
+      cost: 80,
+      diagnostics: {},
+    });
+
+    assert.deepEqual(report.getEntries(), [
+      {
+        fileId: 'id-jan.pdf',
+        fileName: 'jan.pdf',
+        type: 'Eversource',
+        date: '1999-12-31',
+        issues: [
+          {
+            field: 'date',
+            severity: 'suspicious',
+            message: 'implausible date 1999-12-31',
+            via: null,
+            snippet: null,
+          },
+        ],
+      },
+      {
+        fileId: 'id-feb.pdf',
+        fileName: 'feb.pdf',
+        type: 'NationalGrid',
+        date: '2024-02-10',
+        issues: [
+          {
+            field: 'usage',
+            severity: 'missing',
+            message: 'not found; defaulted',
+            via: null,
+            snippet: null,
+          },
+          {
+            field: 'cost',
+            severity: 'suspicious',
+            message: 'value is 0',
+            via: 'amountDue',
+            snippet: 'amountDue snippet',
+          },
+          {
+            field: 'startDate',
+            severity: 'suspicious',
+            message: 'starts after it ends',
+            via: null,
+            snippet: null,
+          },
+        ],
+      },
+    ]);
+  });
+
+  it('flags a metered electric bill with neither import nor export', () => {
+    const report = new ParseQualityReport();
+    const bill = { type: 'EversourceElectric', date: '2024-03-01', cost: 20, usage: 0 };
+    report.add(file('net-zero.pdf'), { ...bill, exported: 0 });
+    report.add(file('exporting.pdf'), { ...bill, exported: 340 });
+
+    assert.deepEqual(
+      report.getEntries().map((e) => [e.fileName, e.issues.map((i) => i.message)]),
+      [['net-zero.pdf', ['no import or export']]]
+    );
+  });
+
+  it('lists failed bills first and prints every issue', () => {
+    const log = mock.method(console, 'log', () => {});
+    const report = new ParseQualityReport();
+    report.print();
+    assert.equal(log.mock.calls[0].arguments[0], '🔎 Parse quality: all bills look complete.');
+
+    report.add(file('jan.pdf'), { type: 'Eversource', date: '2024-01-08', cost: 0 });
+    report.addFailure(file('scan.pdf'), 'Could not detect bill type from content');
+    log.mock.resetCalls();
+    report.print();
+
+    assert.deepEqual(
+      log.mock.calls.map((c) => c.arguments[0]),
+      [
+        '🔎 Parse quality: 2 bill(s) need a look:',
+        '   scan.pdf (unknown, no date)',
+        '      - *: failed, Could not detect bill type from content',
+        '   jan.pdf (Eversource, 2024-01-08)',
+        '      - cost: suspicious, value is 0',
+      ]
+    );
+  });
+});
@@ -0,0 +1,172 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { afterEach, beforeEach, describe, it } from 'node:test';
+import BillParser from '../BillParser.js';
+import EnergyAnalyzer from '../EnergyAnalyzer.js';
+import ProviderRegistry from '../ProviderRegistry.js';
+import stubEnv from './helpers/stubEnv.js';
+
+const WATER_PARSER = `
+export default class WaterParser {
+  static signatures = [{ pattern: /Town Water Department/i, weight: 3 }];
+
+  parse(text) {
+    const date = text.match(/Bill Date: (\\d{4}-\\d{2}-\\d{2})/)[1];
+    return {
+      type: 'TownWater',
+      date,
+      startDate: null,
+      endDate: null,
+      cost: Number(text.match(/Amount Due \\$([\\d.]+)/)[1]),
+      usage: Number(text.match(/([\\d.]+) Gallons/)[1]),
+    };
+  }
+}
+`;
+
+describe('ProviderRegistry', () => {
+  let dir;
+  const env = stubEnv();
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'providers-'));
+  });
+
+  afterEach(() => {
+    env.restore();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('defaults to the built-in utilities, with sources from the environment', () => {
+    const registry = new ProviderRegistry();
+    env.set({
+      BILL_SOURCE_ELECTRIC: 'local:./electric',
+      BILL_SOURCE_SOLAR: 'drive:House/Sunrun Bills',
+      BILL_SOURCE_GAS: 'local:./gas',
+      BILL_SOURCE_INBOX: '',
+    });
+
+    assert.deepEqual(registry.types, ['NationalGrid', 'Sunrun', 'Eversource']);
+    assert.equal(registry.commodityOf('Eversource'), 'gas');
+    assert.deepEqual(registry.folders({ type: 'Sunrun' }), [
+      { name: 'Sunrun', type: 'Sunrun', spec: 'drive:House/Sunrun Bills' },
+    ]);
+
+    env.set({ BILL_SOURCE_INBOX: 'local:./inbox' });
+    assert.deepEqual(registry.folders({ type: 'Sunrun' }).at(-1), {
+      name: 'Inbox',
+      type: 'auto',
+      spec: 'local:./inbox',
+    });
+
+    env.set({ BILL_SOURCE_GAS: undefined });
+    assert.throws(() => registry.folders(), /Missing BILL_SOURCE_GAS environment variable/);
+  });
+
+  it('loads providers from a config file, with parsers relative to it', async () => {
+    fs.mkdirSync(path.join(dir, 'parsers'));
+    fs.writeFileSync(path.join(dir, 'parsers', 'WaterParser.mjs'), WATER_PARSER);
+    fs.writeFileSync(
+      path.join(dir, 'utilities.json'),
+      JSON.stringify({
+        providers: [
+          {
+            type: 'TownWater',
+            name: 'Town Water',
+            commodity: 'water',
+            parser: './parsers/WaterParser.mjs',
+            source: 'local:./bills/water',
+          },
+        ],
+        inbox: null,
+      })
+    );
+    env.set({ PROVIDERS_FILE: path.join(dir, 'utilities.json') });
+
+    const registry = ProviderRegistry.load();
+    assert.deepEqual(registry.folders(), [
+      { name: 'Town Water', type: 'TownWater', spec: 'local:./bills/water' },
+    ]);
+
+    const parser = new BillParser(registry);
+    const bill = await parser.parseText(
+      'auto',
+      'Town Water Department\nBill Date: 2024-03-31\nAmount Due $60.00\n3100 Gallons'
+    );
+    assert.deepEqual(bill, {
+      type: 'TownWater',
+      date: '2024-03-31',
+      startDate: null,
+      endDate: null,
+      cost: 60,
+      usage: 3100,
+    });
+    assert.match(parser.getParserVersion('TownWater'), /^[0-9a-f]{12}$/);
+
+    // Water bills feed their commodity's monthly fields without any analyzer changes
+    const analyzer = new EnergyAnalyzer(registry);
+    analyzer.addBill({ ...bill, startDate: '2024-03-01', endDate: '2024-03-31' });
+    const [march] = analyzer.getMonthlyAnalysis();
+    assert.equal(march.waterCost, 60);
+    assert.equal(march.waterUsage, 3100);
+    assert.equal(march.waterSpend, 60);
+    assert.equal(march.totalEnergyCost, 60);
+  });
+
+  it('lets other built-in utilities take the electric and gas roles', () => {
+    const registry = new ProviderRegistry({
+      providers: [
+        { type: 'EversourceElectric', source: 'local:./electric' },
+        { type: 'NationalGridGas', source: 'local:./gas' },
+      ],
+    });
+    assert.equal(registry.get('NationalGridGas').name, 'National Grid Gas');
+    const analyzer = new EnergyAnalyzer(registry);
+    analyzer.addBill({
+      type: 'NationalGridGas',
+      date: '2024-05-31',
+      startDate: '2024-05-01',
+      endDate: '2024-05-31',
+      cost: 40,
+      therms: 20,
+    });
+    analyzer.addBill({
+      type: 'EversourceElectric',
+      date: '2024-05-31',
+      startDate: '2024-05-01',
+      endDate: '2024-05-31',
+      cost: 90,
+      usage: 400,
+      exported: 150,
+      credit: 25,
+    });
+
+    const [may] = analyzer.getMonthlyAnalysis({ view: 'billing' });
+    assert.equal(may.ngCost, 90);
+    assert.equal(may.gasTherms, 20);
+    assert.equal(may.ngCredit, 25);
+    assert.equal(may.ngStartDate, '2024-05-01');
+  });
+
+  it('rejects incomplete or conflicting providers', () => {
+    const provider = { type: 'X', commodity: 'electric', parser: './x.js', source: 'local:.' };
+    assert.throws(
+      () => new ProviderRegistry({ providers: [{ ...provider, commodity: 'steam' }] }),
+      /unknown commodity "steam"/
+    );
+    assert.throws(
+      () => new ProviderRegistry({ providers: [{ ...provider, parser: undefined }] }),
+      /Provider X is missing "parser"/
+    );
+    assert.throws(
+      () => new ProviderRegistry({ providers: [provider, provider] }),
+      /Provider "X" is configured more than once/
+    );
+
+    fs.writeFileSync(path.join(dir, 'providers.json'), '{ nope');
+    env.set({ PROVIDERS_FILE: path.join(dir, 'providers.json') });
+    assert.throws(() => ProviderRegistry.load(), /Failed to parse providers JSON/);
+  });
+});
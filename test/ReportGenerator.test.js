@@ -0,0 +1,75 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { afterEach, beforeEach, describe, it } from 'node:test';
+import DataStore from '../DataStore.js';
+import ReportGenerator from '../ReportGenerator.js';
+
+const data = {
+  monthly: [{ month: '2024-06', totalEnergyCost: 120 }],
+  quality: [{ fileName: '</script><b>odd</b>.pdf', issues: [] }],
+};
+
+describe('ReportGenerator', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'report-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('renders a single file that needs no network', () => {
+    const generator = new ReportGenerator();
+    const build = generator.buildInfo(data, '2024-06-05T14:30:00.000Z');
+    assert.match(build.dataHash, /^[0-9a-f]{12}$/);
+    assert.equal(generator.buildInfo({ ...data }).dataHash, build.dataHash);
+    assert.notEqual(generator.buildInfo({ ...data, monthly: [] }).dataHash, build.dataHash);
+
+    const html = generator.render(data, build);
+    assert.doesNotMatch(html, /<script src=|\{\{[A-Z_]+\}\}/);
+    assert.match(html, /\* Chart\.js v\d+\.\d+\.\d+/);
+    assert.match(html, /rel="icon" type="image\/png" href="data:image\/png;base64,/);
+    assert.ok(html.includes(`const buildInfo = ${JSON.stringify(build)};`));
+    // Data can't close the script element it is embedded in
+    assert.equal(html.match(/<\/script>/g).length, 2);
+    assert.ok(html.includes('\\u003c/script>\\u003cb>odd\\u003c/b>.pdf'));
+  });
+
+  it('injects the days with production, leaving missing days out for the heatmap', async () => {
+    const store = await DataStore.open(null);
+    try {
+      store.setDailyProduction('2024-05-31', 30);
+      store.setDailyProduction('2024-06-03', 28.5);
+      store.setDailyProduction('2024-06-04', 0);
+      store.setDailyProduction('2024-06-10', 31.25);
+
+      const generator = new ReportGenerator();
+      const report = generator.build([], store, { since: '2024-06-01' });
+      // June 5-9 are missing rather than zero, and May is before --since
+      const june = { '2024-06-03': 28.5, '2024-06-04': 0, '2024-06-10': 31.25 };
+      assert.deepEqual(report.daily, june);
+      assert.deepEqual(generator.build([], store).daily, { '2024-05-31': 30, ...june });
+
+      const html = generator.render(report, generator.buildInfo(report));
+      const injected = html.match(/let reportData = (.*);\n/)[1];
+      assert.deepEqual(JSON.parse(injected).daily, june);
+    } finally {
+      store.close();
+    }
+  });
+
+  it('writes dated archive copies instead of overwriting', async () => {
+    const generator = new ReportGenerator();
+    const first = generator.write(data, { archive: true, archiveDir: dir });
+    await new Promise((resolve) => setTimeout(resolve, 1000));
+    const second = generator.write(data, { archive: true, archiveDir: dir });
+
+    assert.match(path.basename(first), /^dashboard-\d{4}-\d{2}-\d{2}T\d{2}-\d{2}-\d{2}Z\.html$/);
+    assert.notEqual(first, second);
+    assert.deepEqual(fs.readdirSync(dir).sort(), [path.basename(first), path.basename(second)]);
+  });
+});
@@ -0,0 +1,104 @@
+import assert from 'node:assert/strict';
+import { afterEach, describe, it } from 'node:test';
+import SolarRoi from '../SolarRoi.js';
+
+/**
+ * A calendar month from getMonthlyAnalysis(), with just the fields the ROI uses.
+ */
+function month(month, { consumption, production, ngCost, sunrunCost = 80, rates = null }) {
+  return {
+    month,
+    trueConsumption: consumption,
+    totalProduction: production,
+    ngCost,
+    sunrunCost,
+    totalCost: ngCost + sunrunCost,
+    ngDeliveryRate: rates?.delivery ?? null,
+    ngSupplyRate: rates?.supply ?? null,
+    ngCustomerCharge: rates?.customerCharge ?? null,
+  };
+}
+
+const monthly = [
+  month('2023-12', { consumption: 900, production: 0, ngCost: 250, sunrunCost: 0 }),
+  month('2024-01', { consumption: 1000, production: 300, ngCost: 70 }),
+  month('2024-02', {
+    consumption: 800,
+    production: 400,
+    ngCost: 40,
+    rates: { delivery: 0.1, supply: 0.15, customerCharge: 10 },
+  }),
+  month('2024-03', { consumption: 600, production: 500, ngCost: 20 }),
+];
+
+const flat = { escalator: 0, utilityEscalator: 0, degradation: 0 };
+
+describe('SolarRoi', () => {
+  afterEach(() => {
+    delete process.env.SOLAR_CONTRACT;
+  });
+
+  it('prices consumption at the carried-over utility rates from the first Sunrun bill', () => {
+    const roi = new SolarRoi({ ...flat, termYears: 1 }).analyze(monthly);
+
+    assert.equal(roi.contract.startMonth, '2024-01');
+    const actual = roi.months.filter((m) => !m.projected);
+    assert.deepEqual(
+      actual.map((m) => [m.month, m.rate, m.counterfactual, m.actual, m.savings]),
+      [
+        // January's rates are back-filled from February, March's carried forward
+        ['2024-01', 0.25, 260, 150, 110],
+        ['2024-02', 0.25, 210, 120, 90],
+        ['2024-03', 0.25, 160, 100, 60],
+      ]
+    );
+    assert.equal(roi.summary.savingsToDate, 260);
+  });
+
+  it('projects the rest of the term and finds the break-even month', () => {
+    const roi = new SolarRoi({ ...flat, termYears: 1 }).analyze(monthly);
+
+    const projected = roi.months.filter((m) => m.projected);
+    assert.equal(projected.length, 9);
+    // No history for April: the average month (400 kWh) at $0.25, less the $80 Sunrun bill
+    assert.deepEqual(
+      [projected[0].month, projected[0].production, projected[0].savings],
+      ['2024-04', 400, 20]
+    );
+    assert.equal(roi.summary.contractEndMonth, '2024-12');
+    assert.equal(roi.summary.lifetimeSavings, 440);
+    assert.equal(roi.summary.breakEvenMonth, '2024-01');
+  });
+
+  it('applies the PPA escalator at each anniversary and the upfront cost', () => {
+    const roi = new SolarRoi({ ...flat, termYears: 2, escalator: 0.1, upfrontCost: 500 }).analyze(
+      monthly
+    );
+
+    const byMonth = Object.fromEntries(roi.months.map((m) => [m.month, m]));
+    assert.equal(byMonth['2024-12'].actual, 80);
+    assert.equal(byMonth['2025-01'].actual, 88);
+    assert.equal(byMonth['2024-03'].cumulative, -240);
+    // $60 behind at the first anniversary, then $12 a month
+    assert.equal(roi.summary.breakEvenMonth, '2025-05');
+  });
+
+  it('reads contract terms from SOLAR_CONTRACT', () => {
+    process.env.SOLAR_CONTRACT = '{"startDate":"2024-02-15","termYears":25}';
+    const roi = new SolarRoi(SolarRoi.loadContract()).analyze(monthly);
+
+    assert.equal(roi.contract.startMonth, '2024-02');
+    assert.equal(roi.summary.contractEndMonth, '2049-01');
+    assert.equal(roi.months[0].month, '2024-02');
+
+    process.env.SOLAR_CONTRACT = '{termYears: 25}';
+    assert.throws(() => SolarRoi.loadContract(), /SOLAR_CONTRACT/);
+  });
+
+  it('has no summary before the contract starts', () => {
+    const roi = new SolarRoi().analyze(monthly.slice(0, 1));
+
+    assert.deepEqual(roi.months, []);
+    assert.equal(roi.summary, null);
+  });
+});
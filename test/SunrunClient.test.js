@@ -0,0 +1,145 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { afterEach, beforeEach, describe, it, mock } from 'node:test';
+import SunrunClient from '../SunrunClient.js';
+import mockHttpServer from './helpers/mockHttpServer.js';
+
+const USER = {
+  opportunitiesWithContracts: [{ prospect_id: 'P-1', contract: { sunrunStart: '2021-03-01' } }],
+};
+
+describe('SunrunClient', () => {
+  let dir;
+  let gateway;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sunrun-'));
+    // Keep progress logging out of the test runner's output
+    for (const level of ['log', 'warn', 'error']) {
+      mock.method(console, level, () => {});
+    }
+    process.env.SUNRUN_CREDENTIALS = JSON.stringify({ auth_token: 'old', refresh_token: 'r1' });
+  });
+
+  afterEach(async () => {
+    mock.restoreAll();
+    await gateway?.close();
+    gateway = null;
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const newClient = () =>
+    new SunrunClient({
+      baseUrl: gateway.url,
+      credentialsFile: path.join(dir, 'creds.json'),
+      maxRetries: 2,
+      retryDelayMs: 0,
+    });
+
+  it('refreshes the token on 401, retries and saves the rotated credentials', async () => {
+    gateway = await mockHttpServer({
+      'GET /portal-auth/get-user': [
+        (req) =>
+          req.headers.authorization === 'Bearer new'
+            ? { status: 200, body: USER }
+            : { status: 401, body: { error: 'expired' } },
+      ],
+      'POST /portal-auth/refresh-token': [
+        { status: 200, body: { auth_token: 'new', refresh_token: 'r2' } },
+      ],
+    });
+
+    const client = newClient();
+    await client.init();
+
+    assert.equal(client.prospectId, 'P-1');
+    assert.equal(client.authToken, 'new');
+    const saved = JSON.parse(fs.readFileSync(path.join(dir, 'creds.json'), 'utf8'));
+    assert.deepEqual(saved, { auth_token: 'new', refresh_token: 'r2' });
+
+    // The next client starts from the saved tokens rather than .env
+    assert.equal(newClient().authToken, 'new');
+  });
+
+  it('fails clearly when the refresh token is rejected', async () => {
+    gateway = await mockHttpServer({
+      'GET /portal-auth/get-user': [{ status: 401 }],
+      'POST /portal-auth/refresh-token': [{ status: 403 }],
+    });
+
+    await assert.rejects(newClient().init(), /Failed to refresh Sunrun token: 403/);
+  });
+
+  it('retries 5xx and 429 responses with backoff', async () => {
+    gateway = await mockHttpServer({
+      'GET /performance-api/v1/site-production-daily/P-1': [
+        { status: 503 },
+        { status: 429, headers: { 'Retry-After': '0' } },
+        { status: 200, body: [{ date: '2024-06-01', systemProduction: 31.2 }] },
+      ],
+    });
+
+    const client = newClient();
+    client.prospectId = 'P-1';
+    const days = await client.getDailyProduction('2024-06-01', '2024-06-02');
+
+    assert.deepEqual(days, [{ date: '2024-06-01', production: 31.2 }]);
+    assert.equal(gateway.requests.length, 3);
+  });
+
+  it('falls back to exponential backoff when Retry-After is unreadable', async () => {
+    const delays = [];
+    mock.method(globalThis, 'setTimeout', (resolve, delay) => {
+      delays.push(delay);
+      resolve();
+    });
+    const client = new SunrunClient({
+      credentialsFile: path.join(dir, 'creds.json'),
+      retryDelayMs: 1000,
+    });
+
+    await client.backoff(1, 'soon', 503);
+    await client.backoff(1, 'Wed, 21 Oct 2015 07:28:00 GMT', 503);
+    await client.backoff(1, '3', 429);
+
+    assert.deepEqual(delays, [2000, 0, 3000]);
+    assert.equal(console.warn.mock.calls[0].arguments[0], '⏳ Sunrun API 503; retrying in 2s...');
+  });
+
+  it('gives up after the retry limit', async () => {
+    gateway = await mockHttpServer({
+      'GET /performance-api/v1/site-production-daily/P-1': [{ status: 500 }],
+    });
+
+    const client = newClient();
+    client.prospectId = 'P-1';
+    await assert.rejects(client.getDailyProduction('2024-06-01', '2024-06-02'), /500/);
+    assert.equal(gateway.requests.length, 3);
+  });
+
+  it('requests each range from local midnight with the offset in effect that day', async () => {
+    gateway = await mockHttpServer({
+      'GET /performance-api/v1/site-production-daily/P-1': [
+        {
+          status: 200,
+          body: [
+            { timestamp: '2024-01-15T05:00:00.000Z', systemProduction: 8 },
+            { timestamp: '2024-01-16T05:00:00.000Z', systemProduction: 9 },
+          ],
+        },
+      ],
+    });
+
+    const client = newClient();
+    client.prospectId = 'P-1';
+    const days = await client.getDailyProduction('2024-01-15', '2024-01-15');
+
+    const query = new URL(gateway.requests[0].url, gateway.url).searchParams;
+    assert.equal(query.get('startDate'), '2024-01-15T00:00:00.000-05:00');
+    assert.equal(query.get('endDate'), '2024-01-16T00:00:00.000-05:00');
+    // UTC timestamps map to the local day; days outside the range are dropped
+    assert.deepEqual(days, [{ date: '2024-01-15', production: 8 }]);
+  });
+});
@@ -0,0 +1,185 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { afterEach, beforeEach, describe, it, mock } from 'node:test';
+import DataStore from '../DataStore.js';
+import DateUtils from '../DateUtils.js';
+import SunrunClient from '../SunrunClient.js';
+import SunrunSync from '../SunrunSync.js';
+import mockHttpServer from './helpers/mockHttpServer.js';
+
+const USER = {
+  opportunitiesWithContracts: [{ prospect_id: 'P-1', contract: { sunrunStart: '2024-01-01' } }],
+};
+
+/**
+ * Answers production requests with one record per requested day (production = day of month),
+ * failing any range listed in `failing`.
+ */
+const productionRoute =
+  (failing = []) =>
+  (req) => {
+    const query = new URL(req.url, 'http://gateway').searchParams;
+    const from = DateUtils.toLocalDate(query.get('startDate'));
+    const to = DateUtils.addDays(DateUtils.toLocalDate(query.get('endDate')), -1);
+    if (failing.includes(from)) {
+      return { status: 400 };
+    }
+    return {
+      status: 200,
+      body: DateUtils.eachDay(from, to).map((date) => ({
+        timestamp: DateUtils.localMidnight(date),
+        systemProduction: Number(date.slice(8)),
+      })),
+    };
+  };
+
+/**
+ * Answers interval requests with two readings per requested day, at 16:00 and 16:15 UTC.
+ */
+const intervalRoute = (req) => {
+  const query = new URL(req.url, 'http://gateway').searchParams;
+  const from = DateUtils.toLocalDate(query.get('startDate'));
+  const to = DateUtils.addDays(DateUtils.toLocalDate(query.get('endDate')), -1);
+  return {
+    status: 200,
+    body: DateUtils.eachDay(from, to).flatMap((date) =>
+      ['16:00', '16:15'].map((time) => ({
+        timestamp: `${date}T${time}:00Z`,
+        systemProduction: 1.5,
+      }))
+    ),
+  };
+};
+
+describe('SunrunSync', () => {
+  let dir;
+  let gateway;
+  let store;
+
+  beforeEach(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sunrun-sync-'));
+    // Keep progress logging out of the test runner's output
+    for (const level of ['log', 'warn', 'error']) {
+      mock.method(console, level, () => {});
+    }
+    process.env.SUNRUN_CREDENTIALS = JSON.stringify({ auth_token: 'a', refresh_token: 'r' });
+    store = await DataStore.open(null);
+  });
+
+  afterEach(async () => {
+    mock.restoreAll();
+    await gateway?.close();
+    gateway = null;
+    store.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const startGateway = async (failing) => {
+    gateway = await mockHttpServer({
+      'GET /portal-auth/get-user': [{ status: 200, body: USER }],
+      'GET /performance-api/v1/site-production-daily/P-1': [productionRoute(failing)],
+      'GET /performance-api/v1/site-production-minute/P-1': [intervalRoute],
+    });
+  };
+
+  const newSync = (options) =>
+    new SunrunSync(store, {
+      client: new SunrunClient({
+        baseUrl: gateway.url,
+        credentialsFile: path.join(dir, 'creds.json'),
+        maxRetries: 0,
+      }),
+      ...options,
+    });
+
+  const productionRequests = (endpoint = 'site-production-daily') =>
+    gateway.requests
+      .filter((r) => r.key.includes(endpoint))
+      .map((r) => {
+        const query = new URL(r.url, gateway.url).searchParams;
+        return [query.get('startDate').slice(0, 10), query.get('endDate').slice(0, 10)];
+      });
+
+  it('fetches the full history in chunks', async () => {
+    await startGateway();
+
+    const count = await newSync({ chunkDays: 30 }).sync({ today: '2024-03-10' });
+
+    assert.equal(count, 70);
+    assert.deepEqual(productionRequests(), [
+      ['2024-01-01', '2024-01-31'],
+      ['2024-01-31', '2024-03-01'],
+      ['2024-03-01', '2024-03-11'],
+    ]);
+    assert.equal(store.getDailyProductionStats().count, 70);
+  });
+
+  it('backfills gaps and refreshes the trailing window', async () => {
+    await startGateway();
+    DateUtils.eachDay('2024-01-01', '2024-03-10').forEach((date) => {
+      if (date !== '2024-02-10' && date !== '2024-02-11') {
+        store.setDailyProduction(date, 1);
+      }
+    });
+
+    await newSync({ refreshDays: 3 }).sync({ today: '2024-03-10' });
+
+    assert.deepEqual(productionRequests(), [
+      ['2024-02-10', '2024-02-12'],
+      ['2024-03-08', '2024-03-11'],
+    ]);
+    assert.deepEqual(store.getDailyProduction('2024-02-10', '2024-02-11'), [
+      { date: '2024-02-10', production: 10 },
+      { date: '2024-02-11', production: 11 },
+    ]);
+    assert.equal(store.getDailyProduction('2024-03-10')[0].production, 10);
+  });
+
+  it('keeps the chunks that succeeded when one fails', async () => {
+    await startGateway(['2024-01-11']);
+
+    const count = await newSync({ chunkDays: 10 }).sync({ today: '2024-01-30' });
+
+    assert.equal(count, 20);
+    assert.equal(productionRequests().length, 3);
+    assert.deepEqual(
+      new SunrunSync(store).missingDays('2024-01-01', '2024-01-30'),
+      DateUtils.eachDay('2024-01-11', '2024-01-20')
+    );
+  });
+
+  it('re-fetches everything from --since', async () => {
+    await startGateway();
+    DateUtils.eachDay('2024-01-01', '2024-01-31').forEach((date) =>
+      store.setDailyProduction(date, 1)
+    );
+
+    await newSync().sync({ since: '2024-01-20', today: '2024-01-31' });
+
+    assert.deepEqual(productionRequests(), [['2024-01-20', '2024-02-01']]);
+    assert.equal(store.getDailyProduction('2024-01-19')[0].production, 1);
+    assert.equal(store.getDailyProduction('2024-01-20')[0].production, 20);
+  });
+
+  it('backfills interval readings over the history window', async () => {
+    await startGateway();
+    const sunrunSync = newSync({ intervalChunkDays: 7, intervalHistoryDays: 10 });
+
+    await sunrunSync.sync({ today: '2024-03-10' });
+    const count = await sunrunSync.syncIntervals({ today: '2024-03-10' });
+
+    assert.equal(count, 20);
+    assert.deepEqual(productionRequests('site-production-minute'), [
+      ['2024-03-01', '2024-03-08'],
+      ['2024-03-08', '2024-03-11'],
+    ]);
+    // One connection serves both syncs
+    assert.equal(gateway.requests.filter((r) => r.key.includes('get-user')).length, 1);
+    // Readings are stored by local time, which shifts by an hour across the DST change
+    const times = (date) => store.getIntervalProduction(date, date).map((r) => r.time);
+    assert.deepEqual(times('2024-03-09'), ['11:00', '11:15']);
+    assert.deepEqual(times('2024-03-10'), ['12:00', '12:15']);
+  });
+});
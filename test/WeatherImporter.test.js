@@ -0,0 +1,61 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { describe, it } from 'node:test';
+import DataStore from '../DataStore.js';
+import WeatherImporter from '../WeatherImporter.js';
+
+describe('WeatherImporter', () => {
+  it('computes degree days from NOAA daily temperatures', () => {
+    const csv = [
+      '"STATION","NAME","DATE","TAVG","TMAX","TMIN"',
+      '"USW00014739","BOSTON, MA US","2024-01-15","20","28","14"',
+      // No TAVG: averaged from TMAX and TMIN
+      '"USW00014739","BOSTON, MA US","2024-01-16","","40","30"',
+      '"USW00014739","BOSTON, MA US","2024-07-04","80","90","70"',
+      // Unusable rows are skipped
+      '"USW00014739","BOSTON, MA US","2024-07-05","","",""',
+    ].join('\n');
+
+    const days = new WeatherImporter(null).parse(csv);
+
+    assert.deepEqual(days, [
+      { date: '2024-01-15', tavg: 20, hdd: 45, cdd: 0 },
+      { date: '2024-01-16', tavg: 35, hdd: 30, cdd: 0 },
+      { date: '2024-07-04', tavg: 80, hdd: 0, cdd: 15 },
+    ]);
+  });
+
+  it('prefers published degree days and averages stations', () => {
+    const csv = [
+      'DATE,STATION,HTDD,CLDD,TAVG',
+      '2024-02-01,A,30,0,36',
+      '2024-02-01,B,34,0,31',
+    ].join('\r\n');
+
+    assert.deepEqual(new WeatherImporter(null).parse(csv), [
+      { date: '2024-02-01', tavg: 33.5, hdd: 32, cdd: 0 },
+    ]);
+  });
+
+  it('imports into the store', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'weather-'));
+    const csvPath = path.join(dir, 'boston.csv');
+    fs.writeFileSync(csvPath, 'DATE,TAVG\n2024-01-01,25\n2024-01-02,35\n2024-01-03,70\n');
+    const store = await DataStore.open(null);
+
+    const days = new WeatherImporter(store).import(csvPath);
+
+    assert.equal(days.length, 3);
+    assert.deepEqual(store.sumDegreeDays('2024-01-01', '2024-01-31'), { hdd: 70, cdd: 5, days: 3 });
+    assert.deepEqual(store.getWeatherStats(), {
+      first: '2024-01-01',
+      last: '2024-01-03',
+      count: 3,
+    });
+    assert.throws(() => new WeatherImporter(store).import(csvPath.replace('boston', 'missing')));
+    store.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+});
@@ -0,0 +1,94 @@
+import assert from 'node:assert/strict';
+import { execFile } from 'node:child_process';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { after, before, describe, it } from 'node:test';
+import { fileURLToPath } from 'node:url';
+import { promisify } from 'node:util';
+import makePdf from './helpers/makePdf.js';
+
+const SCRIPT = fileURLToPath(new URL('../analyzeBills.js', import.meta.url));
+
+describe('analyzeBills CLI', () => {
+  let dir;
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cli-'));
+  });
+
+  after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  // Runs from an empty directory, so no .env, providers.json or store of the developer's is read
+  const run = async (...args) => {
+    try {
+      const { stdout, stderr } = await promisify(execFile)(process.execPath, [SCRIPT, ...args], {
+        cwd: dir,
+        env: { PATH: process.env.PATH },
+      });
+      return { code: 0, stdout, stderr };
+    } catch (e) {
+      return { code: e.code, stdout: e.stdout, stderr: e.stderr };
+    }
+  };
+
+  it('prints the usage with --help', async () => {
+    const { code, stdout } = await run('fetch-bills', '-h');
+    assert.equal(code, 0);
+    assert.match(stdout, /^Usage: node analyzeBills.js \[command\] \[options\]/);
+    assert.match(stdout, /fetch-bills {2,}Download and parse new bills/);
+  });
+
+  it('rejects an unknown command with the usage', async () => {
+    const { code, stdout, stderr } = await run('fetch-bill');
+    assert.equal(code, 1);
+    assert.equal(stdout, '');
+    assert.match(stderr, /^❌ Unknown command: fetch-bill\n\nUsage: node analyzeBills.js/);
+    assert.match(stderr, /--force-type <type>/);
+  });
+
+  it('validates option values before running anything', async () => {
+    const failures = [
+      [['fetch-bills', '--since', '2024-1-1'], '❌ --since must be YYYY-MM-DD, got "2024-1-1"'],
+      [['serve', '--port', 'http'], '❌ --port must be a number, got "http"'],
+      [
+        ['fetch-bills', '--force-type', 'Sunrun', '--force-type', 'PG&E'],
+        '❌ Bill type must be one of NationalGrid, Sunrun, Eversource, got "PG&E"',
+      ],
+    ];
+    for (const [args, message] of failures) {
+      const { code, stderr } = await run(...args);
+      assert.equal(code, 1, args.join(' '));
+      assert.equal(stderr.trim(), message);
+    }
+
+    const { code, stderr } = await run('report', '--archve');
+    assert.equal(code, 1);
+    assert.match(stderr, /Unknown option '--archve'/);
+    assert.deepEqual(fs.readdirSync(dir), []);
+  });
+
+  it('passes positional arguments and options to the command', async () => {
+    const pdf = path.join(dir, 'bill.pdf');
+    fs.writeFileSync(
+      pdf,
+      makePdf(['EVERSOURCE', 'Statement Date: 01/08/24', 'Total Amount Due $241.37'])
+    );
+    try {
+      const { code, stdout } = await run('parse', pdf, '--type', 'Eversource');
+      assert.equal(code, 0);
+      const record = JSON.parse(stdout);
+      assert.equal(record.type, 'Eversource');
+      assert.equal(record.cost, 241.37);
+      assert.deepEqual(fs.readdirSync(dir), ['bill.pdf']);
+
+      const missing = await run('parse');
+      assert.equal(missing.code, 1);
+      assert.match(missing.stderr, /❌ Usage: node analyzeBills.js parse <pdf>/);
+    } finally {
+      fs.rmSync(pdf);
+    }
+  });
+});
@@ -0,0 +1,187 @@
+/**
+ * ID of the top of the mock My Drive.
+ */
+const ROOT_ID = 'root-id';
+
+const FOLDER_MIME_TYPE = 'application/vnd.google-apps.folder';
+
+/**
+ * An in-memory stand-in for the parts of the Drive v3 API that DriveClient uses: files.list
+ * (with the query syntax it writes), files.get and the changes feed.
+ *
+ * Build the drive with the helpers (`addFolder`, `addFile`, `update`, `remove`); each edit is
+ * recorded in the changes feed, and `expireChanges` invalidates the page tokens issued so far. Every API call is recorded in `drive.calls`.
+ *
+ * @param {Object} [options]
+ * @param {number} [options.pageSize] - Results per page, to exercise paging.
+ * @param {number} [options.downloadMs] - How long each download takes.
+ * @returns {Object}
+ */
+export default function mockDrive({ pageSize = 100, downloadMs = 0 } = {}) {
+  const files = new Map();
+  const changes = [];
+  const calls = [];
+  let nextId = 1;
+  let downloading = 0;
+  // Changes page tokens from an earlier epoch are rejected, like ones Drive has expired
+  let epoch = 0;
+  const changesToken = (position) => `${epoch}:${position}`;
+
+  const metadata = (file) => {
+    const copy = { ...file };
+    delete copy.content;
+    return copy;
+  };
+  const recordChange = (id, removed = false) =>
+    changes.push({ fileId: id, removed, file: removed ? undefined : metadata(files.get(id)) });
+  const page = (items, pageToken) => {
+    const start = Number(pageToken || 0);
+    const end = start + pageSize;
+    return { items: items.slice(start, end), next: end < items.length ? String(end) : undefined };
+  };
+
+  const drive = {
+    rootId: ROOT_ID,
+    calls,
+    maxConcurrentDownloads: 0,
+
+    files: {
+      async list({ q, pageToken }) {
+        calls.push({ method: 'files.list', q });
+        const matches = compileQuery(q);
+        const { items, next } = page([...files.values()].filter(matches), pageToken);
+        return { data: { files: items.map(metadata), nextPageToken: next } };
+      },
+      async get({ fileId, alt }) {
+        calls.push({ method: 'files.get', fileId });
+        if (fileId === 'root') {
+          return { data: { id: ROOT_ID } };
+        }
+        const file = files.get(fileId);
+        if (!file) {
+          throw new Error(`File not found: ${fileId}`);
+        }
+        if (alt !== 'media') {
+          return { data: metadata(file) };
+        }
+        drive.maxConcurrentDownloads = Math.max(drive.maxConcurrentDownloads, ++downloading);
+        await new Promise((resolve) => setTimeout(resolve, downloadMs));
+        downloading--;
+        return { data: file.content };
+      },
+    },
+
+    changes: {
+      async getStartPageToken() {
+        calls.push({ method: 'changes.getStartPageToken' });
+        return { data: { startPageToken: changesToken(changes.length) } };
+      },
+      async list({ pageToken }) {
+        calls.push({ method: 'changes.list', pageToken });
+        const [tokenEpoch, position] = pageToken.split(':');
+        if (Number(tokenEpoch) !== epoch) {
+          throw new Error('Invalid Value');
+        }
+        const { items, next } = page(changes, position);
+        const token = next
+          ? { nextPageToken: changesToken(next) }
+          : { newStartPageToken: changesToken(changes.length) };
+        return { data: { changes: items, ...token } };
+      },
+    },
+
+    addFolder(name, parent = ROOT_ID) {
+      return drive.addFile(name, parent, { mimeType: FOLDER_MIME_TYPE });
+    },
+
+    addFile(name, parent, { content = Buffer.alloc(0), mimeType = 'application/pdf' } = {}) {
+      const id = `file-${nextId++}`;
+      files.set(id, {
+        id,
+        name,
+        mimeType,
+        createdTime: new Date(Date.UTC(2024, 0, nextId)).toISOString(),
+        parents: [parent],
+        trashed: false,
+        content,
+      });
+      recordChange(id);
+      return id;
+    },
+
+    /**
+     * @param {string} id
+     * @param {Object} fields - e.g. {trashed: true}, {parents: [folderId]} or {name}.
+     */
+    update(id, fields) {
+      Object.assign(files.get(id), fields);
+      recordChange(id);
+    },
+
+    remove(id) {
+      files.delete(id);
+      recordChange(id, true);
+    },
+
+    /**
+     * Makes every page token issued so far invalid.
+     */
+    expireChanges() {
+      epoch++;
+    },
+  };
+  return drive;
+}
+
+/**
+ * Compiles the subset of the Drive query language DriveClient writes: comparisons like
+ * `name = 'x'`, `trashed = false` and `'id' in parents`, joined with and/or and parentheses.
+ *
+ * @param {string} q
+ * @returns {function(Object): boolean}
+ */
+function compileQuery(q) {
+  const tokens = q.match(/'(?:\\.|[^'\\])*'|[()=]|[A-Za-z]+/g);
+  let i = 0;
+  const take = () => tokens[i++];
+
+  const comparison = () => {
+    const left = take();
+    if (left === '(') {
+      const inner = or();
+      take(); // )
+      return inner;
+    }
+    if (left.startsWith("'")) {
+      take(); // in
+      take(); // parents
+      const id = unquote(left);
+      return (file) => file.parents.includes(id);
+    }
+    take(); // =
+    const right = take();
+    const value = right.startsWith("'") ? unquote(right) : right === 'true';
+    return (file) => file[left] === value;
+  };
+  const and = () => {
+    const terms = [comparison()];
+    while (tokens[i] === 'and') {
+      take();
+      terms.push(comparison());
+    }
+    return (file) => terms.every((term) => term(file));
+  };
+  const or = () => {
+    const terms = [and()];
+    while (tokens[i] === 'or') {
+      take();
+      terms.push(and());
+    }
+    return (file) => terms.some((term) => term(file));
+  };
+  return or();
+}
+
+function unquote(token) {
+  return token.slice(1, -1).replace(/\\(.)/g, '$1');
+}
@@ -0,0 +1,50 @@
+import http from 'node:http';
+
+/**
+ * Starts a local stand-in for an HTTP API (the Sunrun gateway, a webhook receiver...).
+ *
+ * Each route maps to a list of responses served in order (the last one repeats).
+ * A response is `{ status, body, headers }`, or a function `(req, body) => response`.
+ * Every request is recorded in `server.requests`.
+ *
+ * @param {Object<string, Array<Object|Function>>} routes - Keyed by "METHOD /path" (query ignored).
+ * @returns {Promise<{url: string, requests: Array<Object>, close: function(): Promise<void>}>}
+ */
+export default async function mockHttpServer(routes) {
+  const requests = [];
+  const counts = {};
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => (body += chunk));
+    req.on('end', () => {
+      const key = `${req.method} ${req.url.split('?')[0]}`;
+      requests.push({ key, url: req.url, headers: req.headers, body });
+
+      const responses = routes[key];
+      if (!responses) {
+        res.writeHead(404).end();
+        return;
+      }
+      const index = Math.min(counts[key] || 0, responses.length - 1);
+      counts[key] = (counts[key] || 0) + 1;
+
+      const entry = responses[index];
+      const response = typeof entry === 'function' ? entry(req, body) : entry;
+      res.writeHead(response.status || 200, {
+        'Content-Type': 'application/json',
+        ...response.headers,
+      });
+      res.end(response.body === undefined ? '' : JSON.stringify(response.body));
+    });
+  });
+
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  const { port } = server.address();
+
+  return {
+    url: `http://127.0.0.1:${port}`,
+    requests,
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+}
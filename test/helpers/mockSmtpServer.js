@@ -0,0 +1,66 @@
+import net from 'node:net';
+
+/**
+ * Starts a local stand-in for an SMTP server that accepts every message (no TLS, no auth).
+ * Each delivered message is recorded in `server.messages` as {from, to, data}.
+ *
+ * @returns {Promise<{host: string, port: number, messages: Array<Object>, close: function(): Promise<void>}>}
+ */
+export default async function mockSmtpServer() {
+  const messages = [];
+
+  const server = net.createServer((socket) => {
+    let buffer = '';
+    let message = null;
+    let inData = false;
+    socket.write('220 localhost ESMTP mock\r\n');
+
+    socket.on('data', (chunk) => {
+      buffer += chunk.toString('utf8');
+      let index;
+      while ((index = buffer.indexOf('\r\n')) !== -1) {
+        const line = buffer.slice(0, index);
+        buffer = buffer.slice(index + 2);
+
+        if (inData) {
+          if (line === '.') {
+            inData = false;
+            messages.push(message);
+            socket.write('250 OK: queued\r\n');
+          } else {
+            message.data += `${line.replace(/^\./, '')}\n`;
+          }
+          continue;
+        }
+
+        const command = line.split(' ')[0].toUpperCase();
+        if (command === 'EHLO' || command === 'HELO') {
+          socket.write('250 localhost\r\n');
+        } else if (command === 'MAIL') {
+          message = { from: line.match(/<(.*)>/)?.[1], to: [], data: '' };
+          socket.write('250 OK\r\n');
+        } else if (command === 'RCPT') {
+          message.to.push(line.match(/<(.*)>/)?.[1]);
+          socket.write('250 OK\r\n');
+        } else if (command === 'DATA') {
+          inData = true;
+          socket.write('354 End data with <CR><LF>.<CR><LF>\r\n');
+        } else if (command === 'QUIT') {
+          socket.end('221 Bye\r\n');
+        } else {
+          socket.write('250 OK\r\n');
+        }
+      }
+    });
+  });
+
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  const { port } = server.address();
+
+  return {
+    host: '127.0.0.1',
+    port,
+    messages,
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+}
@@ -0,0 +1,39 @@
+/**
+ * Sets environment variables for a test and puts the previous values back afterwards, so
+ * tests neither depend on each other nor clobber a developer's .env settings.
+ *
+ *   const env = stubEnv();
+ *   env.set({ BILL_SOURCE_GAS: 'local:./gas', BILL_SOURCE_INBOX: undefined });
+ *   ...
+ *   env.restore(); // in afterEach
+ *
+ * @returns {{set: function(Object<string, string|undefined>): void, restore: function(): void}}
+ *   `set` unsets variables given as undefined.
+ */
+export default function stubEnv() {
+  const saved = new Map();
+  return {
+    set(vars) {
+      for (const [name, value] of Object.entries(vars)) {
+        if (!saved.has(name)) {
+          saved.set(name, process.env[name]);
+        }
+        if (value === undefined) {
+          delete process.env[name];
+        } else {
+          process.env[name] = value;
+        }
+      }
+    },
+    restore() {
+      for (const [name, value] of saved) {
+        if (value === undefined) {
+          delete process.env[name];
+        } else {
+          process.env[name] = value;
+        }
+      }
+      saved.clear();
+    },
+  };
+}
@@ -0,0 +1,51 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import path from 'node:path';
+import { describe, it } from 'node:test';
+import { fileURLToPath } from 'node:url';
+import BillParser from '../BillParser.js';
+import ProviderRegistry from '../ProviderRegistry.js';
+
+const FIXTURES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures', 'parsers');
+
+/**
+ * Golden fixtures: each <Type>/<name>.txt holds the (redacted) text of a real bill layout and
+ * <name>.json the record the parser is expected to produce from it.
+ * Add new layouts with `npm run fixture:capture -- <bill.pdf> --name <name>`.
+ */
+function loadFixtures() {
+  return fs.readdirSync(FIXTURES_DIR).flatMap((type) =>
+    fs
+      .readdirSync(path.join(FIXTURES_DIR, type))
+      .filter((file) => file.endsWith('.txt'))
+      .map((file) => {
+        const base = path.join(FIXTURES_DIR, type, path.basename(file, '.txt'));
+        return {
+          type,
+          name: path.basename(file, '.txt'),
+          text: fs.readFileSync(`${base}.txt`, 'utf8'),
+          expected: JSON.parse(fs.readFileSync(`${base}.json`, 'utf8')),
+        };
+      })
+  );
+}
+
+const fixtures = loadFixtures();
+
+for (const type of new Set(fixtures.map((f) => f.type))) {
+  describe(`${type} parser`, () => {
+    for (const fixture of fixtures.filter((f) => f.type === type)) {
+      it(`parses ${fixture.name}`, async () => {
+        const parser = new BillParser(ProviderRegistry.builtIn());
+        const record = await parser.parseText(type, fixture.text);
+        assert.deepEqual(record, fixture.expected);
+      });
+
+      it(`detects ${fixture.name} as ${type}`, async () => {
+        const parser = new BillParser(ProviderRegistry.builtIn());
+        const detected = await parser.detect(fixture.text);
+        assert.equal(detected?.type, type);
+      });
+    }
+  });
+}